@@ -5,6 +5,23 @@ import { EscalationEngine } from './modules/escalation-engine.js';
 import { TemplateProcessor } from './modules/template-processor.js';
 import { NotificationHandler } from './modules/notification-handler.js';
 import { GamificationManager } from './modules/gamification-manager.js';
+import { createEscalationStore } from './modules/escalation-store.js';
+import { createStorageAdapter } from './modules/storage-adapter.js';
+import { ruleEvaluator } from './modules/rule-evaluator.js';
+import { fieldSchemaRegistry } from './modules/field-schema-registry.js';
+import { moduleRegistry } from './modules/module-registry.js';
+import { OFFSET_UNIT_MINUTES } from './modules/trigger-offset.js';
+import { EVENT_TRIGGER_KINDS, ANY_VALUE } from './modules/record-events.js';
+import { TEMPLATE_STATUSES, getTemplateStatus } from './modules/template-lifecycle.js';
+import { RELATIVE_ROLES, isRelativeRole, describeRole } from './modules/org-chart.js';
+import { getActiveAbsence } from './modules/availability.js';
+import { CoverageMonitor, COVERAGE_ISSUE_TYPES } from './modules/coverage-check.js';
+
+// localStorage key remembering which directory user the session acts as
+const SESSION_USER_KEY = 'escalation-matrix:session-user';
+
+// Recipient select values for on-call schedules, kept apart from role ids
+const ON_CALL_OPTION_PREFIX = 'on-call:';
 
 // Simple HTML sanitizer to prevent XSS
 function sanitizeHTML(str) {
@@ -25,8 +42,7 @@ function validateTemplateName(name) {
 }
 
 function validateModule(module) {
-    const validModules = ['incidents', 'work-permits', 'audits'];
-    if (!validModules.includes(module)) return 'Invalid module selected';
+    if (!moduleRegistry.hasModule(module)) return 'Invalid module selected';
     return null;
 }
 
@@ -50,14 +66,24 @@ function validateSMSBody(body) {
 
 class EscalationMatrixApp {
     constructor() {
-        this.dataManager = new DataManager();
+        // One storage adapter backs both app data and escalation state
+        this.storage = createStorageAdapter();
+        this.dataManager = new DataManager({ storage: this.storage });
         this.uiManager = new UIManager();
-        this.escalationEngine = new EscalationEngine();
-        this.templateProcessor = new TemplateProcessor();
-        this.notificationHandler = new NotificationHandler();
-        this.gamificationManager = new GamificationManager();
+        this.notificationHandler = new NotificationHandler(this.dataManager);
+        this.escalationEngine = new EscalationEngine(this.dataManager, this.notificationHandler, {
+            store: createEscalationStore({ storage: this.storage })
+        });
+        this.templateProcessor = new TemplateProcessor(this.dataManager);
+        this.gamificationManager = new GamificationManager(this.dataManager);
+        this.coverageMonitor = new CoverageMonitor(this.dataManager);
 
         this.currentSection = 'dashboard';
+        // The directory user this browser session acts as (see restoreSession)
+        this.sessionUser = null;
+        this.directory = [];
+        // Notification field placeholder buttons insert into; clicking a button moves focus off it
+        this.placeholderTargetId = 'email-body';
         this.eventListeners = [];
         this.performanceMetrics = {
             loadTimes: [],
@@ -114,7 +140,8 @@ class EscalationMatrixApp {
 
             // Initialize data
             const dataStart = performance.now();
-            await this.dataManager.initializeDummyData();
+            await this.dataManager.initialize();
+            await this.restoreSession();
             console.log(`Data initialization: ${(performance.now() - dataStart).toFixed(2)}ms`);
             this.measureMemoryUsage('After Data Init');
 
@@ -131,6 +158,7 @@ class EscalationMatrixApp {
 
             // Start escalation processing simulation
             this.startEscalationSimulation();
+            this.startCoverageMonitor();
 
             // Run edge case tests
             setTimeout(() => {
@@ -253,6 +281,18 @@ class EscalationMatrixApp {
                 case 'gamification':
                     content = await this.renderGamification();
                     break;
+                case 'calendars':
+                    content = await this.renderCalendars();
+                    break;
+                case 'people':
+                    content = await this.renderPeople();
+                    break;
+                case 'on-call':
+                    content = await this.renderOnCallSchedules();
+                    break;
+                case 'coverage':
+                    content = await this.renderCoverage();
+                    break;
                 default:
                     content = this.render404();
             }
@@ -391,6 +431,18 @@ class EscalationMatrixApp {
                         <button class="btn btn-secondary" onclick="app.navigateToSection('gamification')">
                             Check Leaderboard
                         </button>
+                        <button class="btn btn-secondary" onclick="app.navigateToSection('calendars')">
+                            Manage Business Calendars
+                        </button>
+                        <button class="btn btn-secondary" onclick="app.navigateToSection('people')">
+                            Manage People &amp; Availability
+                        </button>
+                        <button class="btn btn-secondary" onclick="app.navigateToSection('on-call')">
+                            Manage On-Call Schedules
+                        </button>
+                        <button class="btn btn-secondary" onclick="app.navigateToSection('coverage')">
+                            Coverage
+                        </button>
                     </div>
                 </div>
             </div>
@@ -414,14 +466,12 @@ class EscalationMatrixApp {
         const filteredTemplates = templates.filter(t => {
             const matchesSearch = t.name.toLowerCase().includes(this.templateViewState.search.toLowerCase());
             const matchesStatus = this.templateViewState.status === 'all' ||
-                (this.templateViewState.status === 'active' && t.active) ||
-                (this.templateViewState.status === 'inactive' && !t.active) ||
-                (this.templateViewState.status === 'draft' && t.status === 'draft'); // Assuming 'status' field or derived
+                this.templateViewState.status === getTemplateStatus(t);
             const matchesModule = this.templateViewState.module === 'all' || t.module === this.templateViewState.module;
             return matchesSearch && matchesStatus && matchesModule;
         });
 
-        const modules = [...new Set(templates.map(t => t.module))];
+        const modules = moduleRegistry.getModules();
         const hasSelection = this.templateViewState.selectedTemplates.size > 0;
 
         return `
@@ -431,10 +481,11 @@ class EscalationMatrixApp {
             </div>
 
             <div class="flex justify-between items-center mb-4 gap-3 flex-wrap">
-                <div class="flex gap-2">
+                <div class="flex gap-2 items-center">
                     <button class="btn btn-primary" onclick="app.navigateToSection('editor')">
                         <span style="font-size: 1.2em">+</span> New Template
                     </button>
+                    ${this.renderSessionPicker()}
                 </div>
 
                 <div class="filter-controls flex gap-2 items-center">
@@ -450,14 +501,14 @@ class EscalationMatrixApp {
 
                     <select class="form-select" style="width: auto;" onchange="app.updateTemplateFilter('status', this.value)">
                         <option value="all" ${this.templateViewState.status === 'all' ? 'selected' : ''}>All Status</option>
-                        <option value="active" ${this.templateViewState.status === 'active' ? 'selected' : ''}>Active</option>
-                        <option value="draft" ${this.templateViewState.status === 'draft' ? 'selected' : ''}>Draft</option>
-                        <option value="inactive" ${this.templateViewState.status === 'inactive' ? 'selected' : ''}>Inactive</option>
+                        ${Object.entries(TEMPLATE_STATUSES).map(([status, { label }]) => `
+                            <option value="${status}" ${this.templateViewState.status === status ? 'selected' : ''}>${label}</option>
+                        `).join('')}
                     </select>
 
                     <select class="form-select" style="width: auto;" onchange="app.updateTemplateFilter('module', this.value)">
                         <option value="all" ${this.templateViewState.module === 'all' ? 'selected' : ''}>All Modules</option>
-                        ${modules.map(m => `<option value="${sanitizeHTML(m)}" ${this.templateViewState.module === m ? 'selected' : ''}>${sanitizeHTML(m)}</option>`).join('')}
+                        ${modules.map(m => `<option value="${m.id}" ${this.templateViewState.module === m.id ? 'selected' : ''}>${sanitizeHTML(m.name)}</option>`).join('')}
                     </select>
                 </div>
             </div>
@@ -493,13 +544,11 @@ class EscalationMatrixApp {
                                     <td>
                                         <div style="font-weight: 600; color: var(--primary-color); cursor: pointer;" onclick="app.editTemplate('${sanitizeHTML(template.id)}')">${sanitizeHTML(template.name)}</div>
                                         <div class="text-xs text-muted mt-1">${sanitizeHTML(template.description || 'No description')}</div>
+                                        ${template.currentVersion ? `<div class="text-xs text-muted">Version ${sanitizeHTML(template.currentVersion)}</div>` : ''}
+                                        ${this.renderCoverageWarning(template)}
                                     </td>
-                                    <td><span class="badge badge-info">${sanitizeHTML(template.module)}</span></td>
-                                    <td>
-                                        ${template.active
-                                            ? '<span class="badge badge-success">Active</span>'
-                                            : '<span class="badge badge-secondary">Inactive</span>'}
-                                    </td>
+                                    <td><span class="badge badge-info">${sanitizeHTML(moduleRegistry.getModuleName(template.module))}</span></td>
+                                    <td>${this.renderTemplateStatus(template)}</td>
                                     <td>
                                         <div class="text-sm">${new Date(template.updatedAt || Date.now()).toLocaleDateString()}</div>
                                         <div class="text-xs text-muted">${new Date(template.updatedAt || Date.now()).toLocaleTimeString()}</div>
@@ -514,7 +563,8 @@ class EscalationMatrixApp {
                                         <div class="btn-group">
                                             <button class="btn btn-secondary btn-sm p-1" onclick="app.editTemplate('${sanitizeHTML(template.id)}')" title="Edit">✏️</button>
                                             <button class="btn btn-secondary btn-sm p-1" onclick="app.duplicateTemplate('${sanitizeHTML(template.id)}')" title="Duplicate">📋</button>
-                                            <button class="btn btn-secondary btn-sm p-1" onclick="app.toggleTemplateStatus('${sanitizeHTML(template.id)}', ${!template.active})" title="${template.active ? 'Deactivate' : 'Activate'}">${template.active ? '🚫' : '✅'}</button>
+                                            <button class="btn btn-secondary btn-sm p-1" onclick="app.showTemplateHistory('${sanitizeHTML(template.id)}')" title="Version History">🕘</button>
+                                            ${this.renderLifecycleActions(template)}
                                             <button class="btn btn-danger btn-sm p-1" onclick="app.deleteTemplate('${sanitizeHTML(template.id)}')" title="Delete">🗑️</button>
                                         </div>
                                     </td>
@@ -599,15 +649,265 @@ class EscalationMatrixApp {
         }
     }
 
-    async toggleTemplateStatus(id, newStatus) {
-        const templates = await this.dataManager.getAllTemplates();
-        const template = templates.find(t => t.id === id);
-        if (template) {
-            template.active = newStatus;
-            template.updatedAt = new Date().toISOString();
-            await this.dataManager.saveTemplate(template);
-            this.showToast(`Template ${newStatus ? 'activated' : 'deactivated'} successfully`, 'success');
+    // There is no sign-in, so a session picks who it acts as from the user directory. Authors,
+    // submitters and approvers are recorded by user id, which lets DataManager enforce that
+    // a template is published by someone other than its author and submitter (REQ-020).
+    async restoreSession() {
+        this.directory = await this.dataManager.getAllUsers();
+        const storedId = typeof localStorage !== 'undefined' ? localStorage.getItem(SESSION_USER_KEY) : null;
+        this.sessionUser = this.directory.find(user => user.id === storedId) || this.directory[0] || null;
+    }
+
+    switchSessionUser(userId) {
+        const user = this.directory.find(u => u.id === userId);
+        if (!user) return;
+
+        this.sessionUser = user;
+        if (typeof localStorage !== 'undefined') localStorage.setItem(SESSION_USER_KEY, user.id);
+        this.showToast(`Now acting as ${user.name}`, 'info');
+        this.loadSection(this.currentSection);
+    }
+
+    getSessionUserId() {
+        if (!this.sessionUser) throw new Error('Choose who you are acting as first');
+        return this.sessionUser.id;
+    }
+
+    // Name for a recorded author or reviewer; ids from outside the directory (e.g. 'config') are shown as-is
+    displayUser(id) {
+        return this.directory.find(user => user.id === id)?.name || id;
+    }
+
+    renderSessionPicker() {
+        return `
+            <label class="flex items-center gap-2 text-sm">
+                Acting as
+                <select class="form-select" style="width: auto;" onchange="app.switchSessionUser(this.value)">
+                    ${this.directory.map(user => `
+                        <option value="${sanitizeHTML(user.id)}" ${user.id === this.sessionUser?.id ? 'selected' : ''}>${sanitizeHTML(user.name)}</option>
+                    `).join('')}
+                </select>
+            </label>
+        `;
+    }
+
+    // Status badge, plus the live version when a newer draft is being worked on
+    renderTemplateStatus(template) {
+        const status = getTemplateStatus(template);
+        const { label, badge } = TEMPLATE_STATUSES[status];
+        const live = template.publishedVersion && template.publishedVersion !== template.currentVersion
+            ? `<div class="text-xs text-muted mt-1">Version ${sanitizeHTML(template.publishedVersion)} is live</div>`
+            : '';
+        const review = status === 'in-review' && template.review
+            ? `<div class="text-xs text-muted mt-1">Submitted by ${sanitizeHTML(this.displayUser(template.review.submittedBy))}</div>`
+            : '';
+        return `<span class="badge badge-${badge}">${label}</span>${live}${review}`;
+    }
+
+    // Coverage problems found for the template's published version by the background check.
+    // The wrapper stays in place so new reports can refresh it without re-rendering the list.
+    renderCoverageWarning(template) {
+        return `<div data-coverage-template="${sanitizeHTML(template.id)}">${this.renderCoverageBadge(template.id)}</div>`;
+    }
+
+    renderCoverageBadge(templateId) {
+        const issues = this.coverageMonitor.getTemplateIssues(templateId);
+        if (issues.length === 0) return '';
+
+        const hasErrors = issues.some(issue => issue.severity === 'error');
+        return `
+            <div class="text-xs mt-1" style="color: var(--${hasErrors ? 'error' : 'warning'}-color); cursor: pointer;"
+                title="${sanitizeHTML(issues.map(issue => issue.message).join('\n'))}" onclick="app.navigateToSection('coverage')">
+                ⚠ ${issues.length} coverage ${issues.length === 1 ? 'issue' : 'issues'}
+            </div>
+        `;
+    }
+
+    renderLifecycleActions(template) {
+        const id = sanitizeHTML(template.id);
+        const button = (action, title, icon) =>
+            `<button class="btn btn-secondary btn-sm p-1" onclick="app.changeTemplateLifecycle('${id}', '${action}')" title="${title}">${icon}</button>`;
+
+        switch (getTemplateStatus(template)) {
+            case 'draft':
+                return button('submit', 'Submit for Review', '📤') + (template.publishedVersion ? button('retire', 'Retire', '🚫') : '');
+            case 'in-review':
+                return button('approve', 'Approve and Publish', '✅') + button('reject', 'Return to Draft', '↩️');
+            case 'published':
+                return button('retire', 'Retire', '🚫');
+            case 'retired':
+                return button('submit', 'Submit for Review to Republish', '📤');
+            default:
+                return '';
+        }
+    }
+
+    // Drafts only escalate once a second person approves them (REQ-003)
+    async changeTemplateLifecycle(id, action) {
+        try {
+            switch (action) {
+                case 'submit': {
+                    const note = prompt('Note for the reviewer (optional):');
+                    if (note === null) return;
+                    await this.dataManager.submitTemplateForReview(id, { submittedBy: this.getSessionUserId(), note: note.trim() });
+                    this.showToast('Template submitted for review', 'success');
+                    break;
+                }
+                case 'approve': {
+                    const approvedBy = this.getSessionUserId();
+                    if (!confirm(`Approve and publish as ${this.sessionUser.name}? The author and submitter can't approve their own template.`)) return;
+                    await this.dataManager.approveTemplate(id, { approvedBy });
+                    this.showToast('Template approved and published', 'success');
+                    break;
+                }
+                case 'reject': {
+                    const note = prompt('Reason for returning the template to draft:');
+                    if (note === null) return;
+                    await this.dataManager.returnTemplateToDraft(id, { by: this.getSessionUserId(), note: note.trim() });
+                    this.showToast('Template returned to draft', 'info');
+                    break;
+                }
+                case 'retire':
+                    if (!confirm('Retire this template? It stops escalating and its active escalations are cancelled.')) return;
+                    await this.dataManager.retireTemplate(id, { by: this.getSessionUserId() });
+                    this.showToast('Template retired', 'success');
+                    break;
+            }
+            this.loadSection('templates');
+        } catch (error) {
+            console.error(`Error applying template action ${action}:`, error);
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    // Version history with compare and rollback (REQ-003)
+    async showTemplateHistory(id) {
+        const template = await this.dataManager.getTemplate(id);
+        if (!template) return;
+
+        const versions = this.dataManager.getTemplateVersions(id);
+        const latest = versions[0]?.version;
+        const versionOptions = selected => versions.map(v => `
+            <option value="${v.version}" ${v.version === selected ? 'selected' : ''}>Version ${v.version}</option>
+        `).join('');
+
+        this.uiManager.showModal(`Version History: ${template.name}`, `
+            <div class="p-2">
+                <div class="table-container">
+                    <table class="table">
+                        <thead>
+                            <tr>
+                                <th>Version</th>
+                                <th>Saved</th>
+                                <th>Author</th>
+                                <th>Change Note</th>
+                                <th class="text-right">Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${versions.map(v => `
+                                <tr>
+                                    <td>
+                                        ${v.version}
+                                        ${v.version === template.currentVersion ? '<span class="badge badge-info">Latest</span>' : ''}
+                                        ${v.version === template.publishedVersion ? '<span class="badge badge-success">Published</span>' : ''}
+                                    </td>
+                                    <td>${new Date(v.createdAt).toLocaleString()}</td>
+                                    <td>${sanitizeHTML(this.displayUser(v.author))}</td>
+                                    <td>${sanitizeHTML(v.note || '-')}</td>
+                                    <td class="text-right">
+                                        ${v.version !== template.currentVersion
+                                            ? `<button class="btn btn-secondary btn-sm" onclick="app.rollbackTemplate('${sanitizeHTML(id)}', ${v.version})">Roll back</button>`
+                                            : ''}
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+
+                ${versions.length > 1 ? `
+                    <div class="flex items-center gap-2 mt-4">
+                        <label class="form-label mb-0" for="history-from">Compare</label>
+                        <select id="history-from" class="form-select">${versionOptions(versions[1].version)}</select>
+                        <label class="form-label mb-0" for="history-to">with</label>
+                        <select id="history-to" class="form-select">${versionOptions(latest)}</select>
+                        <button class="btn btn-secondary btn-sm" onclick="app.compareTemplateVersions('${sanitizeHTML(id)}')">Compare</button>
+                    </div>
+                    <div id="history-diff" class="mt-3"></div>
+                ` : '<p class="text-muted mt-3">Only one version has been saved so far.</p>'}
+
+                ${(template.lifecycleHistory || []).length > 0 ? `
+                    <h4 class="mt-4 mb-2">Review Activity</h4>
+                    <ul class="text-sm">
+                        ${[...template.lifecycleHistory].reverse().map(entry => `
+                            <li class="mb-1">
+                                ${new Date(entry.timestamp).toLocaleString()} -
+                                <strong>${sanitizeHTML(this.displayUser(entry.by))}</strong>
+                                moved version ${sanitizeHTML(entry.version)} from ${sanitizeHTML(entry.from)} to ${sanitizeHTML(entry.to)}
+                                ${entry.note ? `<span class="text-muted">(${sanitizeHTML(entry.note)})</span>` : ''}
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+            </div>
+        `);
+
+        if (versions.length > 1) {
+            this.compareTemplateVersions(id);
+        }
+    }
+
+    compareTemplateVersions(id) {
+        const from = Number(document.getElementById('history-from').value);
+        const to = Number(document.getElementById('history-to').value);
+        const container = document.getElementById('history-diff');
+        const changes = this.dataManager.diffTemplateVersions(id, from, to);
+
+        if (changes.length === 0) {
+            container.innerHTML = '<p class="text-muted">No differences between these versions.</p>';
+            return;
+        }
+
+        const show = value => sanitizeHTML(JSON.stringify(value));
+        const badges = { added: 'success', removed: 'error', changed: 'warning' };
+        container.innerHTML = `
+            <div class="table-container">
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>Change</th>
+                            <th>Field</th>
+                            <th>Version ${from}</th>
+                            <th>Version ${to}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${changes.map(change => `
+                            <tr>
+                                <td><span class="badge badge-${badges[change.type]}">${change.type}</span></td>
+                                <td><code>${sanitizeHTML(change.path)}</code></td>
+                                <td class="text-xs">${change.type === 'added' ? '-' : show(change.from)}</td>
+                                <td class="text-xs">${change.type === 'removed' ? '-' : show(change.to)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    async rollbackTemplate(id, version) {
+        if (!confirm(`Roll back to version ${version}? It is saved as a new draft version; no history is lost.`)) return;
+
+        try {
+            const template = await this.dataManager.rollbackTemplate(id, version, { author: this.getSessionUserId() });
+            this.showToast(`Version ${version} restored as draft version ${template.currentVersion}. Submit it for review to publish it.`, 'success');
+            this.uiManager.closeModal();
             this.loadSection('templates');
+        } catch (error) {
+            console.error('Error rolling back template:', error);
+            this.showToast('Failed to roll back template', 'error');
         }
     }
 
@@ -666,9 +966,7 @@ class EscalationMatrixApp {
                     <label class="form-label" for="template-module">Module <span class="text-danger">*</span></label>
                     <select id="template-module" class="form-select" required onchange="app.handleModuleChange()">
                         <option value="">Select module</option>
-                        <option value="incidents">Incidents</option>
-                        <option value="work-permits">Work Permits</option>
-                        <option value="audits">Audits</option>
+                        ${moduleRegistry.getModules().map(m => `<option value="${m.id}">${sanitizeHTML(m.name)}</option>`).join('')}
                     </select>
                     <small class="text-muted">Changing module will reset module-specific rules.</small>
                 </div>
@@ -719,6 +1017,7 @@ class EscalationMatrixApp {
 
     async renderMonitoring() {
         const escalationLogs = await this.dataManager.getEscalationLogs(20);
+        const deferredQueue = this.escalationEngine.getDeferredQueue();
 
         return `
             <div class="section-header">
@@ -746,6 +1045,44 @@ class EscalationMatrixApp {
                 </div>
             </div>
 
+            <div class="card">
+                <div class="card-header">
+                    <h3 class="card-title">Deferred Queue</h3>
+                    <p class="card-description">Escalations held until their business calendar's next window opens</p>
+                </div>
+                ${deferredQueue.length > 0 ? `
+                    <div class="table-container">
+                        <table class="table">
+                            <thead>
+                                <tr>
+                                    <th>Template</th>
+                                    <th>Record</th>
+                                    <th>Level</th>
+                                    <th>Reason</th>
+                                    <th>Deferred At</th>
+                                    <th>Next Eligible Send</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${deferredQueue.map(entry => `
+                                    <tr>
+                                        <td>${sanitizeHTML(entry.templateName)}</td>
+                                        <td>${sanitizeHTML(entry.recordId)}</td>
+                                        <td>${sanitizeHTML(entry.level)}</td>
+                                        <td>
+                                            <span class="badge badge-warning">${sanitizeHTML(entry.reason)}</span>
+                                            ${entry.calendarId ? `<div class="text-xs text-muted">${sanitizeHTML(this.dataManager.calendarRegistry.get(entry.calendarId).name)}</div>` : ''}
+                                        </td>
+                                        <td>${new Date(entry.deferredAt).toLocaleString()}</td>
+                                        <td>${entry.nextEligibleAt ? new Date(entry.nextEligibleAt).toLocaleString() : 'No upcoming window'}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                ` : '<p class="text-muted p-3">No escalations are waiting for a business window.</p>'}
+            </div>
+
             <div class="card">
                 <div class="card-header">
                     <h3 class="card-title">Recent Escalation Logs</h3>
@@ -761,22 +1098,108 @@ class EscalationMatrixApp {
                                 <th>Level</th>
                                 <th>Recipient</th>
                                 <th>Status</th>
+                                <th>Acknowledgement</th>
                                 <th>Actions</th>
                             </tr>
                         </thead>
                         <tbody>
-                            ${escalationLogs.map(log => `
+                            ${escalationLogs.map(log => {
+                                const escalationId = `${log.templateId}-${log.recordId}`;
+                                const ack = this.escalationEngine.getAcknowledgementState(escalationId);
+                                return `
                                 <tr>
                                     <td>${new Date(log.timestamp).toLocaleString()}</td>
-                                    <td>${sanitizeHTML(log.templateName)}</td>
+                                    <td>
+                                        ${sanitizeHTML(log.templateName)}
+                                        ${log.templateVersion ? `<div class="text-xs text-muted">Version ${sanitizeHTML(log.templateVersion)}</div>` : ''}
+                                    </td>
                                     <td>${sanitizeHTML(log.recordId)}</td>
                                     <td>${sanitizeHTML(log.level)}</td>
-                                    <td>${sanitizeHTML(log.recipient)}</td>
-                                    <td><span class="badge badge-${log.status === 'sent' ? 'success' : log.status === 'failed' ? 'error' : 'warning'}">${sanitizeHTML(log.status)}</span></td>
+                                    <td>
+                                        ${log.deliveries
+                                            ? this.renderDeliveries(log.deliveries)
+                                            : sanitizeHTML((log.recipient && this.displayUser(log.recipient)) || (log.reason ? `Reason: ${log.reason}` : ''))}
+                                    </td>
+                                    <td><span class="badge badge-${log.status === 'sent' ? 'success' : log.status === 'failed' ? 'error' : log.status === 'acknowledged' ? 'info' : 'warning'}">${sanitizeHTML(log.status)}</span></td>
+                                    <td>
+                                        ${log.status === 'acknowledged'
+                                            ? `<div class="text-xs">${sanitizeHTML(log.note || 'No note')}</div>`
+                                            : ack && ack.acknowledged
+                                                ? `<span class="badge badge-${ack.paused ? 'info' : 'secondary'}">${ack.paused ? 'Paused' : 'Acknowledged'}</span>
+                                                   <div class="text-xs text-muted">by ${sanitizeHTML(this.displayUser(ack.acknowledgedBy))}${ack.paused ? ` until ${new Date(ack.pausedUntil).toLocaleString()}` : ''}</div>`
+                                                : ack ? '<span class="badge badge-warning">Awaiting</span>' : '<span class="text-muted">—</span>'}
+                                    </td>
                                     <td>
                                         <button class="btn btn-secondary btn-sm" onclick="app.showNotificationPreview('${sanitizeHTML(log.id)}')">
                                             Preview
                                         </button>
+                                        ${ack && !ack.paused && log.status !== 'acknowledged' ? `
+                                            <button class="btn btn-primary btn-sm" onclick="app.acknowledgeEscalation('${sanitizeHTML(escalationId)}')">
+                                                Acknowledge
+                                            </button>
+                                        ` : ''}
+                                    </td>
+                                </tr>
+                            `;
+                            }).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+
+    async renderCalendars() {
+        const calendars = await this.dataManager.getBusinessCalendars();
+        const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+        return `
+            <div class="section-header">
+                <h1 class="section-title">Business Calendars</h1>
+                <p class="section-description">Working days, business hours and holidays per site. Templates and triggers reference calendars by id.</p>
+            </div>
+
+            <div class="flex justify-between items-center mb-4">
+                <button class="btn btn-primary" onclick="app.openCalendarEditor()">
+                    <span style="font-size: 1.2em">+</span> New Calendar
+                </button>
+            </div>
+
+            <div class="card p-0 overflow-hidden">
+                <div class="table-container">
+                    <table class="table mb-0">
+                        <thead>
+                            <tr>
+                                <th>Calendar</th>
+                                <th>Timezone</th>
+                                <th>Working Days</th>
+                                <th>Hours</th>
+                                <th>Holidays</th>
+                                <th class="text-right">Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${calendars.map(calendar => `
+                                <tr>
+                                    <td>
+                                        <div style="font-weight: 600;">${sanitizeHTML(calendar.name)}</div>
+                                        <div class="text-xs text-muted font-mono">${sanitizeHTML(calendar.id)}</div>
+                                    </td>
+                                    <td>${sanitizeHTML(calendar.timezone || 'Local time')}</td>
+                                    <td>${calendar.workingDays.map(day => dayNames[day]).join(', ')}</td>
+                                    <td>
+                                        ${sanitizeHTML(calendar.hours.start)}–${sanitizeHTML(calendar.hours.end)}
+                                        ${Object.entries(calendar.hoursByDay).map(([day, hours]) =>
+                                            `<div class="text-xs text-muted">${dayNames[day]}: ${sanitizeHTML(hours.start)}–${sanitizeHTML(hours.end)}</div>`).join('')}
+                                    </td>
+                                    <td>${calendar.holidays.length}</td>
+                                    <td class="text-right">
+                                        <div class="btn-group">
+                                            <button class="btn btn-secondary btn-sm p-1" onclick="app.openCalendarEditor('${sanitizeHTML(calendar.id)}')" title="Edit">✏️</button>
+                                            ${calendar.id !== 'default' ? `
+                                                <button class="btn btn-danger btn-sm p-1" onclick="app.deleteCalendar('${sanitizeHTML(calendar.id)}')" title="Delete">🗑️</button>
+                                            ` : ''}
+                                        </div>
                                     </td>
                                 </tr>
                             `).join('')}
@@ -787,6 +1210,529 @@ class EscalationMatrixApp {
         `;
     }
 
+    // Results of the background coverage check across published templates (REQ-025)
+    async renderCoverage() {
+        const report = this.coverageMonitor.getLatestReport() || await this.coverageMonitor.check();
+        const issues = [...(report?.issues || [])].sort((a, b) =>
+            (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1) ||
+            a.templateName.localeCompare(b.templateName) || a.level - b.level
+        );
+        const errorCount = issues.filter(issue => issue.severity === 'error').length;
+
+        return `
+            <div class="section-header">
+                <h1 class="section-title">Coverage</h1>
+                <p class="section-description">Checks every published template, for each department and site it applies to, for levels that would reach nobody or only a fallback address.</p>
+            </div>
+
+            <div class="flex justify-between items-center mb-4">
+                <div class="text-sm text-muted">
+                    ${report ? `Last checked ${new Date(report.checkedAt).toLocaleString()} · ${report.templateCount} templates · ${errorCount} error(s), ${issues.length - errorCount} warning(s)` : 'Not checked yet'}
+                </div>
+                <button class="btn btn-primary" onclick="app.runCoverageCheck()">Run Check Now</button>
+            </div>
+
+            <div class="card p-0 overflow-hidden">
+                <div class="table-container">
+                    <table class="table mb-0">
+                        <thead>
+                            <tr>
+                                <th>Severity</th>
+                                <th>Template</th>
+                                <th>Level</th>
+                                <th>Department / Site</th>
+                                <th>Issue</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${issues.length > 0 ? issues.map(issue => `
+                                <tr>
+                                    <td><span class="badge badge-${issue.severity === 'error' ? 'error' : 'warning'}">${COVERAGE_ISSUE_TYPES[issue.type].label}</span></td>
+                                    <td>
+                                        <div style="font-weight: 600; color: var(--primary-color); cursor: pointer;" onclick="app.editTemplate('${sanitizeHTML(issue.templateId)}')">${sanitizeHTML(issue.templateName)}</div>
+                                    </td>
+                                    <td>${issue.level}</td>
+                                    <td>${sanitizeHTML([issue.department, issue.site].filter(Boolean).join(' / ') || 'All')}</td>
+                                    <td class="text-sm">${sanitizeHTML(issue.message)}</td>
+                                </tr>
+                            `).join('') : `
+                                <tr>
+                                    <td colspan="5" class="text-center text-muted" style="padding: 3rem;">
+                                        Every level of every published template reaches someone.
+                                    </td>
+                                </tr>
+                            `}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+
+    async runCoverageCheck() {
+        await this.coverageMonitor.check();
+        this.showToast('Coverage check complete', 'success');
+        this.loadSection('coverage');
+    }
+
+    // Rotations hierarchy levels can notify through `onCallSchedules` (REQ-024)
+    async renderOnCallSchedules() {
+        const schedules = await this.dataManager.getOnCallSchedules();
+        const users = await this.dataManager.getAllUsers();
+        const nameOf = id => users.find(user => user.id === id)?.name || id;
+        const now = new Date();
+
+        return `
+            <div class="section-header">
+                <h1 class="section-title">On-Call Schedules</h1>
+                <p class="section-description">Rotations with handoff times in the site's timezone. Hierarchy levels notify whoever is on call when the escalation is sent.</p>
+            </div>
+
+            <div class="flex justify-between items-center mb-4">
+                <button class="btn btn-primary" onclick="app.openOnCallEditor()">
+                    <span style="font-size: 1.2em">+</span> New Schedule
+                </button>
+            </div>
+
+            <div class="card p-0 overflow-hidden">
+                <div class="table-container">
+                    <table class="table mb-0">
+                        <thead>
+                            <tr>
+                                <th>Schedule</th>
+                                <th>Rotation</th>
+                                <th>On Call Now</th>
+                                <th>Upcoming</th>
+                                <th class="text-right">Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${schedules.map(definition => {
+                                const { user, shift, reason } = this.dataManager.getOnCallUser(definition.id, now);
+                                const schedule = this.dataManager.onCallRegistry.get(definition.id);
+                                const upcoming = schedule.getUpcomingShifts(now, 4).slice(1);
+                                return `
+                                <tr>
+                                    <td>
+                                        <div style="font-weight: 600;">${sanitizeHTML(definition.name)}</div>
+                                        <div class="text-xs text-muted font-mono">${sanitizeHTML(definition.id)}</div>
+                                    </td>
+                                    <td>
+                                        Every ${definition.rotationDays} day(s) at ${sanitizeHTML(definition.handoffTime)}
+                                        <div class="text-xs text-muted">${sanitizeHTML(definition.timezone || 'Local time')} · ${definition.members.map(id => sanitizeHTML(nameOf(id))).join(' → ')}</div>
+                                    </td>
+                                    <td>
+                                        ${user
+                                            ? `<div style="font-weight: 600;">${sanitizeHTML(user.name)}</div>
+                                               <div class="text-xs text-muted">${shift.source === 'override' ? 'Override' : 'Rotation'} until ${shift.end.toLocaleString()}</div>`
+                                            : `<span class="badge badge-error">Nobody</span><div class="text-xs text-muted">${sanitizeHTML(reason)}</div>`}
+                                    </td>
+                                    <td>
+                                        ${upcoming.map(next => `<div class="text-xs">${next.start.toLocaleDateString()}: ${sanitizeHTML(nameOf(next.userId))}</div>`).join('')}
+                                        ${definition.overrides.length > 0 ? `<div class="text-xs text-muted">${definition.overrides.length} override(s)</div>` : ''}
+                                    </td>
+                                    <td class="text-right">
+                                        <div class="btn-group">
+                                            <button class="btn btn-secondary btn-sm p-1" onclick="app.openOnCallEditor('${sanitizeHTML(definition.id)}')" title="Edit">✏️</button>
+                                            <button class="btn btn-danger btn-sm p-1" onclick="app.deleteOnCallSchedule('${sanitizeHTML(definition.id)}')" title="Delete">🗑️</button>
+                                        </div>
+                                    </td>
+                                </tr>
+                            `;
+                            }).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+
+    async openOnCallEditor(scheduleId = null) {
+        const schedules = await this.dataManager.getOnCallSchedules();
+        const schedule = schedules.find(s => s.id === scheduleId) || {
+            id: '',
+            name: '',
+            timezone: '',
+            startDate: new Date().toISOString().slice(0, 10),
+            handoffTime: '08:00',
+            rotationDays: 7,
+            members: [],
+            overrides: []
+        };
+        const users = await this.dataManager.getAllUsers();
+        const timezones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+        const overrideLines = schedule.overrides
+            .map(override => [override.start, override.end, override.userId, override.reason || ''].filter(Boolean).join(' '))
+            .join('\n');
+
+        this.uiManager.showModal(scheduleId ? 'Edit On-Call Schedule' : 'New On-Call Schedule', `
+            <div class="p-2">
+                <div class="grid grid-2 gap-3">
+                    <div class="form-group">
+                        <label class="form-label" for="on-call-id">Schedule ID</label>
+                        <input type="text" id="on-call-id" class="form-input" value="${sanitizeHTML(schedule.id)}" placeholder="e.g. houston-night-duty" ${scheduleId ? 'disabled' : ''}>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label" for="on-call-name">Name</label>
+                        <input type="text" id="on-call-name" class="form-input" value="${sanitizeHTML(schedule.name)}" placeholder="e.g. Houston Night Duty">
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label class="form-label" for="on-call-timezone">Timezone</label>
+                    <input type="text" id="on-call-timezone" class="form-input" value="${sanitizeHTML(schedule.timezone || '')}" placeholder="Leave empty for local time" list="on-call-timezones">
+                    <datalist id="on-call-timezones">
+                        ${timezones.map(tz => `<option value="${tz}">`).join('')}
+                    </datalist>
+                </div>
+                <div class="grid grid-2 gap-3">
+                    <div class="form-group">
+                        <label class="form-label" for="on-call-start">First Handoff</label>
+                        <input type="date" id="on-call-start" class="form-input" value="${sanitizeHTML(schedule.startDate)}">
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label" for="on-call-handoff">Handoff Time</label>
+                        <input type="time" id="on-call-handoff" class="form-input" value="${sanitizeHTML(schedule.handoffTime)}">
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label class="form-label" for="on-call-rotation">Shift Length (days)</label>
+                    <input type="number" id="on-call-rotation" class="form-input" value="${schedule.rotationDays}" min="1">
+                </div>
+                <div class="form-group">
+                    <label class="form-label" for="on-call-members">Rotation (in order)</label>
+                    <input type="text" id="on-call-members" class="form-input" value="${sanitizeHTML(schedule.members.join(', '))}" placeholder="e.g. user-12, user-17, user-19" list="on-call-users">
+                    <datalist id="on-call-users">
+                        ${users.map(user => `<option value="${sanitizeHTML(user.id)}">${sanitizeHTML(user.name)}</option>`).join('')}
+                    </datalist>
+                </div>
+                <div class="form-group">
+                    <label class="form-label" for="on-call-overrides">Overrides</label>
+                    <textarea id="on-call-overrides" class="form-textarea" rows="4" placeholder="One per line: 2026-12-24T19:00 2026-12-26T07:00 user-17 Holiday cover">${sanitizeHTML(overrideLines)}</textarea>
+                    <p class="text-xs text-muted mt-1">Start, end (local time in the schedule's timezone), user id, then a reason.</p>
+                </div>
+                <div class="flex justify-end gap-2 mt-4">
+                    <button class="btn btn-secondary" onclick="app.uiManager.closeModal()">Cancel</button>
+                    <button class="btn btn-primary" onclick="app.saveOnCallSchedule(${scheduleId ? `'${sanitizeHTML(scheduleId)}'` : 'null'})">Save Schedule</button>
+                </div>
+            </div>
+        `);
+    }
+
+    async saveOnCallSchedule(scheduleId = null) {
+        const overrides = document.getElementById('on-call-overrides').value
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map(line => {
+                const [start, end, userId, ...reason] = line.split(/\s+/);
+                return { start, end, userId, reason: reason.join(' ') };
+            });
+
+        const definition = {
+            id: scheduleId || document.getElementById('on-call-id').value.trim(),
+            name: document.getElementById('on-call-name').value.trim(),
+            timezone: document.getElementById('on-call-timezone').value.trim() || null,
+            startDate: document.getElementById('on-call-start').value,
+            handoffTime: document.getElementById('on-call-handoff').value,
+            rotationDays: Number(document.getElementById('on-call-rotation').value),
+            members: document.getElementById('on-call-members').value.split(',').map(id => id.trim()).filter(Boolean),
+            overrides
+        };
+
+        try {
+            await this.dataManager.saveOnCallSchedule(definition);
+            this.uiManager.closeModal();
+            this.showToast('On-call schedule saved', 'success');
+            this.loadSection('on-call');
+        } catch (error) {
+            console.error('Error saving on-call schedule:', error);
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    async deleteOnCallSchedule(scheduleId) {
+        if (!confirm('Delete this on-call schedule?')) return;
+
+        try {
+            await this.dataManager.deleteOnCallSchedule(scheduleId);
+            this.showToast('On-call schedule deleted', 'success');
+            this.loadSection('on-call');
+        } catch (error) {
+            console.error('Error deleting on-call schedule:', error);
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    // Who a simulated level would reach through its on-call schedules
+    renderOnCallPreview(onCall) {
+        if (!onCall || onCall.length === 0) return '';
+
+        return onCall.map(entry => `
+            <br><small class="text-muted">On call (${sanitizeHTML(entry.scheduleName)}): ${entry.userName
+                ? `${sanitizeHTML(entry.userName)}${entry.source === 'override' ? ' (override)' : ''}`
+                : `nobody, ${sanitizeHTML(entry.reason)}`}</small>
+        `).join('');
+    }
+
+    // Intended vs. actual recipient for an escalation log entry
+    renderDeliveries(deliveries) {
+        return deliveries.map(delivery => `
+            <div class="text-sm">${sanitizeHTML(delivery.actualRecipient)}</div>
+            ${delivery.delegated ? `<div class="text-xs text-muted">on behalf of ${sanitizeHTML(delivery.intendedRecipient)}</div>` : ''}
+        `).join('');
+    }
+
+    // Users, their managers and out-of-office delegation (REQ-023)
+    async renderPeople() {
+        const users = await this.dataManager.getAllUsers();
+        const nameOf = id => users.find(user => user.id === id)?.name || id;
+        const now = new Date();
+
+        return `
+            <div class="section-header">
+                <h1 class="section-title">People &amp; Availability</h1>
+                <p class="section-description">While someone is out of office, their escalations go to their delegate on their behalf.</p>
+            </div>
+
+            <div class="card p-0 overflow-hidden">
+                <div class="table-container">
+                    <table class="table mb-0">
+                        <thead>
+                            <tr>
+                                <th>Name</th>
+                                <th>Role</th>
+                                <th>Manager</th>
+                                <th>Availability</th>
+                                <th>Delegate</th>
+                                <th class="text-right">Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${users.map(user => {
+                                const absence = getActiveAbsence(user, now);
+                                const delegateId = absence?.delegateId || user.delegateId;
+                                const upcoming = (user.absences || []).filter(a => a !== absence && new Date(a.end) >= now).length;
+                                return `
+                                <tr>
+                                    <td>
+                                        <div style="font-weight: 600;">${sanitizeHTML(user.name)}</div>
+                                        <div class="text-xs text-muted">${sanitizeHTML(user.email || '')}</div>
+                                    </td>
+                                    <td>${sanitizeHTML(this.dataManager.roleCatalog.get(user.role)?.label || user.role)} <span class="text-xs text-muted">${sanitizeHTML(user.department || '')}</span></td>
+                                    <td>${user.manager ? sanitizeHTML(nameOf(user.manager)) : '-'}</td>
+                                    <td>
+                                        ${absence
+                                            ? `<span class="badge badge-warning">Out of office</span><div class="text-xs text-muted">Until ${sanitizeHTML(absence.end)}${absence.reason ? ` · ${sanitizeHTML(absence.reason)}` : ''}</div>`
+                                            : '<span class="badge badge-success">Available</span>'}
+                                        ${upcoming > 0 ? `<div class="text-xs text-muted">${upcoming} upcoming absence(s)</div>` : ''}
+                                    </td>
+                                    <td>${delegateId ? sanitizeHTML(nameOf(delegateId)) : '-'}</td>
+                                    <td class="text-right">
+                                        <button class="btn btn-secondary btn-sm p-1" onclick="app.openAvailabilityEditor('${sanitizeHTML(user.id)}')" title="Edit Availability">📅</button>
+                                    </td>
+                                </tr>
+                            `;
+                            }).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+
+    async openAvailabilityEditor(userId) {
+        const user = await this.dataManager.getUser(userId);
+        if (!user) return;
+
+        const users = (await this.dataManager.getAllUsers()).filter(u => u.id !== userId);
+        const absenceLines = (user.absences || [])
+            .map(absence => [absence.start, absence.end, absence.delegateId ? `@${absence.delegateId}` : '', absence.reason || '']
+                .filter(Boolean).join(' '))
+            .join('\n');
+
+        this.uiManager.showModal(`Availability: ${user.name}`, `
+            <div class="p-2">
+                <div class="form-group">
+                    <label class="form-label" for="availability-delegate">Delegate</label>
+                    <select id="availability-delegate" class="form-select">
+                        <option value="">No delegate</option>
+                        ${users.map(u => `<option value="${sanitizeHTML(u.id)}" ${u.id === user.delegateId ? 'selected' : ''}>${sanitizeHTML(u.name)} (${sanitizeHTML(u.role)})</option>`).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label class="form-label" for="availability-absences">Out of Office</label>
+                    <textarea id="availability-absences" class="form-textarea" rows="5" placeholder="One per line: 2026-12-21 2026-12-31 @user-12 Holiday">${sanitizeHTML(absenceLines)}</textarea>
+                    <p class="text-xs text-muted mt-1">Start and end date, an optional @user-id delegate for that absence only, then a reason.</p>
+                </div>
+                <div class="flex justify-end gap-2 mt-4">
+                    <button class="btn btn-secondary" onclick="app.uiManager.closeModal()">Cancel</button>
+                    <button class="btn btn-primary" onclick="app.saveAvailability('${sanitizeHTML(userId)}')">Save Availability</button>
+                </div>
+            </div>
+        `);
+    }
+
+    async saveAvailability(userId) {
+        const absences = document.getElementById('availability-absences').value
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map(line => {
+                const [start, end, ...rest] = line.split(/\s+/);
+                const delegateId = rest[0]?.startsWith('@') ? rest.shift().slice(1) : null;
+                return { start, end, reason: rest.join(' '), ...(delegateId ? { delegateId } : {}) };
+            });
+
+        try {
+            await this.dataManager.updateUserAvailability(userId, {
+                absences,
+                delegateId: document.getElementById('availability-delegate').value || null
+            });
+            this.uiManager.closeModal();
+            this.showToast('Availability saved', 'success');
+            this.loadSection('people');
+        } catch (error) {
+            console.error('Error saving availability:', error);
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    async openCalendarEditor(calendarId = null) {
+        const calendars = await this.dataManager.getBusinessCalendars();
+        const calendar = calendars.find(c => c.id === calendarId) || {
+            id: '',
+            name: '',
+            timezone: '',
+            workingDays: [1, 2, 3, 4, 5],
+            hours: { start: '09:00', end: '17:00' },
+            hoursByDay: {},
+            holidays: []
+        };
+        const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        const timezones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+        const holidayLines = calendar.holidays
+            .map(holiday => typeof holiday === 'string' ? holiday : `${holiday.date} ${holiday.name}`)
+            .join('\n');
+
+        this.uiManager.showModal(calendarId ? 'Edit Business Calendar' : 'New Business Calendar', `
+            <div class="p-2">
+                <div class="grid grid-2 gap-3">
+                    <div class="form-group">
+                        <label class="form-label" for="calendar-id">Calendar ID</label>
+                        <input type="text" id="calendar-id" class="form-input" value="${sanitizeHTML(calendar.id)}" placeholder="e.g. plant-houston" ${calendarId ? 'disabled' : ''}>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label" for="calendar-name">Name</label>
+                        <input type="text" id="calendar-name" class="form-input" value="${sanitizeHTML(calendar.name)}" placeholder="e.g. Houston Plant">
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label class="form-label" for="calendar-timezone">Timezone</label>
+                    <input type="text" id="calendar-timezone" class="form-input" value="${sanitizeHTML(calendar.timezone || '')}" placeholder="Leave empty for local time" list="calendar-timezones">
+                    <datalist id="calendar-timezones">
+                        ${timezones.map(tz => `<option value="${tz}">`).join('')}
+                    </datalist>
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Working Days</label>
+                    <div class="flex gap-2 flex-wrap">
+                        ${dayNames.map((name, day) => `
+                            <label class="flex items-center gap-1 text-sm">
+                                <input type="checkbox" id="calendar-day-${day}" ${calendar.workingDays.includes(day) ? 'checked' : ''}> ${name}
+                            </label>
+                        `).join('')}
+                    </div>
+                </div>
+                <div class="grid grid-2 gap-3">
+                    <div class="form-group">
+                        <label class="form-label" for="calendar-start">Opens</label>
+                        <input type="time" id="calendar-start" class="form-input" value="${sanitizeHTML(calendar.hours.start)}">
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label" for="calendar-end">Closes</label>
+                        <input type="time" id="calendar-end" class="form-input" value="${sanitizeHTML(calendar.hours.end)}">
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label class="form-label" for="calendar-hours-by-day">Shift Overrides</label>
+                    <input type="text" id="calendar-hours-by-day" class="form-input" placeholder="e.g. Sat 08:00-12:00, Sun 10:00-14:00"
+                        value="${sanitizeHTML(Object.entries(calendar.hoursByDay).map(([day, hours]) => `${dayNames[day]} ${hours.start}-${hours.end}`).join(', '))}">
+                </div>
+                <div class="form-group">
+                    <label class="form-label" for="calendar-holidays">Holidays</label>
+                    <textarea id="calendar-holidays" class="form-textarea" rows="5" placeholder="One per line: 2025-12-25 Christmas Day">${sanitizeHTML(holidayLines)}</textarea>
+                </div>
+                <div class="flex justify-end gap-2 mt-4">
+                    <button class="btn btn-secondary" onclick="app.uiManager.closeModal()">Cancel</button>
+                    <button class="btn btn-primary" onclick="app.saveCalendar(${calendarId ? `'${sanitizeHTML(calendarId)}'` : 'null'})">Save Calendar</button>
+                </div>
+            </div>
+        `);
+    }
+
+    async saveCalendar(calendarId = null) {
+        const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        const hoursByDay = {};
+        const overrides = document.getElementById('calendar-hours-by-day').value.trim();
+
+        if (overrides) {
+            for (const entry of overrides.split(',')) {
+                const match = entry.trim().match(/^(\w{3})\s+(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/);
+                const day = match ? dayNames.indexOf(match[1].charAt(0).toUpperCase() + match[1].slice(1, 3).toLowerCase()) : -1;
+                if (day < 0) {
+                    this.showToast(`Invalid shift override: ${sanitizeHTML(entry.trim())}`, 'error');
+                    return;
+                }
+                hoursByDay[day] = { start: match[2], end: match[3] };
+            }
+        }
+
+        const holidays = document.getElementById('calendar-holidays').value
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map(line => {
+                const [date, ...name] = line.split(/\s+/);
+                return name.length > 0 ? { date, name: name.join(' ') } : date;
+            });
+
+        const definition = {
+            id: calendarId || document.getElementById('calendar-id').value.trim(),
+            name: document.getElementById('calendar-name').value.trim(),
+            timezone: document.getElementById('calendar-timezone').value.trim() || null,
+            workingDays: [0, 1, 2, 3, 4, 5, 6].filter(day => document.getElementById(`calendar-day-${day}`).checked),
+            hours: {
+                start: document.getElementById('calendar-start').value,
+                end: document.getElementById('calendar-end').value
+            },
+            hoursByDay,
+            holidays
+        };
+
+        try {
+            await this.dataManager.saveBusinessCalendar(definition);
+            this.uiManager.closeModal();
+            this.showToast('Business calendar saved', 'success');
+            this.loadSection('calendars');
+        } catch (error) {
+            console.error('Error saving business calendar:', error);
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    async deleteCalendar(calendarId) {
+        if (!confirm('Delete this business calendar?')) return;
+
+        try {
+            await this.dataManager.deleteBusinessCalendar(calendarId);
+            this.showToast('Business calendar deleted', 'success');
+            this.loadSection('calendars');
+        } catch (error) {
+            console.error('Error deleting business calendar:', error);
+            this.showToast(error.message, 'error');
+        }
+    }
+
     async renderNotifications() {
         const notifications = await this.dataManager.getNotifications();
 
@@ -1223,17 +2169,8 @@ class EscalationMatrixApp {
                 break;
             case 2:
                 // Rules validation - at least one rule should be defined
-                const rulesContainer = document.getElementById('rules-container');
-                let hasValidRule = false;
-                for (let i = 1; i <= rulesContainer.children.length; i++) {
-                    const field = document.getElementById(`rule-field-${i}`)?.value;
-                    const operator = document.getElementById(`rule-operator-${i}`)?.value;
-                    const value = document.getElementById(`rule-value-${i}`)?.value;
-                    if (field && operator && value && value.trim()) {
-                        hasValidRule = true;
-                        break;
-                    }
-                }
+                const hasValidRule = ruleEvaluator.getConditions(this.collectRules())
+                    .some(rule => !ruleEvaluator.operatorRequiresValue(rule.operator) || String(rule.value).trim());
                 if (!hasValidRule) {
                     this.showToast('Please define at least one complete applicability rule', 'error');
                     return false;
@@ -1271,8 +2208,7 @@ class EscalationMatrixApp {
                 applicabilityRules: this.collectRules(),
                 hierarchy: this.collectHierarchy(),
                 triggers: this.collectTriggers(),
-                notificationTemplates: this.collectNotificationTemplates(),
-                active: true
+                notificationTemplates: this.collectNotificationTemplates()
             };
 
             // Validate template
@@ -1290,9 +2226,9 @@ class EscalationMatrixApp {
             }
 
             // Save template
-            await this.dataManager.saveTemplate(template);
+            await this.dataManager.saveTemplate(template, { author: this.getSessionUserId(), note: 'Created' });
 
-            this.showToast('Template created successfully!', 'success');
+            this.showToast('Template saved as a draft. Submit it for review to publish it.', 'success');
             this.navigateToSection('templates');
 
         } catch (error) {
@@ -1301,55 +2237,68 @@ class EscalationMatrixApp {
         }
     }
 
+    // Levels that would reach nobody (or only a fallback) for any department or site the
+    // template applies to; the same check the Coverage panel runs for published templates
     async checkHierarchyGaps(template) {
         const warnings = [];
 
-        // Identify potential departments this template applies to
-        let targetDepartments = [null];
-
-        const deptRule = template.applicabilityRules.find(r => r.field.toLowerCase() === 'department' && r.operator === 'equals');
-        if (deptRule) {
-            targetDepartments = [deptRule.value];
-        } else {
-             targetDepartments = [null];
-        }
-
         for (const level of template.hierarchy) {
-            for (const role of level.roles) {
-                for (const dept of targetDepartments) {
-                    const users = await this.dataManager.getUsersByRole(role, dept);
-                    if (users.length === 0) {
-                        const deptMsg = dept ? ` for department '${dept}'` : '';
-                        warnings.push(`Role '${role}' is currently empty${deptMsg}. Escalations to Level ${level.level} may fail.`);
-                    }
+            for (const role of level.roles || []) {
+                if (!isRelativeRole(role) && !this.dataManager.roleCatalog.has(role)) {
+                    warnings.push(`Role '${role}' is not in the role catalog. Escalations to Level ${level.level} will only reach users whose role is exactly '${role}'.`);
                 }
             }
         }
 
+        const issues = await this.coverageMonitor.checkTemplate(template);
+        warnings.push(...issues.map(issue => issue.message));
+
         return warnings;
     }
 
+    // Build the rule tree from the nested groups in the Step 2 rule builder
     collectRules() {
-        const rulesContainer = document.getElementById('rules-container');
-        const rules = [];
-
-        for (let i = 1; i <= rulesContainer.children.length; i++) {
-            const field = document.getElementById(`rule-field-${i}`)?.value;
-            const operator = document.getElementById(`rule-operator-${i}`)?.value;
-            const value = document.getElementById(`rule-value-${i}`)?.value;
-            const logic = document.getElementById(`rule-logic-${i}`)?.value;
-
-            if (field && operator && value) {
-                rules.push({
-                    field: sanitizeHTML(field),
-                    operator,
-                    value: sanitizeHTML(value),
-                    logic: logic || 'AND'
-                });
+        const rootGroup = document.getElementById('rule-group-1');
+        if (!rootGroup) return ruleEvaluator.createGroup('AND');
+
+        return this.collectRuleGroup(rootGroup) || ruleEvaluator.createGroup('AND');
+    }
+
+    collectRuleGroup(groupElement) {
+        const groupId = groupElement.dataset.groupId;
+        const logic = document.getElementById(`rule-group-logic-${groupId}`)?.value || 'AND';
+        const negate = document.getElementById(`rule-group-not-${groupId}`)?.checked;
+        const childrenContainer = document.getElementById(`rule-group-children-${groupId}`);
+        const children = [];
+
+        Array.from(childrenContainer?.children || []).forEach(child => {
+            if (child.classList.contains('rule-group')) {
+                const group = this.collectRuleGroup(child);
+                if (group) children.push(group);
+            } else if (child.classList.contains('rule-item')) {
+                const index = child.id.replace('rule-row-', '');
+                const field = document.getElementById(`rule-field-${index}`)?.value;
+                const operator = document.getElementById(`rule-operator-${index}`)?.value;
+                const value = document.getElementById(`rule-value-${index}`)?.value;
+
+                const requiresValue = ruleEvaluator.operatorRequiresValue(operator);
+
+                if (field && operator && (value || !requiresValue)) {
+                    children.push({
+                        type: 'condition',
+                        field,
+                        operator,
+                        value: requiresValue ? value : ''
+                    });
+                }
             }
-        }
+        });
+
+        // Nested groups without any complete condition are dropped
+        if (children.length === 0 && groupId !== '1') return null;
 
-        return rules;
+        const group = ruleEvaluator.createGroup(logic, children);
+        return negate ? { type: 'not', child: group } : group;
     }
 
     collectHierarchy() {
@@ -1357,13 +2306,22 @@ class EscalationMatrixApp {
         const hierarchy = [];
 
         for (let i = 1; i <= hierarchyContainer.children.length; i++) {
-            const roles = [document.getElementById(`hierarchy-roles-${i}`)?.value].filter(Boolean);
+            const selected = Array.from(document.getElementById(`level-recipients-${i}`)?.selectedOptions || [])
+                .map(option => option.value);
+            const roles = [
+                document.getElementById(`hierarchy-roles-${i}`)?.value,
+                ...selected.filter(value => isRelativeRole(value) || this.dataManager.roleCatalog.has(value))
+            ].filter(Boolean);
+            const onCallSchedules = selected
+                .filter(value => value.startsWith(ON_CALL_OPTION_PREFIX))
+                .map(value => value.slice(ON_CALL_OPTION_PREFIX.length));
             const fallbackEmail = document.getElementById(`hierarchy-fallback-${i}`)?.value;
 
-            if (roles.length > 0 || fallbackEmail) {
+            if (roles.length > 0 || onCallSchedules.length > 0 || fallbackEmail) {
                 hierarchy.push({
                     level: i,
                     roles: roles.map(role => sanitizeHTML(role)),
+                    ...(onCallSchedules.length > 0 ? { onCallSchedules } : {}),
                     fallbackEmail: fallbackEmail ? sanitizeHTML(fallbackEmail) : undefined
                 });
             }
@@ -1376,40 +2334,75 @@ class EscalationMatrixApp {
         const triggersContainer = document.getElementById('triggers-container');
         const triggers = [];
 
-        for (let i = 1; i <= triggersContainer.children.length; i++) {
+        // Rows keep their ids when others are removed, so walk the rendered rows
+        triggersContainer.querySelectorAll('.trigger-item').forEach(row => {
+            const i = row.id.replace('trigger-row-', '');
             const type = document.getElementById(`trigger-type-${i}`)?.value;
             const level = parseInt(document.getElementById(`trigger-level-${i}`)?.value);
-            const config = document.getElementById(`trigger-config-${i}`)?.value;
             const schedule = document.getElementById(`trigger-schedule-${i}`)?.value || '24/7';
+            const calendarId = document.getElementById(`trigger-calendar-${i}`)?.value || 'default';
+
+            if (!type || !level) return;
+
+            if (type === 'time-based') {
+                // Reference fields come from the module's field schema, so the key is stored as-is
+                const referenceField = document.getElementById(`trigger-time-field-${i}`)?.value;
+                const amount = parseInt(document.getElementById(`trigger-time-val-${i}`)?.value) || 0;
+                const unit = document.getElementById(`trigger-time-unit-${i}`)?.value;
+                const direction = document.getElementById(`trigger-time-direction-${i}`)?.value;
+                const minutes = amount * (OFFSET_UNIT_MINUTES[unit] || OFFSET_UNIT_MINUTES.days);
+
+                if (referenceField) {
+                    triggers.push({
+                        type,
+                        level,
+                        referenceField,
+                        // Signed offset in minutes; negative means before the reference date
+                        offsetMinutes: direction === 'before' ? -minutes : minutes,
+                        dayMode: unit === 'working-days' ? 'working' : 'calendar',
+                        calendarId,
+                        scheduleContext: schedule
+                    });
+                }
+            } else {
+                const selected = document.getElementById(`trigger-event-select-${i}`)?.value || '';
 
-            if (type && level && config) {
-                if (type === 'time-based') {
-                    // Parse time-based config (e.g., "5 days before dueDate")
-                    const sanitizedConfig = sanitizeHTML(config);
-                    const match = sanitizedConfig.match(/(\d+)\s*(hour|day|week)s?\s*before\s*(.+)/);
-                    if (match) {
+                if (selected.startsWith('event:')) {
+                    // Record activity: comment added, assignment changed, record created or a custom event
+                    const event = selected.slice('event:'.length);
+                    const eventName = document.getElementById(`trigger-event-name-${i}`)?.value.trim();
+
+                    if (event !== 'custom' || eventName) {
                         triggers.push({
                             type,
                             level,
-                            referenceField: sanitizeHTML(match[3]),
-                            daysBefore: match[2] === 'hour' ? 0 : match[2] === 'day' ? parseInt(match[1]) : parseInt(match[1]) * 7,
-                            daysAfter: 0,
+                            event,
+                            ...(event === 'custom' ? { eventName } : {}),
+                            calendarId,
                             scheduleContext: schedule
                         });
                     }
-                } else {
-                    // Event-based trigger
-                    const sanitizedConfig = sanitizeHTML(config);
+                    return;
+                }
+
+                // Field transition: fires once when the field changes from the "From" value to the "To" value
+                const from = document.getElementById(`trigger-event-from-${i}`)?.value;
+                const value = document.getElementById(`trigger-event-to-${i}`)?.value;
+
+                if (selected && value) {
                     triggers.push({
                         type,
                         level,
-                        field: sanitizeHTML(sanitizedConfig.split('=')[0]?.trim()),
-                        value: sanitizeHTML(sanitizedConfig.split('=')[1]?.trim()),
+                        event: 'field-change',
+                        field: selected,
+                        ...(from && from !== ANY_VALUE ? { from } : {}),
+                        value,
+                        calendarId,
                         scheduleContext: schedule
                     });
                 }
             }
-        }
+        });
 
         return triggers;
     }
@@ -1504,14 +2497,8 @@ class EscalationMatrixApp {
             </div>
 
             <div id="rules-container" class="rules-builder">
-                <!-- Initial rule -->
-                ${this.generateRuleHTML(1, fields, true)}
-            </div>
-
-            <div class="flex gap-2 mt-4">
-                <button class="btn btn-secondary" onclick="app.addRule()">
-                    <span style="margin-right: 5px;">+</span> Add Condition
-                </button>
+                <!-- Root group with an initial rule -->
+                ${this.generateRuleGroupHTML(1, fields, true)}
             </div>
 
             <div class="mt-4 p-3 bg-secondary rounded border border-color">
@@ -1521,60 +2508,57 @@ class EscalationMatrixApp {
         `;
     }
 
-    // Enhanced getFieldsForModule with dynamic sub-options support
+    // Rule builder fields come from the module's field schema
     getFieldsForModule(module) {
-        const commonFields = [
-            { value: 'status', label: 'Status' },
-            { value: 'department', label: 'Department' },
-            { value: 'location', label: 'Location' }
-        ];
+        return fieldSchemaRegistry.getFields(module).map(field => ({
+            value: field.key,
+            label: field.label,
+            type: field.type,
+            values: field.values
+        }));
+    }
 
-        switch (module) {
-            case 'incidents':
-                return [
-                    { value: 'priority', label: 'Priority' },
-                    { value: 'severity', label: 'Severity' },
-                    { value: 'category', label: 'Category' },
-                    ...commonFields
-                ];
-            case 'work-permits':
-                return [
-                    { value: 'type', label: 'Permit Type' },
-                    { value: 'riskLevel', label: 'Risk Level' },
-                    ...commonFields
-                ];
-            case 'audits':
-                return [
-                    { value: 'findingType', label: 'Finding Type' },
-                    { value: 'riskRating', label: 'Risk Rating' },
-                    ...commonFields
-                ];
-            default:
-                return commonFields;
-        }
+    // A group of conditions combined with AND/OR, optionally negated; groups can be nested
+    generateRuleGroupHTML(groupId, fields, isRoot = false) {
+        return `
+            <div class="rule-group card p-3 mb-3 relative" id="rule-group-${groupId}" data-group-id="${groupId}">
+                <div class="flex items-center gap-2 mb-3">
+                    <span class="text-sm font-bold text-muted">Match</span>
+                    <select class="form-select" id="rule-group-logic-${groupId}" style="width: auto;" onchange="app.updateRulesPreview()">
+                        <option value="AND">All of (AND)</option>
+                        <option value="OR">Any of (OR)</option>
+                    </select>
+                    <label class="flex items-center gap-1 text-sm">
+                        <input type="checkbox" id="rule-group-not-${groupId}" onchange="app.updateRulesPreview()"> NOT
+                    </label>
+                    ${!isRoot ? `
+                        <button class="btn btn-danger btn-sm" style="margin-left: auto;" onclick="app.removeRuleGroup(${groupId})" title="Remove Group">✕</button>
+                    ` : ''}
+                </div>
+
+                <div id="rule-group-children-${groupId}" class="rule-group-children">
+                    ${isRoot ? this.generateRuleHTML(1, fields, true) : ''}
+                </div>
+
+                <div class="flex gap-2">
+                    <button class="btn btn-secondary btn-sm" onclick="app.addRule(${groupId})">
+                        <span style="margin-right: 5px;">+</span> Add Condition
+                    </button>
+                    <button class="btn btn-secondary btn-sm" onclick="app.addRuleGroup(${groupId})">
+                        <span style="margin-right: 5px;">+</span> Add Group
+                    </button>
+                </div>
+            </div>
+        `;
     }
 
     generateRuleHTML(index, fields, isFirst = false) {
         const options = fields.map(f => `<option value="${f.value}">${f.label}</option>`).join('');
+        const operatorOptions = ruleEvaluator.getOperators()
+            .map(op => `<option value="${op.name}">${op.label}</option>`).join('');
 
         return `
             <div class="rule-item card p-3 mb-3 relative" id="rule-row-${index}">
-                ${!isFirst ? `
-                    <div class="logic-connector-line"></div>
-                    <div class="mb-3 logic-operator-badge">
-                         <div class="flex items-center gap-2">
-                            <span class="text-sm font-bold text-muted">Combine with:</span>
-                            <div class="btn-group">
-                                <input type="radio" class="btn-check" name="rule-logic-${index}" id="logic-and-${index}" value="AND" checked onchange="app.updateRulesPreview()">
-                                <label class="btn btn-outline-primary btn-sm" for="logic-and-${index}">AND</label>
-
-                                <input type="radio" class="btn-check" name="rule-logic-${index}" id="logic-or-${index}" value="OR" onchange="app.updateRulesPreview()">
-                                <label class="btn btn-outline-primary btn-sm" for="logic-or-${index}">OR</label>
-                            </div>
-                         </div>
-                    </div>
-                ` : ''}
-
                 <div class="grid grid-3 gap-3 items-end">
                     <div class="form-group mb-0">
                         <div class="tooltip-container">
@@ -1592,14 +2576,8 @@ class EscalationMatrixApp {
                             <label class="form-label text-xs">Condition <span class="tooltip-icon">ⓘ</span></label>
                             <span class="tooltip-text">How to compare the field value (e.g., Equals, Contains).</span>
                         </div>
-                        <select class="form-select" id="rule-operator-${index}" onchange="app.updateRulesPreview()">
-                            <option value="equals">Equals</option>
-                            <option value="notEquals">Does not equal</option>
-                            <option value="contains">Contains</option>
-                            <option value="greaterThan">Greater Than</option>
-                            <option value="lessThan">Less Than</option>
-                            <option value="isEmpty">Is Empty</option>
-                            <option value="isNotEmpty">Is Not Empty</option>
+                        <select class="form-select" id="rule-operator-${index}" onchange="app.updateOperatorInput(${index}); app.updateRulesPreview()">
+                            ${operatorOptions}
                         </select>
                     </div>
 
@@ -1638,20 +2616,41 @@ class EscalationMatrixApp {
 
                 <h5 class="mb-1">Operators</h5>
                 <ul class="mb-3 ml-4">
-                    <li><strong>Equals:</strong> Exact match</li>
+                    <li><strong>Equals / Does not equal:</strong> Exact match or mismatch</li>
                     <li><strong>Contains:</strong> Partial match (useful for text)</li>
                     <li><strong>Greater/Less Than:</strong> For numbers or dates</li>
+                    <li><strong>Is one of / Is not one of:</strong> Comma-separated list, e.g. <code>High, Critical</code></li>
+                    <li><strong>Between:</strong> Inclusive range of numbers or dates, e.g. <code>1, 5</code></li>
+                    <li><strong>Matches pattern:</strong> Regular expression, e.g. <code>^INC-2025</code> or <code>/spill/i</code></li>
+                    <li><strong>Is Empty / Is Not Empty:</strong> Field is missing or blank; no value needed</li>
+                    <li><strong>Date within:</strong> Relative window such as <code>last 48h</code> or <code>next 7d</code> (units m, h, d, w)</li>
                 </ul>
 
                 <h5 class="mb-1">Logic</h5>
                 <ul class="ml-4">
-                    <li><strong>AND:</strong> Both conditions must be true</li>
-                    <li><strong>OR:</strong> At least one condition must be true</li>
+                    <li><strong>All of (AND):</strong> Every condition in the group must be true</li>
+                    <li><strong>Any of (OR):</strong> At least one condition in the group must be true</li>
+                    <li><strong>NOT:</strong> Inverts the result of the group</li>
+                    <li><strong>Groups:</strong> Nest groups to express logic such as A AND (B OR C)</li>
                 </ul>
             </div>
         `);
     }
 
+    // Adapt the value input to the selected operator (format hint, disabled for isEmpty)
+    updateOperatorInput(ruleIndex) {
+        const operator = document.getElementById(`rule-operator-${ruleIndex}`)?.value;
+        const valueInput = document.getElementById(`rule-value-${ruleIndex}`);
+        if (!operator || !valueInput) return;
+
+        const definition = ruleEvaluator.getOperators().find(op => op.name === operator);
+        const requiresValue = definition ? definition.requiresValue : true;
+
+        valueInput.disabled = !requiresValue;
+        valueInput.placeholder = requiresValue ? (definition?.hint || 'Value') : 'No value needed';
+        if (!requiresValue) valueInput.value = '';
+    }
+
     // Updated updateFieldOptions to handle Parent-Child dependency simulation
     async updateFieldOptions(ruleIndex) {
         const fieldSelect = document.getElementById(`rule-field-${ruleIndex}`);
@@ -1666,32 +2665,20 @@ class EscalationMatrixApp {
         if (subfieldContainer) subfieldContainer.classList.add('hidden');
 
         if (field && module) {
-            // Parent-Child logic simulation: if Category is selected, show Sub-category dropdown
-            if (field === 'category' && module === 'incidents') {
-                 // Simulate fetching sub-categories
-                 // In a real app, this would be dynamic.
-                 // For now, we just indicate the capability or load specific options
-                 // But since the requirement is "First dropdown selection should dynamically filter options in the last dropdown"
-                 // That's what we are doing below by populating the datalist based on the field.
-                 // If "Parent-Child" specifically refers to two linked dropdowns (Category -> Subcategory), I should implement that.
-                 // Let's assume it means dependent fields.
-            }
-
             // Fetch unique values for this field from existing records
             const records = await this.dataManager.getRecords(module);
             const values = new Set();
 
             records.forEach(record => {
-                if (record[field]) {
-                    values.add(record[field]);
+                const value = ruleEvaluator.getNestedValue(record, field);
+                if (value) {
+                    values.add(value);
                 }
             });
 
-            // Also add some known defaults based on field name if record data is sparse
-            if (field === 'priority') ['Critical', 'High', 'Medium', 'Low'].forEach(v => values.add(v));
-            if (field === 'status') ['Open', 'In Progress', 'Resolved', 'Closed', 'Overdue'].forEach(v => values.add(v));
-            if (field === 'severity') ['High', 'Medium', 'Low'].forEach(v => values.add(v));
-            if (field === 'department') ['Operations', 'Safety', 'Maintenance', 'HR'].forEach(v => values.add(v));
+            // Enum fields always offer their declared values, even if record data is sparse
+            const schemaField = fieldSchemaRegistry.getField(module, field);
+            if (schemaField) schemaField.values.forEach(v => values.add(v));
 
             dataList.innerHTML = Array.from(values).sort().map(val => `<option value="${sanitizeHTML(val)}">`).join('');
 
@@ -1772,7 +2759,7 @@ class EscalationMatrixApp {
             ];
              // Try to get real users if available
              try {
-                 const users = await this.dataManager.getUsersByRole(''); // get all
+                 const users = await this.dataManager.getAllUsers();
                  if(users && users.length > 0) this.usersList = users;
              } catch(e) {}
         }
@@ -1789,6 +2776,17 @@ class EscalationMatrixApp {
         }
 
         const userOptions = this.usersList.map(u => `<option value="${u.id}">${u.name} - ${u.role} (${u.department})</option>`).join('');
+        // Resolved per record by walking the org chart from the assignee or department
+        const relativeRoles = [...Object.keys(RELATIVE_ROLES), 'manager+2', 'manager+3'];
+        const relativeOptions = relativeRoles.map(role =>
+            `<option value="${role}" title="${sanitizeHTML(RELATIVE_ROLES[role]?.description || describeRole(role))}">${sanitizeHTML(describeRole(role))}</option>`
+        ).join('');
+        const roleOptions = (await this.dataManager.getRoles()).map(role =>
+            `<option value="${sanitizeHTML(role.id)}" title="${sanitizeHTML(role.description)}">${sanitizeHTML(role.label)} (${role.scope})</option>`
+        ).join('');
+        const onCallOptions = (await this.dataManager.getOnCallSchedules()).map(schedule =>
+            `<option value="${ON_CALL_OPTION_PREFIX}${sanitizeHTML(schedule.id)}">${sanitizeHTML(schedule.name)}</option>`
+        ).join('');
 
         return `
             <div class="hierarchy-level card p-3 mb-3 relative transition-all" id="level-row-${levelIndex}">
@@ -1858,7 +2856,10 @@ class EscalationMatrixApp {
                         <div class="form-group mb-0">
                             <label class="form-label text-xs">Select Users/Roles</label>
                             <select class="form-select" id="level-recipients-${levelIndex}" multiple size="4">
-                                ${userOptions}
+                                <optgroup label="Roles">${roleOptions}</optgroup>
+                                <optgroup label="Relative to the record">${relativeOptions}</optgroup>
+                                <optgroup label="On-call schedules">${onCallOptions}</optgroup>
+                                <optgroup label="Users">${userOptions}</optgroup>
                             </select>
                             <div class="flex justify-between items-center mt-1">
                                 <p class="text-xs text-muted">Hold Ctrl/Cmd to select multiple</p>
@@ -1953,23 +2954,19 @@ class EscalationMatrixApp {
     }
 
     generateTriggerHTML(index, module) {
-        // Dynamic fields based on module
-        let dateFields = [];
-        let eventFields = [];
-
-        if (module === 'incidents') {
-            dateFields = ['Created Date', 'Last Updated', 'Due Date', 'Resolution Target'];
-            eventFields = ['Status Change', 'Priority Change', 'Assignment Change', 'Comment Added'];
-        } else if (module === 'work-permits') {
-            dateFields = ['Expiration Date', 'Start Date', 'Extension Date'];
-            eventFields = ['Status Change', 'Extension Requested', 'Suspension'];
-        } else {
-            dateFields = ['Due Date', 'Follow-up Date', 'Closure Date'];
-            eventFields = ['Status Change', 'Finding Verified', 'Action Plan Submitted'];
-        }
-
-        const dateOptions = dateFields.map(f => `<option value="${f}">${f}</option>`).join('');
-        const eventOptions = eventFields.map(f => `<option value="${f}">${f}</option>`).join('');
+        // Date and event fields come from the module's field schema
+        const dateFields = fieldSchemaRegistry.getDateFields(module);
+        const eventFields = fieldSchemaRegistry.getEventFields(module);
+
+        const dateOptions = dateFields.map(f => `<option value="${f.key}">${f.label}</option>`).join('');
+        const eventOptions = eventFields.map(f => `<option value="${f.key}">${f.label} Change</option>`).join('');
+        // Record activity events are stored as "event:<kind>" so they can share the select with fields
+        const activityOptions = Object.entries(EVENT_TRIGGER_KINDS)
+            .filter(([kind]) => kind !== 'field-change')
+            .map(([kind, definition]) => `<option value="event:${kind}">${definition.label}</option>`).join('');
+        const eventValues = eventFields[0]?.values || [];
+        const calendarOptions = this.dataManager.calendarRegistry.list()
+            .map(c => `<option value="${c.id}">${sanitizeHTML(c.name)}</option>`).join('');
 
         return `
             <div class="trigger-item card p-0 h-full relative" id="trigger-row-${index}">
@@ -2002,6 +2999,22 @@ class EscalationMatrixApp {
                          <input type="hidden" id="trigger-type-${index}" value="time-based">
                     </div>
 
+                    <div class="flex gap-2 mb-3">
+                        <div class="form-group mb-0 flex-1">
+                            <label class="form-label text-xs">Send Window</label>
+                            <select class="form-select" id="trigger-schedule-${index}">
+                                <option value="24/7">Any time (24/7)</option>
+                                <option value="business-hours">Business hours only</option>
+                            </select>
+                        </div>
+                        <div class="form-group mb-0 flex-1">
+                            <label class="form-label text-xs">Business Calendar</label>
+                            <select class="form-select" id="trigger-calendar-${index}">
+                                ${calendarOptions}
+                            </select>
+                        </div>
+                    </div>
+
                     <!-- Time Based Config -->
                     <div id="trigger-time-config-${index}">
                         <div class="form-group mb-2">
@@ -2009,8 +3022,10 @@ class EscalationMatrixApp {
                              <div class="flex gap-1 items-center">
                                 <input type="number" class="form-input" placeholder="0" style="width: 60px;" id="trigger-time-val-${index}">
                                 <select class="form-select flex-1" id="trigger-time-unit-${index}">
+                                    <option value="minutes">Minutes</option>
                                     <option value="hours">Hours</option>
                                     <option value="days">Days</option>
+                                    <option value="working-days">Working Days</option>
                                     <option value="weeks">Weeks</option>
                                 </select>
                              </div>
@@ -2035,26 +3050,28 @@ class EscalationMatrixApp {
                          <div class="form-group mb-3">
                             <label class="form-label text-xs">Event</label>
                             <select class="form-select" id="trigger-event-select-${index}" onchange="app.toggleEventDetails(${index}, this.value)">
-                                ${eventOptions}
+                                <optgroup label="Field changes">${eventOptions}</optgroup>
+                                <optgroup label="Record activity">${activityOptions}</optgroup>
                             </select>
                          </div>
 
-                         <!-- Conditional Fields -->
-                         <div id="trigger-event-details-${index}" class="hidden p-2 bg-secondary rounded border border-color">
+                         <div id="trigger-event-name-group-${index}" class="form-group mb-3 hidden">
+                            <label class="form-label text-xs">Event Name</label>
+                            <input type="text" class="form-input" id="trigger-event-name-${index}" placeholder="e.g. permit-suspended">
+                         </div>
+
+                         <!-- Value transition, options follow the selected field -->
+                         <div id="trigger-event-details-${index}" class="p-2 bg-secondary rounded border border-color">
                              <div class="form-group mb-2">
-                                 <label class="form-label text-xs">From Status</label>
-                                 <select class="form-select text-xs">
-                                     <option value="Any">Any</option>
-                                     <option value="Open">Open</option>
-                                     <option value="In Progress">In Progress</option>
+                                 <label class="form-label text-xs">From</label>
+                                 <select class="form-select text-xs" id="trigger-event-from-${index}">
+                                     ${this.generateEventValueOptions(eventValues, true)}
                                  </select>
                              </div>
                              <div class="form-group mb-0">
-                                 <label class="form-label text-xs">To Status</label>
-                                 <select class="form-select text-xs">
-                                     <option value="Critical">Critical</option>
-                                     <option value="Overdue">Overdue</option>
-                                     <option value="Closed">Closed</option>
+                                 <label class="form-label text-xs">To</label>
+                                 <select class="form-select text-xs" id="trigger-event-to-${index}">
+                                     ${this.generateEventValueOptions(eventValues)}
                                  </select>
                              </div>
                          </div>
@@ -2082,14 +3099,25 @@ class EscalationMatrixApp {
         }
     }
 
-    toggleEventDetails(index, eventType) {
-        const details = document.getElementById(`trigger-event-details-${index}`);
-        if (eventType === 'Status Change' || eventType === 'Priority Change') {
-            details.classList.remove('hidden');
-            // Logic to update dropdown options based on event type would go here
-        } else {
-            details.classList.add('hidden');
-        }
+    toggleEventDetails(index, fieldKey) {
+        // Activity events have no field transition; custom events need a name instead
+        const isActivity = fieldKey.startsWith('event:');
+        document.getElementById(`trigger-event-details-${index}`)?.classList.toggle('hidden', isActivity);
+        document.getElementById(`trigger-event-name-group-${index}`)?.classList.toggle('hidden', fieldKey !== 'event:custom');
+        if (isActivity) return;
+
+        const module = document.getElementById('template-module')?.value || 'incidents';
+        const values = fieldSchemaRegistry.getField(module, fieldKey)?.values || [];
+
+        const fromSelect = document.getElementById(`trigger-event-from-${index}`);
+        const toSelect = document.getElementById(`trigger-event-to-${index}`);
+        if (fromSelect) fromSelect.innerHTML = this.generateEventValueOptions(values, true);
+        if (toSelect) toSelect.innerHTML = this.generateEventValueOptions(values);
+    }
+
+    generateEventValueOptions(values, includeAny = false) {
+        const options = values.map(value => `<option value="${value}">${value}</option>`).join('');
+        return includeAny ? `<option value="${ANY_VALUE}">${ANY_VALUE}</option>${options}` : options;
     }
 
     showTriggerHelp() {
@@ -2097,8 +3125,10 @@ class EscalationMatrixApp {
             <div class="p-2">
                  <p>Triggers initiate the escalation process.</p>
                  <ul>
-                    <li><strong>Time Based:</strong> Triggers relative to a date field (e.g., 2 days before Due Date).</li>
-                    <li><strong>Event Based:</strong> Triggers when a specific action occurs (e.g., Status changes to Critical).</li>
+                    <li><strong>Time Based:</strong> Triggers relative to a date field, down to the minute (e.g., 2 days before Due Date, 2 hours after Created Date).</li>
+                    <li><strong>Working Days:</strong> Counts only working days, skipping weekends and holidays (e.g., 5 working days before Due Date).</li>
+                    <li><strong>Business Calendar:</strong> The site calendar (working days, hours, holidays, timezone) used for working-day offsets and business-hours sending.</li>
+                    <li><strong>Event Based:</strong> Fires once when a specific change happens to a record: a field transition (e.g., Status changes from In Progress to Overdue), a comment, a reassignment, record creation or a named custom event.</li>
                  </ul>
             </div>
         `);
@@ -2149,12 +3179,12 @@ class EscalationMatrixApp {
                     <div class="card p-3">
                         <div class="form-group">
                             <label class="form-label" for="email-subject">Subject</label>
-                            <input type="text" id="email-subject" class="form-input" placeholder="Email subject" value="ESCALATION: {{id}} - {{location}}" oninput="app.updateEmailPreviewRender()">
+                            <input type="text" id="email-subject" class="form-input" placeholder="Email subject" value="ESCALATION: {{id}} - {{location}}" onfocus="app.placeholderTargetId = this.id" oninput="app.updateEmailPreviewRender()">
                         </div>
 
                         <div class="form-group">
                             <label class="form-label" for="email-body">Body</label>
-                            <textarea id="email-body" class="form-textarea" rows="10" placeholder="Email body" oninput="app.updateEmailPreviewRender()">Dear {{recipientName}},
+                            <textarea id="email-body" class="form-textarea" rows="10" placeholder="Email body" onfocus="app.placeholderTargetId = this.id" oninput="app.updateEmailPreviewRender()">Dear {{recipientName}},
 
 An item requires your attention:
 
@@ -2173,7 +3203,9 @@ This is an automated escalation notification.</textarea>
                          <div class="mt-3">
                             <h5 class="text-sm font-bold mb-1">Available Placeholders</h5>
                             <div class="text-xs text-muted">
-                                {{id}}, {{description}}, {{priority}}, {{status}}, {{location}}, {{department}}, {{recipientName}}
+                                ${fieldSchemaRegistry.getPlaceholders(document.getElementById('template-module')?.value || 'incidents')
+                                    .map(key => `<button type="button" class="btn btn-secondary btn-sm mb-1" onclick="app.insertPlaceholder('${key}')">{{${key}}}</button>`)
+                                    .join(' ')}
                             </div>
                         </div>
                     </div>
@@ -2199,7 +3231,7 @@ Support: support@example.com</textarea>
                     <div class="card p-3">
                          <div class="form-group">
                             <label class="form-label" for="sms-body">Message</label>
-                            <textarea id="sms-body" class="form-textarea" rows="3" maxlength="160" oninput="app.updateSMSCharCount()">ESCALATION: {{id}} at {{location}}. Priority: {{priority}}. View: {{actionUrl}}</textarea>
+                            <textarea id="sms-body" class="form-textarea" rows="3" maxlength="160" onfocus="app.placeholderTargetId = this.id" oninput="app.updateSMSCharCount()">ESCALATION: {{id}} at {{location}}. Priority: {{priority}}. View: {{actionUrl}}</textarea>
                             <div class="text-right text-xs text-muted mt-1">
                                 <span id="sms-char-count">0</span>/160
                             </div>
@@ -2261,6 +3293,22 @@ Support: support@example.com</textarea>
         }
     }
 
+    // Insert a placeholder at the cursor of the last focused notification field (the email body by default)
+    insertPlaceholder(key) {
+        const target = document.getElementById(this.placeholderTargetId) || document.getElementById('email-body');
+        if (!target) return;
+
+        const token = `{{${key}}}`;
+        const start = target.selectionStart ?? target.value.length;
+        const end = target.selectionEnd ?? target.value.length;
+        target.value = target.value.slice(0, start) + token + target.value.slice(end);
+        target.focus();
+        target.setSelectionRange(start + token.length, start + token.length);
+
+        this.updateEmailPreviewRender();
+        if (target.id === 'sms-body') this.updateSMSCharCount();
+    }
+
     updateEmailPreviewRender() {
         const subjectInput = document.getElementById('email-subject');
         const bodyInput = document.getElementById('email-body');
@@ -2315,9 +3363,25 @@ Support: support@example.com</textarea>
         this.updateEmailPreviewRender();
     }
 
+    // Re-check coverage in the background so departures and empty roles show up without editing templates
+    startCoverageMonitor() {
+        this.coverageMonitor.onReport(() => this.refreshCoverageWarnings());
+        this.coverageMonitor.start();
+    }
+
+    // Update the warning badges on the Templates list in place, keeping filters, selection and focus
+    refreshCoverageWarnings() {
+        document.querySelectorAll('[data-coverage-template]').forEach(element => {
+            element.innerHTML = this.renderCoverageBadge(element.dataset.coverageTemplate);
+        });
+    }
+
     startEscalationSimulation() {
         console.log('Starting escalation simulation (runs every 30 seconds)');
 
+        // Event-based triggers fire from record changes, not from the cycle below
+        this.escalationEngine.subscribeToRecordEvents();
+
         // Simulate escalation processing every 30 seconds
         setInterval(async () => {
             const escalationStart = this.startPerformanceTimer('Escalation Processing');
@@ -2372,6 +3436,25 @@ Support: support@example.com</textarea>
         this.uiManager.showModal('Notification Preview', 'Preview functionality coming soon...');
     }
 
+    // Acknowledgements are recorded against the directory user this session acts as
+    async acknowledgeEscalation(escalationId) {
+        try {
+            const acknowledgedBy = this.getSessionUserId();
+            const note = prompt(`Acknowledgement note as ${this.sessionUser.name} (optional):`);
+            if (note === null) return;
+
+            await this.escalationEngine.acknowledgeEscalation(escalationId, {
+                acknowledgedBy,
+                note: note.trim()
+            });
+            this.showToast('Escalation acknowledged. Further levels are paused.', 'success');
+            this.loadSection('monitoring');
+        } catch (error) {
+            console.error('Error acknowledging escalation:', error);
+            this.showToast(`Failed to acknowledge escalation: ${error.message}`, 'error');
+        }
+    }
+
     sendTestNotification() {
         // TODO: Implement test notification sending
         this.showToast('Test notification sent successfully', 'success');
@@ -2416,11 +3499,12 @@ Support: support@example.com</textarea>
                         const statusColor = res.status === 'Already Triggered' ? 'var(--text-muted)' : 'var(--success-color)';
                         html += `<li>
                             <strong>Level ${res.level}</strong>: ${dateStr}${note}
-                            <br><small style="color: ${statusColor}">${res.description} • ${res.status}</small>
+                            <br><small style="color: ${statusColor}">${sanitizeHTML(res.description)} • ${res.status}</small>
+                            ${this.renderOnCallPreview(res.onCall)}
                         </li>`;
                     } else {
                         // Event based
-                        html += `<li><strong>Level ${res.level}</strong>: ${res.description} - ${res.status}</li>`;
+                        html += `<li><strong>Level ${res.level}</strong>: ${sanitizeHTML(res.description)} - ${res.status}${this.renderOnCallPreview(res.onCall)}</li>`;
                     }
                 });
                 html += '</ul>';
@@ -2433,24 +3517,44 @@ Support: support@example.com</textarea>
         }
     }
 
-    addRule() {
+    // Find the next free numeric id for rule rows or groups
+    getNextRuleElementId(prefix) {
         const rulesContainer = document.getElementById('rules-container');
-        // Find max ID to avoid conflicts
         let maxId = 0;
-        rulesContainer.querySelectorAll('[id^="rule-row-"]').forEach(el => {
-             const id = parseInt(el.id.replace('rule-row-', ''));
+        rulesContainer.querySelectorAll(`[id^="${prefix}"]`).forEach(el => {
+             const id = parseInt(el.id.replace(prefix, ''));
              if (id > maxId) maxId = id;
         });
-        const ruleCount = maxId + 1;
+        return maxId + 1;
+    }
+
+    addRule(groupId = 1) {
+        const groupChildren = document.getElementById(`rule-group-children-${groupId}`);
+        if (!groupChildren) return;
+
+        // Find max ID to avoid conflicts
+        const ruleCount = this.getNextRuleElementId('rule-row-');
 
         const module = document.getElementById('template-module')?.value || 'incidents';
         const fields = this.getFieldsForModule(module);
 
         const ruleHTML = this.generateRuleHTML(ruleCount, fields, false);
-        rulesContainer.insertAdjacentHTML('beforeend', ruleHTML);
+        groupChildren.insertAdjacentHTML('beforeend', ruleHTML);
         this.updateRulesPreview();
     }
 
+    addRuleGroup(parentGroupId = 1) {
+        const groupChildren = document.getElementById(`rule-group-children-${parentGroupId}`);
+        if (!groupChildren) return;
+
+        const groupId = this.getNextRuleElementId('rule-group-');
+        const module = document.getElementById('template-module')?.value || 'incidents';
+        const fields = this.getFieldsForModule(module);
+
+        groupChildren.insertAdjacentHTML('beforeend', this.generateRuleGroupHTML(groupId, fields, false));
+        this.addRule(groupId);
+    }
+
     removeRule(index) {
         const ruleRow = document.getElementById(`rule-row-${index}`);
         if (ruleRow) {
@@ -2459,43 +3563,26 @@ Support: support@example.com</textarea>
         }
     }
 
+    removeRuleGroup(groupId) {
+        const group = document.getElementById(`rule-group-${groupId}`);
+        if (group) {
+            group.remove();
+            this.updateRulesPreview();
+        }
+    }
+
     updateRulesPreview() {
-        const rulesContainer = document.getElementById('rules-container');
         const preview = document.getElementById('rules-preview');
+        if (!preview) return;
 
-        let previewText = '';
-        const ruleRows = rulesContainer.querySelectorAll('.rule-item');
+        const rules = this.collectRules();
 
-        if (ruleRows.length === 0) {
+        if (ruleEvaluator.getConditions(rules).length === 0) {
             preview.textContent = 'No rules defined yet';
             return;
         }
 
-        ruleRows.forEach((row, index) => {
-            const id = row.id.replace('rule-row-', '');
-
-            // Get values
-            const fieldSelect = document.getElementById(`rule-field-${id}`);
-            const operatorSelect = document.getElementById(`rule-operator-${id}`);
-            const valueInput = document.getElementById(`rule-value-${id}`);
-
-            const fieldText = fieldSelect?.options[fieldSelect.selectedIndex]?.text || 'Field';
-            const operatorText = operatorSelect?.options[operatorSelect.selectedIndex]?.text || 'Equals';
-            const value = valueInput?.value || 'Value';
-
-            // Logic
-            let logic = '';
-            if (index > 0) {
-                 const logicAnd = document.getElementById(`logic-and-${id}`);
-                 const logicOr = document.getElementById(`logic-or-${id}`);
-                 if (logicAnd?.checked) logic = ' <span class="badge badge-info text-xs">AND</span> ';
-                 else if (logicOr?.checked) logic = ' <span class="badge badge-warning text-xs">OR</span> ';
-            }
-
-            previewText += `${logic}<strong>${fieldText}</strong> ${operatorText.toLowerCase()} "<strong>${value}</strong>"`;
-        });
-
-        preview.innerHTML = previewText;
+        preview.textContent = this.templateProcessor.summarizeRules(rules);
     }
 
     async addHierarchyLevel() {
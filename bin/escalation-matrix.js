@@ -0,0 +1,340 @@
+#!/usr/bin/env node
+// escalation-matrix - Command line entry point for the headless escalation engine
+import { promises as fs } from 'node:fs';
+import { HeadlessRuntime, loadRuntimeConfig } from '../modules/headless-runtime.js';
+import { DataManager } from '../modules/data-manager.js';
+import { TemplateProcessor } from '../modules/template-processor.js';
+import { EscalationEngine } from '../modules/escalation-engine.js';
+import { NotificationHandler } from '../modules/notification-handler.js';
+import { diffTemplates, formatTemplateDiff } from '../modules/template-diff.js';
+
+const USAGE = `Usage: escalation-matrix <command> [options]
+
+Commands:
+  run --config <file> [--once]        Load templates and records, then process escalations.
+                                      Runs as a daemon until interrupted, or one cycle with --once.
+                                      Config templates load as drafts until submitted and approved,
+                                      unless the config sets "publishTemplates": true.
+  validate <file...> [--strict]       Validate and lint template files. Exits 1 on errors
+                                      (and on warnings with --strict).
+  lint <file...>                      Same as validate --strict.
+  export <id> --config <file> [--out <file>]
+                                      Print (or write) a stored template as JSON.
+  import <file> --config <file> [--author <name>] [--note <text>]
+                                      Validate template file(s) and save them to configured storage,
+                                      recording a new draft version for each change.
+  submit <id> --config <file> --by <name> [--note <text>]
+                                      Submit a template's latest version for review.
+  approve <id> --config <file> --by <name> [--note <text>]
+                                      Approve and publish a template under review. The approver
+                                      must not be the version's author or its submitter.
+  diff <a> <b>                        Compare two template files. Exits 1 when they differ.
+  simulate <template> <record>        Show when each level of a template would fire for a record.
+                                      <record> is a JSON file, or a record id with --config.
+
+Options:
+  --config <file>                     Runtime config; loads calendars, users, on-call schedules
+                                      and storage for validate, simulate, export and import.
+                                      Without it, validate warns about every on-call schedule.
+  --help                              Show this message`;
+
+// Split argv into a command, positional arguments and --options (flags without a value are true)
+function parseArgs(argv) {
+    const [command, ...rest] = argv[0]?.startsWith('--') ? [undefined, ...argv] : argv;
+    const positional = [];
+    const options = {};
+
+    for (let i = 0; i < rest.length; i++) {
+        const arg = rest[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+
+        const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+        if (inlineValue !== undefined) {
+            options[name] = inlineValue;
+        } else if (rest[i + 1] !== undefined && !rest[i + 1].startsWith('--')) {
+            options[name] = rest[++i];
+        } else {
+            options[name] = true;
+        }
+    }
+
+    return { command, positional, options };
+}
+
+// Command output goes to stdout; everything the modules log goes to stderr
+function print(text) {
+    process.stdout.write(`${text}\n`);
+}
+
+async function readJson(file) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read ${file}: ${error.message}`);
+    }
+}
+
+// A template file holds one template, an array of templates or { templates: [...] }
+function toTemplateList(data) {
+    if (Array.isArray(data)) return data;
+    if (Array.isArray(data?.templates)) return data.templates;
+    return [data];
+}
+
+// Runtime from --config (calendars, users, storage), or a bare in-memory one
+async function createContext(options, required = false) {
+    if (options.config && options.config !== true) {
+        const runtime = new HeadlessRuntime(await loadRuntimeConfig(options.config));
+        await runtime.initialize();
+        return runtime;
+    }
+
+    if (required) {
+        throw new Error('This command requires --config <file>');
+    }
+
+    const dataManager = new DataManager();
+    const notificationHandler = new NotificationHandler(dataManager);
+    return {
+        dataManager,
+        notificationHandler,
+        templateProcessor: new TemplateProcessor(dataManager),
+        escalationEngine: new EscalationEngine(dataManager, notificationHandler)
+    };
+}
+
+async function runCommand({ options }) {
+    if (!options.config || options.config === true) {
+        console.error('run requires --config <file>');
+        return 2;
+    }
+
+    const runtime = new HeadlessRuntime(await loadRuntimeConfig(options.config));
+    await runtime.initialize();
+
+    if (options.once) {
+        const stats = await runtime.runOnce();
+        await runtime.stop();
+        print(JSON.stringify(stats));
+        return 0;
+    }
+
+    await runtime.start();
+
+    // Stay up until interrupted; clean shutdown releases timers and the HTTP port
+    await new Promise(resolve => {
+        const shutdown = signal => {
+            console.log(`Received ${signal}, stopping escalation engine`);
+            resolve();
+        };
+        process.once('SIGINT', shutdown);
+        process.once('SIGTERM', shutdown);
+    });
+    await runtime.stop();
+    return 0;
+}
+
+async function validateCommand({ positional, options }) {
+    if (positional.length === 0) {
+        console.error('validate requires at least one template file');
+        return 2;
+    }
+
+    const { templateProcessor } = await createContext(options);
+    const strict = options.strict === true;
+    let errorCount = 0;
+    let warningCount = 0;
+
+    for (const file of positional) {
+        const templates = toTemplateList(await readJson(file));
+
+        templates.forEach((template, index) => {
+            const label = `${file}: ${template?.id || template?.name || `template ${index + 1}`}`;
+            const { errors } = templateProcessor.validateTemplate(template || {});
+            const warnings = templateProcessor.lintTemplate(template || {});
+
+            errors.forEach(error => print(`${label}: error: ${error}`));
+            warnings.forEach(warning => print(`${label}: warning: ${warning}`));
+            if (errors.length === 0 && warnings.length === 0) print(`${label}: ok`);
+
+            errorCount += errors.length;
+            warningCount += warnings.length;
+        });
+    }
+
+    print(`${errorCount} error(s), ${warningCount} warning(s)`);
+    return errorCount > 0 || (strict && warningCount > 0) ? 1 : 0;
+}
+
+async function exportCommand({ positional, options }) {
+    const [id] = positional;
+    if (!id) {
+        console.error('export requires a template id');
+        return 2;
+    }
+
+    const { dataManager, templateProcessor } = await createContext(options, true);
+    const template = await dataManager.getTemplate(id);
+    if (!template) {
+        console.error(`Template ${id} not found`);
+        return 1;
+    }
+
+    const json = templateProcessor.exportTemplate(template);
+    if (options.out && options.out !== true) {
+        await fs.writeFile(options.out, `${json}\n`, 'utf8');
+        console.error(`Wrote ${id} to ${options.out}`);
+    } else {
+        print(json);
+    }
+    return 0;
+}
+
+async function importCommand({ positional, options }) {
+    const [file] = positional;
+    if (!file) {
+        console.error('import requires a template file');
+        return 2;
+    }
+
+    const { dataManager, templateProcessor } = await createContext(options, true);
+    let failed = 0;
+
+    for (const data of toTemplateList(await readJson(file))) {
+        try {
+            const template = templateProcessor.importTemplate(JSON.stringify(data));
+            const saved = await dataManager.saveTemplate(template, {
+                author: typeof options.author === 'string' ? options.author : 'cli',
+                note: typeof options.note === 'string' ? options.note : `Imported from ${file}`
+            });
+            print(`Imported ${saved.id} (${saved.name}) as version ${saved.currentVersion}, status ${saved.status}`);
+        } catch (error) {
+            failed++;
+            print(`${data?.id || data?.name || file}: ${error.message}`);
+        }
+    }
+
+    return failed > 0 ? 1 : 0;
+}
+
+// submit and approve move a stored template through its review lifecycle
+async function lifecycleCommand(action, { positional, options }) {
+    const [id] = positional;
+    if (!id || typeof options.by !== 'string') {
+        console.error(`${action} requires a template id and --by <name>`);
+        return 2;
+    }
+
+    const { dataManager } = await createContext(options, true);
+    const note = typeof options.note === 'string' ? options.note : '';
+
+    try {
+        const template = action === 'submit'
+            ? await dataManager.submitTemplateForReview(id, { submittedBy: options.by, note })
+            : await dataManager.approveTemplate(id, { approvedBy: options.by, note });
+        print(`${template.id}: ${template.status} (version ${template.currentVersion}, published ${template.publishedVersion ?? 'none'})`);
+        return 0;
+    } catch (error) {
+        print(error.message);
+        return 1;
+    }
+}
+
+async function diffCommand({ positional }) {
+    const [fileA, fileB] = positional;
+    if (!fileA || !fileB) {
+        console.error('diff requires two template files');
+        return 2;
+    }
+
+    const changes = diffTemplates(await readJson(fileA), await readJson(fileB));
+    print(formatTemplateDiff(changes));
+    return changes.length > 0 ? 1 : 0;
+}
+
+async function simulateCommand({ positional, options }) {
+    const [templateFile, recordArg] = positional;
+    if (!templateFile || !recordArg) {
+        console.error('simulate requires a template file and a record file (or record id with --config)');
+        return 2;
+    }
+
+    const { dataManager, templateProcessor, escalationEngine } = await createContext(options);
+    const template = toTemplateList(await readJson(templateFile))[0];
+
+    const { isValid, errors } = templateProcessor.validateTemplate(template);
+    if (!isValid) {
+        errors.forEach(error => print(`error: ${error}`));
+        return 1;
+    }
+
+    const record = recordArg.toLowerCase().endsWith('.json')
+        ? await readJson(recordArg)
+        : (await dataManager.getRecords(template.module)).find(r => r.id === recordArg);
+    if (!record) {
+        console.error(`Record ${recordArg} not found in ${template.module}`);
+        return 1;
+    }
+
+    const applies = escalationEngine.matchesTemplateRules(template, record);
+    print(`${template.name} for ${record.id || recordArg}: rules ${applies ? 'match' : 'do not match'}`);
+
+    escalationEngine.simulateTriggers(template, record).forEach(result => {
+        if (result.error) {
+            print(`  Level ${result.level}: ${result.error}`);
+            return;
+        }
+
+        const when = result.adjustedDate ? new Date(result.adjustedDate).toISOString() : '-';
+        print(`  Level ${result.level}: ${when}  ${result.status || ''}  ${result.description || ''}`.trimEnd());
+        (result.onCall || []).forEach(entry => {
+            print(`    on call (${entry.scheduleName}): ${entry.userName || `nobody, ${entry.reason}`}${entry.source === 'override' ? ' (override)' : ''}`);
+        });
+    });
+    return 0;
+}
+
+const COMMANDS = {
+    run: runCommand,
+    validate: validateCommand,
+    lint: args => validateCommand({ ...args, options: { ...args.options, strict: true } }),
+    export: exportCommand,
+    import: importCommand,
+    submit: args => lifecycleCommand('submit', args),
+    approve: args => lifecycleCommand('approve', args),
+    diff: diffCommand,
+    simulate: simulateCommand
+};
+
+async function main(argv) {
+    const args = parseArgs(argv);
+
+    if (!args.command || args.options.help || !COMMANDS[args.command]) {
+        if (args.command && !COMMANDS[args.command] && !args.options.help) {
+            console.error(`Unknown command: ${args.command}\n`);
+            console.error(USAGE);
+            return 2;
+        }
+        print(USAGE);
+        return 0;
+    }
+
+    // Module logging would otherwise mix with output meant for files and pipes
+    if (args.command !== 'run') {
+        console.log = console.error;
+    }
+
+    return COMMANDS[args.command](args);
+}
+
+main(process.argv.slice(2))
+    .then(code => {
+        process.exitCode = code;
+    })
+    .catch(error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
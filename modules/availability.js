@@ -0,0 +1,128 @@
+// Availability - Out-of-office windows and delegation for escalation recipients
+// Users may carry:
+//   absences:   [{ start, end, reason, delegateId }]   ISO dates or date-times; date-only
+//                                                    values cover the whole (local) day
+//   delegateId: 'user-7'                              delegate for absences that don't name one
+// While a recipient is absent their escalations go to the delegate, "on behalf of" them.
+// A delegate who is also away hands on to their own delegate.
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseBoundary(value, endOfDay) {
+    if (!value) return null;
+    const date = DATE_ONLY.test(value)
+        ? new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}`)
+        : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+// Returns an array of problems with a user's absences (empty when valid)
+export function validateAbsences(absences) {
+    const errors = [];
+    (absences || []).forEach((absence, index) => {
+        const start = parseBoundary(absence.start, false);
+        const end = parseBoundary(absence.end, true);
+        if (!start || !end) {
+            errors.push(`Absence ${index + 1}: start and end must be valid dates`);
+        } else if (end < start) {
+            errors.push(`Absence ${index + 1}: end is before start`);
+        }
+    });
+    return errors;
+}
+
+// The absence covering `at`, or null when the user is available
+export function getActiveAbsence(user, at = new Date()) {
+    return (user?.absences || []).find(absence => {
+        const start = parseBoundary(absence.start, false);
+        const end = parseBoundary(absence.end, true);
+        return start && end && at >= start && at <= end;
+    }) || null;
+}
+
+// Follow delegates until someone available is found. `reason` explains a null delegate.
+export function findAvailableDelegate(user, users, at = new Date()) {
+    const visited = new Set([user.id]);
+    let current = user;
+
+    for (;;) {
+        const absence = getActiveAbsence(current, at);
+        if (!absence) return { delegate: current, reason: null };
+
+        const delegateId = absence.delegateId || current.delegateId;
+        const name = current.name || current.id;
+        if (!delegateId) {
+            return { delegate: null, reason: `${name} is out of office and has no delegate` };
+        }
+
+        const next = users.find(u => u.id === delegateId);
+        if (!next) {
+            return { delegate: null, reason: `delegate '${delegateId}' of ${name} is not in the user directory` };
+        }
+        if (visited.has(next.id)) {
+            return { delegate: null, reason: `delegates of ${user.name || user.id} loop back to ${next.name || next.id}` };
+        }
+
+        visited.add(next.id);
+        current = next;
+    }
+}
+
+function contact(user) {
+    return { id: user.id, name: user.name, email: user.email };
+}
+
+// Swap absent recipients for their delegates. Delegated recipients carry `onBehalfOf`
+// (everyone they are notified for) and `absenceReason`. When nobody is available the
+// original recipient is kept and a warning returned.
+export function applyDelegation(recipients, users, at = new Date()) {
+    const result = [];
+    const warnings = [];
+
+    for (const recipient of recipients) {
+        // Fallback addresses aren't users, so they have no availability
+        const absence = recipient.id ? getActiveAbsence(recipient, at) : null;
+        let target = recipient;
+
+        if (absence) {
+            const { delegate, reason } = findAvailableDelegate(recipient, users, at);
+            if (delegate) {
+                target = delegate;
+            } else {
+                warnings.push(`${reason}; notifying them anyway`);
+            }
+        }
+
+        const existing = result.find(r => r.id && r.id === target.id);
+        if (target === recipient) {
+            if (!existing) {
+                result.push({ ...recipient });
+            } else if (existing.onBehalfOf && !existing.onBehalfOf.some(person => person.id === recipient.id)) {
+                existing.onBehalfOf.push(contact(recipient));
+            }
+        } else if (!existing) {
+            result.push({ ...target, onBehalfOf: [contact(recipient)], absenceReason: absence.reason || '' });
+        } else {
+            existing.onBehalfOf = [...(existing.onBehalfOf || [contact(existing)]), contact(recipient)];
+        }
+    }
+
+    return { recipients: result, warnings };
+}
+
+// People a delegate stands in for, excluding themselves
+export function getDelegatedFor(recipient) {
+    return (recipient.onBehalfOf || []).filter(person => person.id !== recipient.id);
+}
+
+// Log rows pairing each intended recipient with whoever was actually notified
+export function describeDeliveries(recipients) {
+    return recipients.flatMap(recipient => {
+        const actual = recipient.email || recipient.name;
+        return (recipient.onBehalfOf || [recipient]).map(person => ({
+            intendedRecipient: person.email || person.name,
+            actualRecipient: actual,
+            delegated: person.id !== recipient.id
+        }));
+    });
+}
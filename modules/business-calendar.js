@@ -0,0 +1,274 @@
+// Business Calendar - Working days, business hours and holidays for a site (REQ-008, REQ-016)
+// Calendars are named and registered in a BusinessCalendarRegistry; templates and triggers
+// reference them by calendarId. All day and hour checks happen in the calendar's IANA
+// timezone (or the runtime's local timezone when none is set).
+//
+// Calendar definition:
+//   id          - identifier referenced by templates/triggers
+//   name        - display name
+//   timezone    - IANA timezone, e.g. 'America/Chicago'
+//   workingDays - weekday numbers, 0 = Sun ... 6 = Sat
+//   hours       - { start: 'HH:MM', end: 'HH:MM' } applied to every working day
+//   hoursByDay  - optional per-weekday overrides, e.g. { 6: { start: '08:00', end: '12:00' } }
+//   holidays    - 'YYYY-MM-DD' strings or { date, name } objects
+import { getTriggerOffsetMinutes, MINUTES_PER_DAY } from './trigger-offset.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+export const DAY_MODES = ['calendar', 'working'];
+export const DEFAULT_CALENDAR_ID = 'default';
+
+function parseTime(value) {
+    const match = String(value ?? '').match(/^(\d{1,2}):(\d{2})$/);
+    if (!match) return null;
+
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+    return hours * 60 + minutes;
+}
+
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Returns a list of problems with a calendar definition; empty when valid
+export function validateCalendarDefinition(definition) {
+    const errors = [];
+
+    if (!definition || !definition.id || !/^[a-z0-9-]+$/.test(definition.id)) {
+        errors.push('Calendar id is required and may only contain lowercase letters, digits and dashes');
+    }
+
+    if (definition?.timezone && !isValidTimezone(definition.timezone)) {
+        errors.push(`Unknown timezone: ${definition.timezone}`);
+    }
+
+    const workingDays = definition?.workingDays || [];
+    if (!Array.isArray(workingDays) || workingDays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+        errors.push('Working days must be weekday numbers from 0 (Sunday) to 6 (Saturday)');
+    }
+
+    const checkHours = (hours, label) => {
+        const start = parseTime(hours?.start);
+        const end = parseTime(hours?.end);
+        if (start === null || end === null) {
+            errors.push(`${label} must use HH:MM start and end times`);
+        } else if (start >= end) {
+            errors.push(`${label} must start before they end`);
+        }
+    };
+
+    if (definition?.hours) checkHours(definition.hours, 'Business hours');
+    Object.entries(definition?.hoursByDay || {}).forEach(([day, hours]) => {
+        checkHours(hours, `Business hours for day ${day}`);
+    });
+
+    (definition?.holidays || []).forEach(holiday => {
+        const date = typeof holiday === 'string' ? holiday : holiday?.date;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+            errors.push(`Invalid holiday date: ${date}`);
+        }
+    });
+
+    return errors;
+}
+
+export class BusinessCalendar {
+    constructor(options = {}) {
+        this.id = options.id || DEFAULT_CALENDAR_ID;
+        this.name = options.name || this.id;
+        this.timezone = options.timezone || null;
+        this.workingDays = options.workingDays || [1, 2, 3, 4, 5]; // 0 = Sun, 6 = Sat
+        this.hours = options.hours || { start: '09:00', end: '17:00' };
+        this.hoursByDay = options.hoursByDay || {};
+        this.holidays = new Map((options.holidays || []).map(holiday =>
+            typeof holiday === 'string' ? [holiday, ''] : [holiday.date, holiday.name || '']
+        ));
+
+        this.formatter = this.timezone
+            ? new Intl.DateTimeFormat('en-US', {
+                timeZone: this.timezone,
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                weekday: 'short',
+                hour: '2-digit',
+                minute: '2-digit',
+                hourCycle: 'h23'
+            })
+            : null;
+    }
+
+    // Wall-clock date parts of an instant in this calendar's timezone
+    getLocalParts(date) {
+        if (!this.formatter) {
+            return {
+                dateKey: this.formatDateKey(date),
+                weekday: date.getDay(),
+                minutes: date.getHours() * 60 + date.getMinutes()
+            };
+        }
+
+        const parts = Object.fromEntries(this.formatter.formatToParts(date).map(part => [part.type, part.value]));
+        return {
+            dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+            weekday: WEEKDAYS[parts.weekday],
+            minutes: Number(parts.hour) * 60 + Number(parts.minute)
+        };
+    }
+
+    formatDateKey(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    getHoursForDay(weekday) {
+        const hours = this.hoursByDay[weekday] || this.hours;
+        return { start: parseTime(hours.start), end: parseTime(hours.end) };
+    }
+
+    isHoliday(date) {
+        return this.holidays.has(this.getLocalParts(date).dateKey);
+    }
+
+    isWorkingDay(date) {
+        const parts = this.getLocalParts(date);
+        return this.workingDays.includes(parts.weekday) && !this.holidays.has(parts.dateKey);
+    }
+
+    isBusinessHour(date) {
+        const parts = this.getLocalParts(date);
+        if (!this.workingDays.includes(parts.weekday) || this.holidays.has(parts.dateKey)) return false;
+
+        const { start, end } = this.getHoursForDay(parts.weekday);
+        return parts.minutes >= start && parts.minutes < end;
+    }
+
+    // Earliest instant at or after `date` that falls within business hours; null if none within a year
+    nextBusinessTime(date) {
+        let candidate = new Date(date);
+
+        for (let i = 0; i < 800; i++) {
+            const parts = this.getLocalParts(candidate);
+            const { start, end } = this.getHoursForDay(parts.weekday);
+            const workingDay = this.workingDays.includes(parts.weekday) && !this.holidays.has(parts.dateKey);
+
+            if (workingDay && parts.minutes < end) {
+                if (parts.minutes >= start) return candidate;
+                candidate = new Date(candidate.getTime() + (start - parts.minutes) * MINUTE_MS);
+                candidate.setSeconds(0, 0);
+                continue;
+            }
+
+            // Jump to the next local midnight and try again
+            candidate = new Date(candidate.getTime() + (24 * 60 - parts.minutes) * MINUTE_MS);
+            candidate.setSeconds(0, 0);
+        }
+
+        return null;
+    }
+
+    // Move a date by a number of working days (negative moves backwards), keeping the time of day
+    addWorkingDays(date, days) {
+        let result = new Date(date);
+        const step = days < 0 ? -1 : 1;
+        let remaining = Math.abs(days);
+
+        if (this.workingDays.length === 0) return result;
+
+        while (remaining > 0) {
+            result = new Date(result.getTime() + step * DAY_MS);
+            if (this.isWorkingDay(result)) remaining--;
+        }
+
+        return result;
+    }
+
+    addCalendarDays(date, days) {
+        const result = new Date(date);
+        result.setDate(result.getDate() + days);
+        return result;
+    }
+
+    // Offset a date in calendar or working days
+    addDays(date, days, dayMode = 'calendar') {
+        return dayMode === 'working'
+            ? this.addWorkingDays(date, days)
+            : this.addCalendarDays(date, days);
+    }
+
+    // When a time-based trigger becomes due: the reference date moved by the trigger's offset.
+    // Whole days follow the day mode (calendar or working days); the remaining hours and
+    // minutes are added as elapsed time.
+    getTriggerDate(trigger, referenceDate) {
+        const offsetMinutes = getTriggerOffsetMinutes(trigger);
+        const days = Math.trunc(offsetMinutes / MINUTES_PER_DAY);
+        const remainder = offsetMinutes - days * MINUTES_PER_DAY;
+
+        const shifted = this.addDays(referenceDate, days, trigger.dayMode);
+        return new Date(shifted.getTime() + remainder * MINUTE_MS);
+    }
+
+    toDefinition() {
+        return {
+            id: this.id,
+            name: this.name,
+            timezone: this.timezone,
+            workingDays: [...this.workingDays],
+            hours: { ...this.hours },
+            hoursByDay: JSON.parse(JSON.stringify(this.hoursByDay)),
+            holidays: Array.from(this.holidays.entries()).map(([date, name]) => (name ? { date, name } : date))
+        };
+    }
+}
+
+// Named calendars; the default calendar (Mon-Fri 09:00-17:00, local time) always exists
+export class BusinessCalendarRegistry {
+    constructor() {
+        this.calendars = new Map();
+        this.register({ id: DEFAULT_CALENDAR_ID, name: 'Standard (Mon-Fri 09:00-17:00)' });
+    }
+
+    register(definition) {
+        const errors = validateCalendarDefinition(definition);
+        if (errors.length > 0) {
+            throw new Error(`Invalid business calendar: ${errors.join('; ')}`);
+        }
+
+        const calendar = new BusinessCalendar(definition);
+        this.calendars.set(calendar.id, calendar);
+        return calendar;
+    }
+
+    has(id) {
+        return this.calendars.has(id);
+    }
+
+    // Unknown or missing ids fall back to the default calendar
+    get(id) {
+        return this.calendars.get(id) || this.calendars.get(DEFAULT_CALENDAR_ID);
+    }
+
+    list() {
+        return Array.from(this.calendars.values());
+    }
+
+    remove(id) {
+        if (id === DEFAULT_CALENDAR_ID) {
+            throw new Error('The default calendar cannot be deleted');
+        }
+        return this.calendars.delete(id);
+    }
+}
+
+// Shared default instance
+export const businessCalendarRegistry = new BusinessCalendarRegistry();
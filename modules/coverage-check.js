@@ -0,0 +1,233 @@
+// Coverage Check - Background health check of who published templates would actually reach (REQ-025)
+// For every published template, each hierarchy level is resolved for every department and
+// site combination the template's rules can apply to. Problems are reported as issues:
+//   no-recipients    error    nobody and no fallback email; the level notifies no one
+//   fallback-only    warning  no role holder or on-call user; only the fallback email is notified
+//   empty-role       warning  a role has no holders, other recipients still cover the level
+//   on-call-gap      warning  an on-call schedule has nobody on call right now
+//   missing-contact  warning  a recipient has no email (or no phone when the template sends SMS)
+// Roles relative to a record's assignee can't be resolved without a record and are skipped.
+import { ruleEvaluator } from './rule-evaluator.js';
+import { isRelativeRole, resolveRelativeRole } from './org-chart.js';
+
+export const COVERAGE_ISSUE_TYPES = {
+    'no-recipients': { label: 'No recipients', severity: 'error' },
+    'fallback-only': { label: 'Fallback only', severity: 'warning' },
+    'empty-role': { label: 'Empty role', severity: 'warning' },
+    'on-call-gap': { label: 'On-call gap', severity: 'warning' },
+    'missing-contact': { label: 'Missing contact details', severity: 'warning' }
+};
+
+// Relative roles that depend only on a record's department or site
+const SCOPED_RELATIVE_ROLES = ['record-department-head', 'record-site-manager'];
+
+function describeScope(scope) {
+    const parts = [scope.department && `department ${scope.department}`, scope.site && `site ${scope.site}`].filter(Boolean);
+    return parts.length > 0 ? parts.join(', ') : 'all records';
+}
+
+export class CoverageMonitor {
+    constructor(dataManager, options = {}) {
+        this.dataManager = dataManager;
+        this.ruleEvaluator = options.ruleEvaluator || ruleEvaluator;
+        this.intervalMs = options.intervalMs ?? 15 * 60 * 1000;
+        this.timer = null;
+        this.isChecking = false;
+        this.latestReport = null;
+        this.listeners = new Set();
+    }
+
+    start() {
+        this.check();
+        this.timer = setInterval(() => this.check(), this.intervalMs);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Called with each new report; returns an unsubscribe function
+    onReport(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    getLatestReport() {
+        return this.latestReport;
+    }
+
+    // Issues from the latest report for one template (empty before the first check)
+    getTemplateIssues(templateId) {
+        return (this.latestReport?.issues || []).filter(issue => issue.templateId === templateId);
+    }
+
+    // Check every published template; returns { checkedAt, templateCount, issues }
+    async check(now = new Date()) {
+        if (this.isChecking) return this.latestReport;
+        this.isChecking = true;
+
+        try {
+            const templates = await this.dataManager.getPublishedTemplates();
+            const issues = [];
+            for (const template of templates) {
+                issues.push(...await this.checkTemplate(template, now));
+            }
+
+            this.latestReport = { checkedAt: now.toISOString(), templateCount: templates.length, issues };
+            const errors = issues.filter(issue => issue.severity === 'error').length;
+            console.log(`Coverage check: ${templates.length} templates, ${errors} error(s), ${issues.length - errors} warning(s)`);
+
+            this.listeners.forEach(listener => {
+                try {
+                    listener(this.latestReport);
+                } catch (error) {
+                    console.error('Coverage report listener failed:', error);
+                }
+            });
+        } catch (error) {
+            console.error('Coverage check failed:', error);
+        } finally {
+            this.isChecking = false;
+        }
+
+        return this.latestReport;
+    }
+
+    async checkTemplate(template, now = new Date()) {
+        const users = await this.dataManager.getAllUsers();
+        const scopes = await this.getScopes(template, users);
+        const sendsSms = !!template.notificationTemplates?.sms;
+        const issues = [];
+        const seen = new Set();
+
+        const report = (type, level, scope, message) => {
+            // Contact and on-call problems don't depend on the scope, so they are reported once
+            const key = `${type}|${level}|${type === 'missing-contact' || type === 'on-call-gap' ? message : `${describeScope(scope)}|${message}`}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+
+            issues.push({
+                templateId: template.id,
+                templateName: template.name,
+                level,
+                department: scope.department || null,
+                site: scope.site || null,
+                type,
+                severity: COVERAGE_ISSUE_TYPES[type].severity,
+                message
+            });
+        };
+
+        for (const level of template.hierarchy || []) {
+            // On-call schedules don't depend on the scope
+            const onCallUsers = [];
+            for (const scheduleId of level.onCallSchedules || []) {
+                const { user, reason } = this.dataManager.getOnCallUser(scheduleId, now);
+                if (user) {
+                    onCallUsers.push(user);
+                } else {
+                    report('on-call-gap', level.level, {}, `Level ${level.level}: ${reason}`);
+                }
+            }
+
+            for (const scope of scopes) {
+                const recipients = [...onCallUsers];
+                const emptyRoles = [];
+                let hasUncheckedRoles = false;
+
+                for (const role of level.roles || []) {
+                    let holders;
+                    if (SCOPED_RELATIVE_ROLES.includes(role)) {
+                        holders = resolveRelativeRole(role, { id: 'coverage-check', ...scope }, users).users;
+                    } else if (isRelativeRole(role)) {
+                        hasUncheckedRoles = true;
+                        continue;
+                    } else {
+                        holders = await this.dataManager.getUsersByRole(role, scope);
+                    }
+
+                    if (holders.length === 0) emptyRoles.push(role);
+                    recipients.push(...holders.filter(user => !recipients.some(r => r.id === user.id)));
+                }
+
+                const where = describeScope(scope);
+                if (recipients.length === 0 && !hasUncheckedRoles) {
+                    const roles = emptyRoles.length > 0 ? ` (${emptyRoles.join(', ')} empty)` : '';
+                    if (level.fallbackEmail) {
+                        report('fallback-only', level.level, scope,
+                            `Level ${level.level} for ${where}: nobody holds its roles${roles}; only ${level.fallbackEmail} is notified`);
+                    } else {
+                        report('no-recipients', level.level, scope,
+                            `Level ${level.level} for ${where}: nobody holds its roles${roles} and there is no fallback email`);
+                    }
+                    continue;
+                }
+
+                emptyRoles.forEach(role => {
+                    report('empty-role', level.level, scope, `Level ${level.level} for ${where}: role '${role}' has no holders`);
+                });
+
+                recipients.forEach(user => {
+                    const missing = [!user.email && 'email', sendsSms && !user.phone && 'phone'].filter(Boolean);
+                    if (missing.length > 0) {
+                        report('missing-contact', level.level, scope,
+                            `Level ${level.level}: ${user.name || user.id} has no ${missing.join(' or ')}`);
+                    }
+                });
+            }
+        }
+
+        return issues;
+    }
+
+    // Every { department, site } the template's rules can apply to, taken from the combinations
+    // the module's records actually have (or users', when records carry neither); a template that
+    // doesn't depend on them gets one scope.
+    async getScopes(template, users) {
+        const records = await this.dataManager.getRecords(template.module);
+        const sources = records.some(record => record.department || record.site) ? records : users;
+        const rules = this.ruleEvaluator.normalizeRules(template.applicabilityRules);
+        const applies = (field, value) => !value || this.couldMatch(rules, field, value) !== false;
+
+        const scopes = new Map();
+        sources.forEach(({ department, site }) => {
+            if (!applies('department', department) || !applies('site', site)) return;
+            scopes.set(`${department || ''}|${site || ''}`, {
+                ...(department ? { department } : {}),
+                ...(site ? { site } : {})
+            });
+        });
+
+        const sorted = [...scopes.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([, scope]) => scope);
+        return sorted.length > 0 ? sorted : [{}];
+    }
+
+    // Evaluate a rule tree knowing only one field: true/false when that field decides it,
+    // null when conditions on other fields do
+    couldMatch(node, field, value) {
+        switch (node.type) {
+            case 'group': {
+                const results = node.children.map(child => this.couldMatch(child, field, value));
+                if (results.length === 0) return true;
+                if (node.logic === 'OR') {
+                    if (results.includes(true)) return true;
+                    return results.includes(null) ? null : false;
+                }
+                if (results.includes(false)) return false;
+                return results.includes(null) ? null : true;
+            }
+            case 'not': {
+                const result = this.couldMatch(node.child, field, value);
+                return result === null ? null : !result;
+            }
+            case 'condition':
+                if (node.field?.toLowerCase() !== field) return null;
+                return this.ruleEvaluator.evaluateRule(node.operator, value, node.value);
+            default:
+                return null;
+        }
+    }
+}
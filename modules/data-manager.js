@@ -1,15 +1,157 @@
 // Data Manager - Handles all data operations and dummy data
+import { ruleEvaluator } from './rule-evaluator.js';
+import { moduleRegistry } from './module-registry.js';
+import { businessCalendarRegistry, DEFAULT_CALENDAR_ID } from './business-calendar.js';
+import { onCallScheduleRegistry } from './on-call.js';
+import { diffRecords, ASSIGNMENT_FIELDS } from './record-events.js';
+import { MemoryStorageAdapter } from './storage-adapter.js';
+import { diffTemplates } from './template-diff.js';
+import { TEMPLATE_LIFECYCLE_FIELDS, getTemplateStatus, assertLifecycleAction } from './template-lifecycle.js';
+import { roleCatalog } from './role-catalog.js';
+import { validateAbsences, describeDeliveries } from './availability.js';
+
+// Template fields that are bookkeeping rather than content, left out of version snapshots
+const TEMPLATE_VERSION_EXCLUDED_FIELDS = ['createdAt', 'updatedAt', 'currentVersion'];
+
+function toTemplateSnapshot(template) {
+    const snapshot = JSON.parse(JSON.stringify(template));
+    [...TEMPLATE_VERSION_EXCLUDED_FIELDS, ...TEMPLATE_LIFECYCLE_FIELDS].forEach(field => delete snapshot[field]);
+    return snapshot;
+}
+
+function deepFreeze(value) {
+    if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+        Object.values(value).forEach(deepFreeze);
+        Object.freeze(value);
+    }
+    return value;
+}
+
 export class DataManager {
-    constructor() {
+    constructor(options = {}) {
+        this.ruleEvaluator = ruleEvaluator;
+        this.moduleRegistry = options.moduleRegistry || moduleRegistry;
+        this.calendarRegistry = options.calendarRegistry || businessCalendarRegistry;
+        this.roleCatalog = options.roleCatalog || roleCatalog;
+        this.onCallRegistry = options.onCallRegistry || onCallScheduleRegistry;
         this.templates = [];
-        this.records = {
-            incidents: [],
-            'work-permits': [],
-            audits: []
-        };
+        // Immutable snapshots of every saved template revision (REQ-003)
+        this.templateVersions = [];
+        // One record collection per registered module
+        this.records = Object.fromEntries(this.moduleRegistry.getModuleIds().map(id => [id, []]));
         this.escalationLogs = [];
         this.users = [];
         this.notifications = [];
+        this.recordEventListeners = new Set();
+        this.eventSequence = 0;
+        this.logSequence = 0;
+        // Where templates, records, logs and calendars are persisted; in-memory unless configured
+        this.storage = options.storage || new MemoryStorageAdapter();
+    }
+
+    // Load persisted data, seeding storage with the demo data set on first run
+    // unless seedDemoData is false (headless runs load their own data)
+    async initialize(options = {}) {
+        if (await this.loadFromStorage()) return;
+        if (options.seedDemoData === false) return;
+
+        await this.initializeDummyData();
+        await this.saveAllToStorage();
+    }
+
+    recordCollection(module) {
+        return `records:${module}`;
+    }
+
+    // Returns false when storage holds no data yet. Storage errors propagate: falling back to
+    // demo data here would overwrite whatever the store really holds.
+    async loadFromStorage() {
+        const templates = await this.storage.query('templates');
+        if (templates.length === 0) return false;
+
+        const calendars = await this.storage.query('calendars');
+        calendars.forEach(definition => {
+            try {
+                this.calendarRegistry.register(definition);
+            } catch (error) {
+                console.error(`Skipping stored calendar ${definition.id}:`, error);
+            }
+        });
+
+        (await this.storage.query('onCallSchedules')).forEach(definition => {
+            try {
+                this.onCallRegistry.register(definition);
+            } catch (error) {
+                console.error(`Skipping stored on-call schedule ${definition.id}:`, error);
+            }
+        });
+
+        (await this.storage.query('roles')).forEach(definition => {
+            try {
+                this.roleCatalog.register(definition);
+            } catch (error) {
+                console.error(`Skipping stored role ${definition.id}:`, error);
+            }
+        });
+
+        this.templates = templates.map(template => this.migrateTemplate(template));
+        this.templateVersions = (await this.storage.query('templateVersions')).map(deepFreeze);
+        for (const version of this.ensureTemplateVersions()) {
+            await this.persist('templateVersions', version.id, version);
+        }
+        for (const module of this.moduleRegistry.getModuleIds()) {
+            this.records[module] = await this.storage.query(this.recordCollection(module));
+        }
+        this.users = await this.storage.query('users');
+        this.notifications = await this.storage.query('notifications');
+        this.escalationLogs = (await this.storage.query('escalationLogs'))
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+        console.log(`Loaded ${this.templates.length} templates and ${Object.values(this.records).flat().length} records from storage`);
+        return true;
+    }
+
+    async saveAllToStorage() {
+        const writes = [
+            ...this.templates.map(template => ['templates', template.id, template]),
+            ...this.templateVersions.map(version => ['templateVersions', version.id, version]),
+            ...Object.entries(this.records).flatMap(([module, records]) =>
+                records.map(record => [this.recordCollection(module), record.id, record])
+            ),
+            ...this.users.map(user => ['users', user.id, user]),
+            ...this.notifications.map(notification => ['notifications', notification.id, notification]),
+            ...this.escalationLogs.map(log => ['escalationLogs', log.id, log]),
+            ...this.roleCatalog.list().map(role => ['roles', role.id, role]),
+            ...this.onCallRegistry.list().map(schedule => ['onCallSchedules', schedule.id, schedule.toDefinition()]),
+            ...this.calendarRegistry.list()
+                .filter(calendar => calendar.id !== DEFAULT_CALENDAR_ID)
+                .map(calendar => ['calendars', calendar.id, calendar.toDefinition()])
+        ];
+
+        for (const [collection, id, value] of writes) {
+            await this.persist(collection, id, value);
+        }
+    }
+
+    // Storage failures are logged rather than thrown so the in-memory state stays usable
+    async persist(collection, id, value) {
+        try {
+            await this.storage.put(collection, id, value);
+        } catch (error) {
+            console.error(`Failed to persist ${collection}/${id}:`, error);
+        }
+    }
+
+    async unpersist(collection, id) {
+        try {
+            await this.storage.delete(collection, id);
+        } catch (error) {
+            console.error(`Failed to delete ${collection}/${id} from storage:`, error);
+        }
+    }
+
+    nextLogId() {
+        return `log-${Date.now()}-${++this.logSequence}`;
     }
 
     // Safe date parsing with validation
@@ -38,8 +180,15 @@ export class DataManager {
         console.log('Starting dummy data initialization...');
         const startTime = performance.now();
 
+        console.time('Calendars Generation');
+        this.generateDummyCalendars();
+        this.generateDummyOnCallSchedules();
+        console.timeEnd('Calendars Generation');
+
         console.time('Templates Generation');
         await this.generateDummyTemplates();
+        this.templates.forEach(template => this.migrateTemplate(template));
+        this.ensureTemplateVersions();
         console.timeEnd('Templates Generation');
 
         console.time('Records Generation');
@@ -63,6 +212,67 @@ export class DataManager {
         console.log(`Generated: ${this.templates.length} templates, ${Object.values(this.records).flat().length} records, ${this.users.length} users, ${this.escalationLogs.length} logs, ${this.notifications.length} notifications`);
     }
 
+    // Site calendars for plants in different timezones and shift patterns
+    generateDummyCalendars() {
+        [
+            {
+                id: 'plant-houston',
+                name: 'Houston Plant',
+                timezone: 'America/Chicago',
+                workingDays: [1, 2, 3, 4, 5],
+                hours: { start: '07:00', end: '19:00' },
+                holidays: [
+                    { date: '2025-11-27', name: 'Thanksgiving' },
+                    { date: '2025-12-25', name: 'Christmas Day' },
+                    { date: '2026-01-01', name: "New Year's Day" },
+                    { date: '2026-05-25', name: 'Memorial Day' },
+                    { date: '2026-07-03', name: 'Independence Day (observed)' }
+                ]
+            },
+            {
+                id: 'plant-rotterdam',
+                name: 'Rotterdam Plant',
+                timezone: 'Europe/Amsterdam',
+                workingDays: [1, 2, 3, 4, 5],
+                hours: { start: '08:00', end: '16:30' },
+                holidays: [
+                    { date: '2025-12-25', name: 'Eerste Kerstdag' },
+                    { date: '2025-12-26', name: 'Tweede Kerstdag' },
+                    { date: '2026-01-01', name: 'Nieuwjaarsdag' },
+                    { date: '2026-04-27', name: 'Koningsdag' }
+                ]
+            },
+            {
+                id: 'plant-singapore',
+                name: 'Singapore Plant',
+                timezone: 'Asia/Singapore',
+                workingDays: [1, 2, 3, 4, 5, 6],
+                hours: { start: '08:00', end: '17:00' },
+                hoursByDay: { 6: { start: '08:00', end: '12:00' } },
+                holidays: [
+                    { date: '2026-01-01', name: "New Year's Day" },
+                    { date: '2026-02-17', name: 'Chinese New Year' },
+                    { date: '2026-02-18', name: 'Chinese New Year' },
+                    { date: '2026-08-09', name: 'National Day' }
+                ]
+            }
+        ].forEach(definition => this.calendarRegistry.register(definition));
+    }
+
+    // Weekly night-duty rotation for the Houston plant, handing over at the start of the night shift
+    generateDummyOnCallSchedules() {
+        this.onCallRegistry.register({
+            id: 'houston-night-duty',
+            name: 'Houston Night Duty',
+            timezone: 'America/Chicago',
+            startDate: '2026-01-05',
+            handoffTime: '19:00',
+            rotationDays: 7,
+            members: ['user-12', 'user-17', 'user-19'],
+            overrides: []
+        });
+    }
+
     addEdgeCaseTemplates() {
         // Edge case templates for testing
         this.templates.unshift(
@@ -167,6 +377,12 @@ export class DataManager {
                         daysBefore: 0,
                         daysAfter: 0
                     },
+                    {
+                        type: 'time-based',
+                        level: 2,
+                        referenceField: 'createdDate',
+                        offset: 'PT2H'
+                    },
                     {
                         type: 'event-based',
                         level: 1,
@@ -834,8 +1050,59 @@ Audit Management System`
                     },
                     sms: 'OVERDUE AUDIT {{id}}. IMMEDIATE ACTION REQUIRED. View: {{actionUrl}}'
                 }
+            },
+            // ON-CALL TEMPLATES (REQ-024)
+            {
+                id: 'template-12',
+                name: 'Houston Manufacturing On-Call Page',
+                module: 'incidents',
+                description: 'Pages the Houston night-duty rotation for critical Manufacturing incidents',
+                active: true,
+                calendarId: 'plant-houston',
+                applicabilityRules: [
+                    { field: 'priority', operator: 'equals', value: 'Critical', logic: 'AND' },
+                    { field: 'status', operator: 'equals', value: 'Open', logic: 'AND' },
+                    { field: 'department', operator: 'equals', value: 'Manufacturing', logic: 'AND' }
+                ],
+                hierarchy: [
+                    {
+                        level: 1,
+                        roles: [],
+                        onCallSchedules: ['houston-night-duty'],
+                        fallbackEmail: 'safety-manager@company.com',
+                        delay: 0
+                    }
+                ],
+                triggers: [
+                    {
+                        type: 'time-based',
+                        level: 1,
+                        referenceField: 'createdDate',
+                        offset: 'PT0M'
+                    }
+                ],
+                notificationTemplates: {
+                    email: {
+                        subject: 'ON-CALL: Critical incident {{id}} - {{location}}',
+                        body: `Dear {{recipientName}},
+
+You are on call for the Houston plant and a critical Manufacturing incident needs attention:
+
+- ID: {{id}}
+- Location: {{location}}
+- Description: {{description}}
+
+View Incident: {{actionUrl}}
+
+Safety Management System`
+                    },
+                    sms: 'ON-CALL: critical incident {{id}} at {{location}}. View: {{actionUrl}}'
+                }
             }
         ];
+
+        // Templates shipped with registered modules
+        this.templates.push(...this.moduleRegistry.getDefaultTemplates());
     }
 
     async generateDummyRecords() {
@@ -1206,6 +1473,120 @@ Audit Management System`
                 department: 'Quality'
             }
         ];
+
+        this.records['corrective-actions'] = [
+            {
+                id: 'CA-2025-001',
+                title: 'Install secondary containment in Lab A',
+                description: 'Follow-up action from chemical spill INC-2025-001',
+                priority: 'Critical',
+                status: 'Open',
+                sourceRecordId: 'INC-2025-001',
+                assignedTo: 'Chemistry Lab Manager',
+                location: 'Laboratory A',
+                createdDate: new Date(now.getTime() - 10 * 24 * 60 * 60 * 1000).toISOString(), // 10 days ago
+                dueDate: new Date(now.getTime() - 2 * 24 * 60 * 60 * 1000).toISOString(), // 2 days overdue
+                department: 'Chemistry'
+            },
+            {
+                id: 'CA-2025-002',
+                title: 'Replace missing conveyor guard',
+                description: 'Follow-up action from INC-2025-006',
+                priority: 'High',
+                status: 'In Progress',
+                sourceRecordId: 'INC-2025-006',
+                assignedTo: 'Manufacturing Manager',
+                location: 'Production Line 3',
+                createdDate: new Date(now.getTime() - 3 * 24 * 60 * 60 * 1000).toISOString(), // 3 days ago
+                dueDate: new Date(now.getTime() + 4 * 24 * 60 * 60 * 1000).toISOString(), // 4 days from now
+                department: 'Manufacturing'
+            },
+            {
+                id: 'CA-2025-003',
+                title: 'Retrain staff on PPE requirements',
+                description: 'Follow-up action from audit AUD-2025-001',
+                priority: 'Medium',
+                status: 'Pending Verification',
+                sourceRecordId: 'AUD-2025-001',
+                assignedTo: 'Safety Coordinator',
+                location: 'Welding Station A',
+                createdDate: new Date(now.getTime() - 14 * 24 * 60 * 60 * 1000).toISOString(), // 14 days ago
+                dueDate: new Date(now.getTime() - 1 * 24 * 60 * 60 * 1000).toISOString(), // 1 day ago
+                department: 'Safety'
+            }
+        ];
+
+        this.records['training-certifications'] = [
+            {
+                id: 'TRN-2025-001',
+                title: 'Forklift Operator Certification',
+                description: 'Powered industrial truck operator certification',
+                certification: 'Forklift Operator',
+                employee: 'Mike Davis',
+                status: 'Expiring',
+                location: 'Warehouse B',
+                expirationDate: new Date(now.getTime() + 5 * 24 * 60 * 60 * 1000).toISOString(), // 5 days from now
+                department: 'Logistics'
+            },
+            {
+                id: 'TRN-2025-002',
+                title: 'Confined Space Entry',
+                description: 'Confined space entrant and attendant training',
+                certification: 'Confined Space Entry',
+                employee: 'Robert Taylor',
+                status: 'Valid',
+                location: 'Production Area C',
+                expirationDate: new Date(now.getTime() + 25 * 24 * 60 * 60 * 1000).toISOString(), // 25 days from now
+                department: 'Manufacturing'
+            },
+            {
+                id: 'TRN-2025-003',
+                title: 'First Aid / CPR',
+                description: 'Workplace first aid responder certification',
+                certification: 'First Aid',
+                employee: 'Lisa Wong',
+                status: 'Expired',
+                location: 'Main Office',
+                expirationDate: new Date(now.getTime() - 3 * 24 * 60 * 60 * 1000).toISOString(), // 3 days ago
+                department: 'Facilities'
+            }
+        ];
+
+        this.records['equipment-inspections'] = [
+            {
+                id: 'EQI-2025-001',
+                title: 'Overhead Crane Annual Inspection',
+                description: 'Hoist brake failed load test',
+                equipmentId: 'CRANE-07',
+                inspector: 'David Chen',
+                status: 'Failed',
+                location: 'Production Area C',
+                nextInspectionDate: new Date(now.getTime() + 2 * 24 * 60 * 60 * 1000).toISOString(), // 2 days from now
+                department: 'Manufacturing'
+            },
+            {
+                id: 'EQI-2025-002',
+                title: 'Fire Extinguisher Monthly Check',
+                description: 'All extinguishers charged and tagged',
+                equipmentId: 'FE-BLDG-B',
+                inspector: 'Tom Anderson',
+                status: 'Passed',
+                location: 'Building B',
+                nextInspectionDate: new Date(now.getTime() + 30 * 24 * 60 * 60 * 1000).toISOString(), // 30 days from now
+                department: 'Facilities'
+            },
+            {
+                id: 'EQI-2025-003',
+                title: 'Emergency Eyewash Station',
+                description: 'Weekly activation test',
+                equipmentId: 'EYE-LAB-A',
+                inspector: 'Anna Petrov',
+                status: 'Scheduled',
+                location: 'Laboratory A',
+                nextInspectionDate: new Date(now.getTime() + 1 * 24 * 60 * 60 * 1000).toISOString(), // 1 day from now
+                department: 'Chemistry'
+            }
+        ];
     }
 
     addEdgeCaseRecords(now) {
@@ -1344,7 +1725,14 @@ Audit Management System`
                 phone: '+1234567007',
                 role: 'department-head',
                 department: 'Manufacturing',
-                manager: 'user-5'
+                manager: 'user-5',
+                // On leave this week; Maria Rodriguez covers (REQ-023 demo)
+                delegateId: 'user-12',
+                absences: [{
+                    start: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+                    end: new Date(Date.now() + 5 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+                    reason: 'Annual leave'
+                }]
             },
             {
                 id: 'user-8',
@@ -2054,9 +2442,197 @@ Audit Management System`
     }
 
     async getRecords(module) {
+        if (!this.moduleRegistry.hasModule(module)) {
+            console.warn(`Unknown module: ${module}`);
+            return [];
+        }
         return this.records[module] || [];
     }
 
+    // Subscribe to record change events; returns an unsubscribe function
+    onRecordEvent(listener) {
+        this.recordEventListeners.add(listener);
+        return () => this.recordEventListeners.delete(listener);
+    }
+
+    async emitRecordEvent(event) {
+        const fullEvent = {
+            id: `evt-${Date.now()}-${++this.eventSequence}`,
+            timestamp: new Date().toISOString(),
+            actor: null,
+            changes: [],
+            ...event
+        };
+
+        for (const listener of Array.from(this.recordEventListeners)) {
+            try {
+                await listener(fullEvent);
+            } catch (error) {
+                console.error(`Record event listener failed for ${fullEvent.type} on ${fullEvent.recordId}:`, error);
+            }
+        }
+
+        return fullEvent;
+    }
+
+    findRecord(module, recordId) {
+        if (!this.moduleRegistry.hasModule(module)) {
+            throw new Error(`Unknown module: ${module}`);
+        }
+
+        const record = (this.records[module] || []).find(r => r.id === recordId);
+        if (!record) {
+            throw new Error(`Record ${recordId} not found in ${module}`);
+        }
+        return record;
+    }
+
+    async createRecord(module, data, options = {}) {
+        if (!this.moduleRegistry.hasModule(module)) {
+            throw new Error(`Unknown module: ${module}`);
+        }
+
+        const records = this.records[module] || (this.records[module] = []);
+        // Generated ids take the next free sequence number in the module's format
+        let id = data.id;
+        if (!id) {
+            let sequence = records.length + 1;
+            do {
+                id = this.moduleRegistry.formatRecordId(module, sequence++);
+            } while (records.some(r => r.id === id));
+        }
+        const record = { ...JSON.parse(JSON.stringify(data)), id };
+
+        if (records.some(r => r.id === record.id)) {
+            throw new Error(`Record ${record.id} already exists in ${module}`);
+        }
+
+        records.push(record);
+        await this.persist(this.recordCollection(module), record.id, record);
+        await this.emitRecordEvent({
+            type: 'created',
+            module,
+            recordId: record.id,
+            record,
+            changes: diffRecords({}, record),
+            actor: options.actor || null
+        });
+        return record;
+    }
+
+    // Apply field updates in place (escalations hold references to records) and emit the diff
+    async updateRecord(module, recordId, updates, options = {}) {
+        const record = this.findRecord(module, recordId);
+        const before = JSON.parse(JSON.stringify(record));
+
+        Object.assign(record, JSON.parse(JSON.stringify(updates)), { id: record.id });
+
+        const changes = diffRecords(before, record);
+        if (changes.length === 0) return record;
+
+        await this.persist(this.recordCollection(module), record.id, record);
+
+        const actor = options.actor || null;
+        await this.emitRecordEvent({ type: 'updated', module, recordId, record, before, changes, actor });
+
+        const assignmentChange = changes.find(change => ASSIGNMENT_FIELDS.includes(change.field));
+        if (assignmentChange) {
+            await this.emitRecordEvent({
+                type: 'assignment',
+                module,
+                recordId,
+                record,
+                assignment: { field: assignmentChange.field, from: assignmentChange.from ?? null, to: assignmentChange.to ?? null },
+                actor
+            });
+        }
+
+        return record;
+    }
+
+    async deleteRecord(module, recordId, options = {}) {
+        const record = this.findRecord(module, recordId);
+        this.records[module] = this.records[module].filter(r => r.id !== recordId);
+        await this.unpersist(this.recordCollection(module), recordId);
+
+        await this.emitRecordEvent({ type: 'deleted', module, recordId, record, actor: options.actor || null });
+        return record;
+    }
+
+    async addComment(module, recordId, comment) {
+        const record = this.findRecord(module, recordId);
+        const entry = {
+            id: `comment-${Date.now()}-${(record.comments || []).length + 1}`,
+            author: comment.author || 'unknown',
+            text: comment.text || '',
+            createdAt: new Date().toISOString()
+        };
+
+        record.comments = [...(record.comments || []), entry];
+        await this.persist(this.recordCollection(module), record.id, record);
+        await this.emitRecordEvent({ type: 'comment', module, recordId, record, comment: entry, actor: entry.author });
+        return entry;
+    }
+
+    // Integrations can raise their own named events against a record
+    async emitCustomEvent(module, recordId, name, payload = {}, options = {}) {
+        if (!name) {
+            throw new Error('Custom events require a name');
+        }
+
+        const record = this.findRecord(module, recordId);
+        return this.emitRecordEvent({ type: 'custom', module, recordId, record, name, payload, actor: options.actor || null });
+    }
+
+    // Ingestion API for external systems. Records are validated against the module's
+    // field schema; upserts merge into an existing record with the same id.
+    async upsertRecord(module, data, options = {}) {
+        const errors = this.moduleRegistry.fieldSchemaRegistry.validateRecord(module, data);
+        if (errors.length > 0) {
+            throw new Error(`Invalid ${module} record${data?.id ? ` ${data.id}` : ''}: ${errors.join('; ')}`);
+        }
+
+        const existing = data.id && (this.records[module] || []).find(r => r.id === data.id);
+        if (existing) {
+            return { action: 'updated', record: await this.updateRecord(module, data.id, data, options) };
+        }
+        return { action: 'created', record: await this.createRecord(module, data, options) };
+    }
+
+    async upsertRecords(module, records, options = {}) {
+        return this.applyRecordBatch(records.map(record => ({ op: 'upsert', module, record })), options);
+    }
+
+    // Apply a list of { op: 'upsert', module, record } / { op: 'delete', module, id } operations.
+    // Operations are independent: a failure is reported and the rest still run.
+    async applyRecordBatch(operations, options = {}) {
+        const result = { created: 0, updated: 0, deleted: 0, failed: 0, errors: [] };
+
+        for (const [index, operation] of (operations || []).entries()) {
+            try {
+                if (operation?.op === 'delete') {
+                    await this.deleteRecord(operation.module, operation.id, options);
+                    result.deleted++;
+                } else if (!operation?.op || operation.op === 'upsert') {
+                    const { action } = await this.upsertRecord(operation.module, operation.record, options);
+                    result[action]++;
+                } else {
+                    throw new Error(`Unknown operation "${operation.op}"`);
+                }
+            } catch (error) {
+                result.failed++;
+                result.errors.push({
+                    index,
+                    module: operation?.module,
+                    id: operation?.id || operation?.record?.id || null,
+                    error: error.message
+                });
+            }
+        }
+
+        return result;
+    }
+
     async getSampleRecord(module) {
         const records = this.records[module] || [];
         return records.length > 0 ? records[0] : null;
@@ -2072,134 +2648,476 @@ Audit Management System`
         return this.notifications;
     }
 
-    async getUsersByRole(role, department) {
-        return this.users.filter(user =>
-            user.role.toLowerCase().includes(role.toLowerCase()) &&
-            (!department || user.department === department)
+    async getAllUsers() {
+        return this.users;
+    }
+
+    // Exact role match, narrowed by the role's catalog scope; context is { department, site }
+    async getUsersByRole(role, context = {}) {
+        return this.roleCatalog.getUsers(this.users, role, context);
+    }
+
+    async getUser(id) {
+        return this.users.find(user => user.id === id) || null;
+    }
+
+    // Out-of-office windows and the default delegate for a user
+    async updateUserAvailability(userId, { absences = [], delegateId = null } = {}) {
+        const user = await this.getUser(userId);
+        if (!user) {
+            throw new Error(`User ${userId} not found`);
+        }
+
+        const errors = validateAbsences(absences);
+        if (delegateId === userId || absences.some(absence => absence.delegateId === userId)) {
+            errors.push('Users cannot delegate to themselves');
+        }
+        [delegateId, ...absences.map(absence => absence.delegateId)].filter(Boolean).forEach(id => {
+            if (!this.users.some(u => u.id === id)) errors.push(`Delegate ${id} not found`);
+        });
+        if (errors.length > 0) {
+            throw new Error(errors.join('; '));
+        }
+
+        user.absences = absences;
+        user.delegateId = delegateId || null;
+        await this.persist('users', user.id, user);
+        return user;
+    }
+
+    async getRoles() {
+        return this.roleCatalog.list();
+    }
+
+    async saveRole(definition) {
+        const saved = this.roleCatalog.register(definition);
+        await this.persist('roles', saved.id, saved);
+        return saved;
+    }
+
+    // Templates whose working copy or published version matches `uses`. The published
+    // version is what escalates, so it can still depend on something the draft dropped.
+    findTemplatesUsing(uses) {
+        return this.templates.filter(template =>
+            [template, this.toPublishedTemplate(template)].some(copy => copy && uses(copy))
         );
     }
 
-    async saveTemplate(template) {
-        const existingIndex = this.templates.findIndex(t => t.id === template.id);
-        if (existingIndex >= 0) {
-            this.templates[existingIndex] = { ...template, updatedAt: new Date().toISOString() };
-        } else {
-            template.id = `template-${Date.now()}`;
-            template.createdAt = new Date().toISOString();
-            this.templates.push(template);
+    // Templates with a hierarchy level matching `uses`, in either copy
+    findTemplatesUsingLevel(uses) {
+        return this.findTemplatesUsing(template => (template.hierarchy || []).some(uses));
+    }
+
+    async deleteRole(id) {
+        const inUse = this.findTemplatesUsingLevel(level => (level.roles || []).includes(id));
+
+        if (inUse.length > 0) {
+            throw new Error(`Role is used by: ${inUse.map(t => t.name).join(', ')}`);
         }
-        return template;
+
+        const removed = this.roleCatalog.remove(id);
+        await this.unpersist('roles', id);
+        return removed;
     }
 
-    async logEscalation(templateId, recordId, level, recipients) {
-        const logEntry = {
-            id: `log-${Date.now()}`,
-            timestamp: new Date().toISOString(),
-            templateId,
-            templateName: this.templates.find(t => t.id === templateId)?.name || 'Unknown',
-            recordId,
-            level,
-            recipients,
-            status: 'sent',
-            notificationType: 'email'
-        };
+    async getBusinessCalendars() {
+        return this.calendarRegistry.list().map(calendar => calendar.toDefinition());
+    }
 
-        this.escalationLogs.unshift(logEntry);
-        return logEntry;
+    async saveBusinessCalendar(definition) {
+        const saved = this.calendarRegistry.register(definition).toDefinition();
+        await this.persist('calendars', saved.id, saved);
+        return saved;
     }
 
-    async logCancellation(templateId, recordId) {
-        const logEntry = {
-            id: `log-${Date.now()}`,
-            timestamp: new Date().toISOString(),
-            templateId,
-            templateName: this.templates.find(t => t.id === templateId)?.name || 'Unknown',
-            recordId,
-            action: 'cancelled'
+    async getOnCallSchedules() {
+        return this.onCallRegistry.list().map(schedule => schedule.toDefinition());
+    }
+
+    async saveOnCallSchedule(definition) {
+        const unknown = [...(definition?.members || []), ...(definition?.overrides || []).map(o => o.userId)]
+            .filter(userId => userId && !this.users.some(user => user.id === userId));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown users in on-call schedule: ${[...new Set(unknown)].join(', ')}`);
+        }
+
+        const saved = this.onCallRegistry.register(definition).toDefinition();
+        await this.persist('onCallSchedules', saved.id, saved);
+        return saved;
+    }
+
+    // Schedules still referenced by a draft or published hierarchy level can't be removed
+    async deleteOnCallSchedule(id) {
+        const inUse = this.findTemplatesUsingLevel(level => (level.onCallSchedules || []).includes(id));
+
+        if (inUse.length > 0) {
+            throw new Error(`On-call schedule is used by: ${inUse.map(t => t.name).join(', ')}`);
+        }
+
+        const removed = this.onCallRegistry.remove(id);
+        await this.unpersist('onCallSchedules', id);
+        return removed;
+    }
+
+    // Who is on call for a schedule at `at`, with their user record (null when nobody is)
+    getOnCallUser(scheduleId, at = new Date()) {
+        const schedule = this.onCallRegistry.get(scheduleId);
+        if (!schedule) {
+            return { user: null, schedule: null, reason: `on-call schedule '${scheduleId}' does not exist` };
+        }
+
+        const shift = schedule.getOnCall(at);
+        if (!shift.userId) return { user: null, schedule, shift, reason: shift.reason };
+
+        const user = this.users.find(u => u.id === shift.userId) || null;
+        return {
+            user,
+            schedule,
+            shift,
+            reason: user ? null : `on-call user '${shift.userId}' of ${schedule.name} is not in the user directory`
         };
+    }
 
-        this.escalationLogs.unshift(logEntry);
-        return logEntry;
+    // Calendars still referenced by a draft or published template or trigger can't be removed
+    async deleteBusinessCalendar(id) {
+        const inUse = this.findTemplatesUsing(template =>
+            template.calendarId === id || (template.triggers || []).some(trigger => trigger.calendarId === id)
+        );
+
+        if (inUse.length > 0) {
+            throw new Error(`Calendar is used by: ${inUse.map(t => t.name).join(', ')}`);
+        }
+
+        const removed = this.calendarRegistry.remove(id);
+        await this.unpersist('calendars', id);
+        return removed;
     }
 
-    // Simulate real-time escalation processing
-    async processPendingEscalations() {
-        const now = new Date();
+    // Bring templates saved in older formats up to date (flat rule arrays become rule trees)
+    migrateTemplate(template) {
+        template.applicabilityRules = this.ruleEvaluator.normalizeRules(template.applicabilityRules);
+        return template;
+    }
 
-        for (const template of this.templates) {
-            if (!template.active) continue;
-
-            const records = this.records[template.module] || [];
-
-            for (const record of records) {
-                // Check if record matches template rules
-                if (this.evaluateApplicability(template.applicabilityRules, record)) {
-                    // Check triggers
-                    for (const trigger of template.triggers) {
-                        if (this.shouldTriggerEscalation(trigger, record, now)) {
-                            // Create escalation log
-                            await this.logEscalation(
-                                template.id,
-                                record.id,
-                                trigger.level,
-                                ['test@example.com']
-                            );
-                        }
-                    }
-                }
+    // Every save that changes a template records a new immutable version and makes it a draft;
+    // a previously published version keeps escalating until the draft is approved.
+    // options: { author, note } describe the change in the version history.
+    async saveTemplate(template, options = {}) {
+        this.migrateTemplate(template);
+        const existingIndex = this.templates.findIndex(t => t.id === template.id);
+        const existing = existingIndex >= 0 ? this.templates[existingIndex] : null;
+
+        // Lifecycle state only changes through the lifecycle actions below
+        TEMPLATE_LIFECYCLE_FIELDS.forEach(field => delete template[field]);
+        let saved;
+        if (existing) {
+            const lifecycle = Object.fromEntries(TEMPLATE_LIFECYCLE_FIELDS.map(field => [field, existing[field]]));
+            saved = { ...template, ...lifecycle, updatedAt: new Date().toISOString() };
+            this.templates[existingIndex] = saved;
+        } else {
+            // Imported templates keep their ids; templates from the wizard get a new one
+            template.id = template.id || `template-${Date.now()}`;
+            template.createdAt = template.createdAt || new Date().toISOString();
+            saved = Object.assign(template, {
+                status: 'draft',
+                active: false,
+                publishedVersion: null,
+                review: null,
+                lifecycleHistory: []
+            });
+            this.templates.push(saved);
+        }
+
+        const version = this.createTemplateVersion(saved, options);
+        saved.currentVersion = this.getLatestTemplateVersion(saved.id)?.version ?? null;
+        if (version) {
+            await this.persist('templateVersions', version.id, version);
+            if (existing && saved.status !== 'draft') {
+                this.recordLifecycleChange(saved, 'draft', 'edit', { by: version.author, note: version.note });
+                saved.review = null;
             }
         }
+        await this.persist('templates', saved.id, saved);
+        return saved;
     }
 
-    evaluateApplicability(rules, record) {
-        if (!rules || rules.length === 0) return true;
+    // Snapshot a template as its next version; returns null when nothing changed since the last one
+    createTemplateVersion(template, options = {}) {
+        const snapshot = toTemplateSnapshot(template);
+        const latest = this.getLatestTemplateVersion(template.id);
+        if (latest && diffTemplates(latest.snapshot, snapshot).length === 0) return null;
+
+        const number = (latest?.version || 0) + 1;
+        const version = deepFreeze({
+            id: `${template.id}@${number}`,
+            templateId: template.id,
+            version: number,
+            author: options.author || 'system',
+            note: options.note || '',
+            createdAt: new Date().toISOString(),
+            snapshot
+        });
+
+        this.templateVersions.push(version);
+        return version;
+    }
 
-        let result = true; // Default for AND logic
+    // Give templates saved before versioning existed a baseline version; returns the new versions
+    ensureTemplateVersions() {
+        const created = [];
+        this.templates.forEach(template => {
+            if (!this.getLatestTemplateVersion(template.id)) {
+                created.push(this.createTemplateVersion(template, { note: 'Initial version' }));
+            }
+            template.currentVersion = this.getLatestTemplateVersion(template.id).version;
+            this.migrateTemplateLifecycle(template);
+        });
+        return created;
+    }
 
-        for (const rule of rules) {
-            const fieldValue = this.getNestedValue(record, rule.field);
-            const ruleResult = this.evaluateRule(rule.operator, fieldValue, rule.value);
+    // Active templates from before the lifecycle existed are treated as published at their current version
+    migrateTemplateLifecycle(template) {
+        if (template.status) return;
 
-            if (rule.logic === 'OR') {
-                result = result || ruleResult;
-            } else {
-                result = result && ruleResult;
+        template.status = getTemplateStatus(template);
+        template.publishedVersion = template.status === 'published' ? template.currentVersion : null;
+        template.active = template.publishedVersion !== null;
+        template.review = null;
+        template.lifecycleHistory = template.lifecycleHistory || [];
+    }
+
+    recordLifecycleChange(template, status, action, options = {}) {
+        template.lifecycleHistory = [
+            ...(template.lifecycleHistory || []),
+            {
+                action,
+                from: template.status,
+                to: status,
+                version: template.currentVersion,
+                by: options.by || 'system',
+                note: options.note || '',
+                timestamp: new Date().toISOString()
             }
+        ];
+        template.status = status;
+    }
+
+    async applyLifecycleAction(templateId, action, options, update) {
+        const template = await this.getTemplate(templateId);
+        if (!template) {
+            throw new Error(`Template ${templateId} not found`);
         }
 
-        return result;
+        const definition = assertLifecycleAction(template, action);
+        update(template);
+        this.recordLifecycleChange(template, definition.to, action, options);
+        template.active = template.publishedVersion !== null;
+        await this.persist('templates', template.id, template);
+        return template;
+    }
+
+    async submitTemplateForReview(templateId, options = {}) {
+        return this.applyLifecycleAction(templateId, 'submit', { by: options.submittedBy, note: options.note }, template => {
+            template.review = {
+                version: template.currentVersion,
+                submittedBy: options.submittedBy || 'system',
+                submittedAt: new Date().toISOString(),
+                note: options.note || ''
+            };
+        });
+    }
+
+    // Publishing needs a second person: neither the submitter nor the version's author may approve
+    async approveTemplate(templateId, options = {}) {
+        const approvedBy = String(options.approvedBy || '').trim();
+        return this.applyLifecycleAction(templateId, 'approve', { by: approvedBy, note: options.note }, template => {
+            const author = this.getTemplateVersion(template.id, template.review.version)?.author;
+            if (!approvedBy) {
+                throw new Error('Publishing a template requires an approver');
+            }
+            if (approvedBy === template.review.submittedBy || approvedBy === author) {
+                throw new Error('A template must be approved by someone other than its author or submitter');
+            }
+
+            template.publishedVersion = template.review.version;
+            template.publishedAt = new Date().toISOString();
+            template.review = { ...template.review, approvedBy, approvedAt: template.publishedAt };
+        });
     }
 
-    evaluateRule(operator, fieldValue, expectedValue) {
-        switch (operator) {
-            case 'equals':
-                return fieldValue == expectedValue;
-            case 'contains':
-                return String(fieldValue).toLowerCase().includes(String(expectedValue).toLowerCase());
-            case 'greaterThan':
-                return Number(fieldValue) > Number(expectedValue);
-            case 'lessThan':
-                return Number(fieldValue) < Number(expectedValue);
-            default:
-                return false;
+    async returnTemplateToDraft(templateId, options = {}) {
+        return this.applyLifecycleAction(templateId, 'reject', options, template => {
+            template.review = null;
+        });
+    }
+
+    // Retired templates stop escalating; their active escalations are cancelled on the next cycle
+    async retireTemplate(templateId, options = {}) {
+        return this.applyLifecycleAction(templateId, 'retire', options, template => {
+            template.publishedVersion = null;
+            template.review = null;
+        });
+    }
+
+    // Publish the current version without review. Only for trusted sources whose review happens
+    // elsewhere, such as template files loaded by the headless runtime; the UI always uses approveTemplate.
+    async publishTemplate(templateId, options = {}) {
+        const template = await this.getTemplate(templateId);
+        if (!template) {
+            throw new Error(`Template ${templateId} not found`);
+        }
+        if (template.status === 'published' && template.publishedVersion === template.currentVersion) {
+            return template;
         }
+
+        template.publishedVersion = template.currentVersion;
+        template.publishedAt = new Date().toISOString();
+        template.review = null;
+        this.recordLifecycleChange(template, 'published', 'publish', { by: options.publishedBy, note: options.note });
+        template.active = true;
+        await this.persist('templates', template.id, template);
+        return template;
+    }
+
+    // The published version of each live template: what the escalation engine runs
+    async getPublishedTemplates() {
+        return this.templates
+            .map(template => this.toPublishedTemplate(template))
+            .filter(Boolean);
     }
 
-    getNestedValue(obj, path) {
-        return path.split('.').reduce((current, key) => current && current[key], obj);
+    async getPublishedTemplate(id) {
+        const template = this.templates.find(t => t.id === id);
+        return template ? this.toPublishedTemplate(template) : null;
     }
 
-    shouldTriggerEscalation(trigger, record, now) {
-        if (trigger.type === 'time-based') {
-            const referenceDate = this.safeDateParse(record[trigger.referenceField]);
-            if (!referenceDate) return false;
+    toPublishedTemplate(template) {
+        if (template.publishedVersion === null || template.publishedVersion === undefined) return null;
 
-            const daysDiff = Math.floor((now - referenceDate) / (1000 * 60 * 60 * 24));
+        const version = this.getTemplateVersion(template.id, template.publishedVersion);
+        if (!version) return null;
 
-            return daysDiff >= trigger.daysBefore && daysDiff <= trigger.daysAfter;
-        } else if (trigger.type === 'event-based') {
-            return record[trigger.field] === trigger.value;
+        return {
+            ...JSON.parse(JSON.stringify(version.snapshot)),
+            id: template.id,
+            createdAt: template.createdAt,
+            updatedAt: version.createdAt,
+            currentVersion: version.version,
+            publishedVersion: version.version,
+            status: 'published',
+            active: true
+        };
+    }
+
+    // Newest first
+    getTemplateVersions(templateId) {
+        return this.templateVersions
+            .filter(version => version.templateId === templateId)
+            .sort((a, b) => b.version - a.version);
+    }
+
+    getTemplateVersion(templateId, version) {
+        return this.templateVersions.find(v => v.templateId === templateId && v.version === Number(version)) || null;
+    }
+
+    getLatestTemplateVersion(templateId) {
+        return this.getTemplateVersions(templateId)[0] || null;
+    }
+
+    // Structural changes going from version `from` to version `to`
+    diffTemplateVersions(templateId, from, to) {
+        const before = this.getTemplateVersion(templateId, from);
+        const after = this.getTemplateVersion(templateId, to);
+        if (!before || !after) {
+            throw new Error(`Template ${templateId} has no version ${!before ? from : to}`);
         }
-        return false;
+        return diffTemplates(before.snapshot, after.snapshot);
+    }
+
+    // Restore an earlier version by saving its snapshot as a new version; history is never rewritten
+    async rollbackTemplate(templateId, version, options = {}) {
+        const target = this.getTemplateVersion(templateId, version);
+        if (!target) {
+            throw new Error(`Template ${templateId} has no version ${version}`);
+        }
+
+        const current = await this.getTemplate(templateId);
+        const restored = { ...JSON.parse(JSON.stringify(target.snapshot)), createdAt: current?.createdAt };
+        return this.saveTemplate(restored, {
+            author: options.author,
+            note: options.note || `Rolled back to version ${target.version}`
+        });
+    }
+
+    // Name and version for a log entry; pass the version that ran when it is known, since
+    // a newer version may have been published since the escalation started
+    getTemplateLogDetails(templateId, templateVersion = null) {
+        const executed = templateVersion != null ? this.getTemplateVersion(templateId, templateVersion) : null;
+        if (executed) {
+            return { templateName: executed.snapshot.name, templateVersion: executed.version };
+        }
+
+        const template = this.templates.find(t => t.id === templateId);
+        return {
+            templateName: template?.name || 'Unknown',
+            templateVersion: templateVersion ?? template?.publishedVersion ?? template?.currentVersion ?? null
+        };
+    }
+
+    async logEscalation(templateId, recordId, level, recipients, options = {}) {
+        const logEntry = {
+            id: this.nextLogId(),
+            timestamp: new Date().toISOString(),
+            templateId,
+            ...this.getTemplateLogDetails(templateId, options.templateVersion),
+            recordId,
+            level,
+            recipients,
+            // Intended vs. actual recipient, which differ when a delegate stands in
+            deliveries: describeDeliveries(recipients),
+            status: 'sent',
+            notificationType: 'email'
+        };
+
+        this.escalationLogs.unshift(logEntry);
+        await this.persist('escalationLogs', logEntry.id, logEntry);
+        return logEntry;
+    }
+
+    async logCancellation(templateId, recordId, reason = 'completed') {
+        const logEntry = {
+            id: this.nextLogId(),
+            timestamp: new Date().toISOString(),
+            templateId,
+            ...this.getTemplateLogDetails(templateId),
+            recordId,
+            action: 'cancelled',
+            status: 'cancelled',
+            reason
+        };
+
+        this.escalationLogs.unshift(logEntry);
+        await this.persist('escalationLogs', logEntry.id, logEntry);
+        return logEntry;
+    }
+
+    async logAcknowledgement(templateId, recordId, level, acknowledgement) {
+        const logEntry = {
+            id: this.nextLogId(),
+            timestamp: acknowledgement.acknowledgedAt || new Date().toISOString(),
+            templateId,
+            ...this.getTemplateLogDetails(templateId),
+            recordId,
+            level,
+            recipient: acknowledgement.acknowledgedBy,
+            note: acknowledgement.note,
+            pausedUntil: acknowledgement.pausedUntil,
+            status: 'acknowledged',
+            action: 'acknowledged'
+        };
+
+        this.escalationLogs.unshift(logEntry);
+        await this.persist('escalationLogs', logEntry.id, logEntry);
+        return logEntry;
     }
-}
\ No newline at end of file
+}
@@ -1,11 +1,31 @@
 // Escalation Engine - Core logic for processing escalations
+import { MemoryEscalationStore } from './escalation-store.js';
+import { ruleEvaluator } from './rule-evaluator.js';
+import { moduleRegistry } from './module-registry.js';
+import { businessCalendarRegistry } from './business-calendar.js';
+import { describeTriggerOffset } from './trigger-offset.js';
+import { matchesEventTrigger, describeEventTrigger, getRecordAssignee } from './record-events.js';
+import { isRelativeRole, resolveRelativeRole } from './org-chart.js';
+import { applyDelegation, getDelegatedFor } from './availability.js';
+
 export class EscalationEngine {
-    constructor(dataManager, notificationHandler) {
+    constructor(dataManager, notificationHandler, options = {}) {
         this.dataManager = dataManager;
         this.notificationHandler = notificationHandler;
+        this.ruleEvaluator = options.ruleEvaluator || ruleEvaluator;
+        this.moduleRegistry = options.moduleRegistry || moduleRegistry;
+        this.calendarRegistry = options.calendarRegistry || businessCalendarRegistry;
         this.activeEscalations = new Map();
+        this.store = options.store || new MemoryEscalationStore();
+        this.acknowledgementWindowHours = options.acknowledgementWindowHours ?? 24;
+        this.isHydrated = false;
         this.processingInterval = null;
+        this.processingIntervalMs = options.processingIntervalMs ?? 5 * 60 * 1000;
+        this.deferredReleaseTimer = null;
+        this.unsubscribeRecordEvents = null;
         this.isProcessing = false;
+        // Processing cycles, record events and deferred releases run one at a time (see runExclusive)
+        this.processingQueue = Promise.resolve();
     }
 
     // Safe date parsing with validation
@@ -42,21 +62,42 @@ export class EscalationEngine {
         }
 
         this.isProcessing = true;
+        try {
+            await this.runExclusive(() => this.runProcessingCycle());
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    // Run `task` after every task queued before it. Anything that walks a ladder goes through
+    // here so a cycle, an event and a deferred release can't fire the same level twice.
+    runExclusive(task) {
+        const run = this.processingQueue.then(task, task);
+        this.processingQueue = run.catch(() => {});
+        return run;
+    }
+
+    async runProcessingCycle() {
         const startTime = performance.now();
         console.log('Starting escalation processing cycle...');
 
         try {
+            // Restore escalation state persisted by a previous session before evaluating anything
+            if (!this.isHydrated) {
+                await this.rehydrate();
+            }
+
             const templatesStart = performance.now();
-            const templates = await this.dataManager.getAllTemplates();
-            console.log(`Fetched ${templates.length} templates in ${(performance.now() - templatesStart).toFixed(2)}ms`);
+            // Drafts and templates under review never escalate; only published versions run
+            const templates = await this.dataManager.getPublishedTemplates();
+            console.log(`Fetched ${templates.length} published templates in ${(performance.now() - templatesStart).toFixed(2)}ms`);
+            await this.cancelUnpublishedEscalations(templates);
 
             const now = new Date();
             let processedRecords = 0;
             let triggeredEscalations = 0;
 
             for (const template of templates) {
-                if (!template.active) continue;
-
                 const templateStart = performance.now();
                 const recordsProcessed = await this.processTemplate(template, now);
                 processedRecords += recordsProcessed;
@@ -65,7 +106,7 @@ export class EscalationEngine {
 
             // Clean up old escalations
             const cleanupStart = performance.now();
-            this.cleanupOldEscalations();
+            await this.cleanupOldEscalations();
             console.log(`Cleanup completed in ${(performance.now() - cleanupStart).toFixed(2)}ms`);
 
             const totalTime = performance.now() - startTime;
@@ -73,22 +114,31 @@ export class EscalationEngine {
 
         } catch (error) {
             console.error('Error processing escalations:', error);
-        } finally {
-            this.isProcessing = false;
         }
     }
 
     async processTemplate(template, now) {
+        // Templates for modules that are no longer registered have no records to evaluate
+        if (!this.moduleRegistry.hasModule(template.module)) {
+            console.warn(`Skipping template ${template.id}: module ${template.module} is not registered`);
+            return 0;
+        }
+
         try {
             const records = await this.dataManager.getRecords(template.module);
+            const recordsById = new Map();
+            const unmatchedRecordIds = new Set();
             let processedCount = 0;
 
             for (const record of records) {
+                recordsById.set(record.id, record);
                 try {
                     processedCount++;
                     // Check if record matches template applicability rules
-                    if (this.matchesTemplateRules(template, record)) {
+                    if (this.matchesTemplateRules(template, record, now)) {
                         await this.evaluateRecordTriggers(template, record, now);
+                    } else {
+                        unmatchedRecordIds.add(record.id);
                     }
                 } catch (recordError) {
                     console.error(`Error processing record ${record.id} in template ${template.id}:`, recordError);
@@ -96,6 +146,9 @@ export class EscalationEngine {
                 }
             }
 
+            // Cancel escalations whose records were deleted or stopped matching (REQ-014)
+            await this.cancelInapplicableEscalations(template, recordsById, unmatchedRecordIds);
+
             return processedCount;
         } catch (error) {
             console.error(`Error processing template ${template.id}:`, error);
@@ -104,119 +157,466 @@ export class EscalationEngine {
         }
     }
 
-    matchesTemplateRules(template, record) {
+    matchesTemplateRules(template, record, now = new Date()) {
         try {
-            if (!template.applicabilityRules || template.applicabilityRules.length === 0) {
-                return true; // No rules means always applicable
+            return this.ruleEvaluator.evaluateApplicability(template.applicabilityRules, record, { now });
+        } catch (error) {
+            console.error(`Error evaluating rules for template ${template.id}, record ${record.id}:`, error);
+            return false; // Fail safe
+        }
+    }
+
+    // `event` is the record change event being handled, if any, and `eventLevels` the
+    // levels whose event triggers it matched
+    async evaluateRecordTriggers(template, record, now, event = null, eventLevels = []) {
+        const escalationKey = `${template.id}-${record.id}`;
+
+        // Collect the levels whose own trigger conditions are met this cycle
+        const matchedLevels = new Set();
+        for (const trigger of template.triggers) {
+            if (this.shouldTrigger(trigger, record, now, template)) {
+                matchedLevels.add(trigger.level);
             }
+        }
 
-            let result = true; // Default for AND logic
+        // Check if escalation already exists
+        if (!this.activeEscalations.has(escalationKey)) {
+            if (matchedLevels.size === 0 && eventLevels.length === 0) return;
+
+            this.activeEscalations.set(escalationKey, {
+                key: escalationKey,
+                templateId: template.id,
+                recordId: record.id,
+                template,
+                record,
+                triggeredLevels: new Set(),
+                levelTimestamps: {},
+                levelRecipients: {},
+                eventHits: {},
+                assignee: this.getRecordAssignee(record),
+                deferral: null,
+                acknowledgement: null,
+                createdAt: now
+            });
+            await this.persistEscalation(escalationKey);
+        }
 
-            for (const rule of template.applicabilityRules) {
-                const fieldValue = this.getNestedValue(record, rule.field);
-                const ruleResult = this.evaluateRule(rule.operator, fieldValue, rule.value);
+        const escalation = this.activeEscalations.get(escalationKey);
 
-                if (rule.logic === 'OR') {
-                    result = result || ruleResult;
-                } else {
-                    result = result && ruleResult;
-                }
+        // Keep references fresh for instances restored from the store
+        escalation.template = template;
+        escalation.record = record;
+
+        // An event satisfies a level's event trigger once; the hit is kept until the level fires
+        if (event && eventLevels.length > 0) {
+            const newHits = eventLevels.filter(level =>
+                !escalation.triggeredLevels.has(level) && !escalation.eventHits[level]
+            );
+            newHits.forEach(level => {
+                escalation.eventHits[level] = { eventId: event.id, type: event.type, receivedAt: now.toISOString() };
+            });
+            if (newHits.length > 0) await this.persistEscalation(escalationKey);
+        }
+        Object.keys(escalation.eventHits).forEach(level => matchedLevels.add(Number(level)));
+
+        // Walk the ladder in level order (REQ-005). Each level waits its delay after the
+        // closest lower level that fired (after the escalation started when none has), and a
+        // level that is ready but still inside its delay holds up every level above it.
+        // Levels waiting for their own trigger, and levels chained off them, are passed
+        // over, so a higher level whose trigger matched can fire before them.
+        for (const level of this.getLadderLevels(template)) {
+            // Check if this level has already been triggered
+            if (escalation.triggeredLevels.has(level)) continue;
+
+            // A deferred level waits in the queue until its business window opens
+            if (this.isDeferralPending(escalation, level, now)) break;
+
+            if (!this.isLevelReady(template, escalation, level, matchedLevels)) continue;
+
+            if (!this.isLevelDue(template, escalation, level, now)) break;
+
+            const result = await this.executeEscalation(template, record, level, now);
+
+            // Only mark as triggered if not deferred
+            if (result && result.status === 'deferred') {
+                await this.deferEscalation(escalation, level, result, now);
+                break;
             }
 
-            return result;
-        } catch (error) {
-            console.error(`Error evaluating rules for template ${template.id}, record ${record.id}:`, error);
-            return false; // Fail safe
+            await this.recordLevelFired(escalation, level, result, now);
         }
     }
 
-    evaluateRule(operator, fieldValue, expectedValue) {
-        switch (operator) {
-            case 'equals':
-                return fieldValue == expectedValue;
-            case 'contains':
-                return String(fieldValue).toLowerCase().includes(String(expectedValue).toLowerCase());
-            case 'greaterThan':
-                return Number(fieldValue) > Number(expectedValue);
-            case 'lessThan':
-                return Number(fieldValue) < Number(expectedValue);
-            default:
-                return false;
+    async recordLevelFired(escalation, level, result, now) {
+        escalation.triggeredLevels.add(level);
+        escalation.levelTimestamps[level] = now.toISOString();
+        if (result && result.recipients) {
+            escalation.levelRecipients[level] = result.recipients
+                .map(r => r.email || r.phone)
+                .filter(Boolean);
+        }
+        if (escalation.deferral && escalation.deferral.level === level) {
+            escalation.deferral = null;
         }
+        await this.persistEscalation(escalation.key);
     }
 
-    getNestedValue(obj, path) {
-        return path.split('.').reduce((current, key) => current && current[key], obj);
+    // Put a level on the deferred queue with the time its business window next opens
+    async deferEscalation(escalation, level, result, now) {
+        const previous = escalation.deferral && escalation.deferral.level === level ? escalation.deferral : null;
+
+        escalation.deferral = {
+            level,
+            reason: result.reason,
+            calendarId: result.calendarId || null,
+            deferredAt: previous ? previous.deferredAt : now.toISOString(),
+            nextEligibleAt: result.nextEligibleAt ? new Date(result.nextEligibleAt).toISOString() : null
+        };
+        await this.persistEscalation(escalation.key);
+        this.scheduleDeferredRelease();
     }
 
-    async evaluateRecordTriggers(template, record, now) {
-        const escalationKey = `${template.id}-${record.id}`;
+    isDeferralPending(escalation, level, now) {
+        const deferral = escalation.deferral;
+        if (!deferral || deferral.level !== level || !deferral.nextEligibleAt) return false;
+        return now < new Date(deferral.nextEligibleAt);
+    }
 
-        for (const trigger of template.triggers) {
-            if (this.shouldTrigger(trigger, record, now)) {
-                // Check if escalation already exists
-                if (!this.activeEscalations.has(escalationKey)) {
-                    this.activeEscalations.set(escalationKey, {
-                        template,
-                        record,
-                        triggeredLevels: new Set(),
-                        createdAt: now
-                    });
+    // Deferred escalations, soonest release first
+    getDeferredQueue() {
+        return Array.from(this.activeEscalations.values())
+            .filter(escalation => escalation.deferral)
+            .map(escalation => ({
+                escalationId: escalation.key,
+                templateId: escalation.templateId,
+                templateName: escalation.template?.name || escalation.templateId,
+                recordId: escalation.recordId,
+                ...escalation.deferral
+            }))
+            .sort((a, b) => new Date(a.nextEligibleAt || 0) - new Date(b.nextEligibleAt || 0));
+    }
+
+    // Arm a single timer for the earliest deferred release
+    scheduleDeferredRelease() {
+        if (this.deferredReleaseTimer) {
+            clearTimeout(this.deferredReleaseTimer);
+            this.deferredReleaseTimer = null;
+        }
+
+        const next = this.getDeferredQueue().find(entry => entry.nextEligibleAt);
+        if (!next) return;
+
+        // setTimeout can't wait longer than ~24.8 days; releasing early just re-arms the timer
+        const waitMs = Math.min(Math.max(new Date(next.nextEligibleAt) - Date.now(), 0), 2147483647);
+        this.deferredReleaseTimer = setTimeout(() => {
+            this.deferredReleaseTimer = null;
+            this.runExclusive(() => this.releaseDeferredEscalations());
+        }, waitMs);
+    }
+
+    // Send deferred levels whose business window has opened
+    async releaseDeferredEscalations(now = new Date()) {
+        for (const escalation of Array.from(this.activeEscalations.values())) {
+            const deferral = escalation.deferral;
+            if (!deferral || !deferral.nextEligibleAt || new Date(deferral.nextEligibleAt) > now) continue;
+            if (!escalation.template || !escalation.record) continue;
+
+            // An acknowledgement taken meanwhile wins; the regular cycle re-evaluates the level afterwards
+            if (this.isAcknowledgementActive(escalation, now)) {
+                escalation.deferral = null;
+                await this.persistEscalation(escalation.key);
+                continue;
+            }
+
+            try {
+                const result = await this.executeEscalation(escalation.template, escalation.record, deferral.level, now);
+
+                if (result && result.status === 'deferred') {
+                    await this.deferEscalation(escalation, deferral.level, result, now);
+                } else if (result && result.status === 'sent') {
+                    await this.recordLevelFired(escalation, deferral.level, result, now);
+                    console.log(`Released deferred escalation ${escalation.key} level ${deferral.level}`);
                 }
+            } catch (error) {
+                console.error(`Error releasing deferred escalation ${escalation.key}:`, error);
+            }
+        }
 
-                const escalation = this.activeEscalations.get(escalationKey);
+        this.scheduleDeferredRelease();
+    }
 
-                // Check if this level has already been triggered
-                if (!escalation.triggeredLevels.has(trigger.level)) {
-                    const result = await this.executeEscalation(template, record, trigger.level, now);
+    // All levels of a template's escalation chain, lowest first
+    getLadderLevels(template) {
+        const levels = new Set();
+        (template.hierarchy || []).forEach(h => levels.add(h.level));
+        (template.triggers || []).forEach(t => levels.add(t.level));
+        return Array.from(levels).sort((a, b) => a - b);
+    }
 
-                    // Only mark as triggered if not deferred
-                    if (!result || result.status !== 'deferred') {
-                        escalation.triggeredLevels.add(trigger.level);
-                    }
+    // Levels with their own triggers are ready once a trigger matches; levels without
+    // triggers are chained purely off the previous level via the hierarchy delay.
+    isLevelReady(template, escalation, level, matchedLevels) {
+        if (template.triggers.some(t => t.level === level)) return matchedLevels.has(level);
+
+        const ladder = this.getLadderLevels(template);
+        const previousLevel = ladder[ladder.indexOf(level) - 1];
+        return previousLevel === undefined || escalation.triggeredLevels.has(previousLevel);
+    }
+
+    // Decide whether a ready level's delay has elapsed this cycle
+    isLevelDue(template, escalation, level, now) {
+        // An acknowledged escalation stops the clock until the pause window ends
+        if (this.isAcknowledgementActive(escalation, now)) return false;
+
+        const delayStart = this.getDelayStart(template, escalation, level);
+
+        const hierarchyLevel = (template.hierarchy || []).find(h => h.level === level);
+        const delayHours = Number(hierarchyLevel?.delay) || 0;
+
+        return now - delayStart >= delayHours * 60 * 60 * 1000;
+    }
+
+    // The moment a level's delay starts counting: when the closest lower level actually
+    // fired (or the escalation was first detected when none has), restarted at the end
+    // of any acknowledgement pause
+    getDelayStart(template, escalation, level) {
+        const previousLevel = this.getLadderLevels(template)
+            .filter(l => l < level && escalation.triggeredLevels.has(l))
+            .pop();
+
+        const firedAt = previousLevel !== undefined && escalation.levelTimestamps[previousLevel];
+        let start = firedAt ? new Date(firedAt) : new Date(escalation.createdAt);
+
+        if (escalation.acknowledgement) {
+            const pausedUntil = new Date(escalation.acknowledgement.pausedUntil);
+            if (pausedUntil > start) start = pausedUntil;
+        }
+
+        return start;
+    }
+
+    isAcknowledgementActive(escalation, now = new Date()) {
+        return !!escalation.acknowledgement &&
+            new Date(escalation.acknowledgement.pausedUntil) > now;
+    }
+
+    // Acknowledge an escalation ("I've seen this and I'm on it"), pausing further levels
+    async acknowledgeEscalation(escalationId, options = {}) {
+        const escalation = this.activeEscalations.get(escalationId);
+        if (!escalation) {
+            throw new Error(`Escalation ${escalationId} not found`);
+        }
+
+        const now = options.now || new Date();
+        const pauseHours = options.pauseHours ?? this.acknowledgementWindowHours;
+        const currentLevel = Math.max(0, ...escalation.triggeredLevels);
+
+        escalation.acknowledgement = {
+            acknowledgedBy: options.acknowledgedBy || 'unknown',
+            note: options.note || '',
+            level: currentLevel,
+            acknowledgedAt: now.toISOString(),
+            pausedUntil: new Date(now.getTime() + pauseHours * 60 * 60 * 1000).toISOString()
+        };
+        await this.persistEscalation(escalationId);
+
+        await this.dataManager.logAcknowledgement(
+            escalation.templateId,
+            escalation.recordId,
+            currentLevel,
+            escalation.acknowledgement
+        );
+
+        console.log(`Escalation ${escalationId} acknowledged by ${escalation.acknowledgement.acknowledgedBy} until ${escalation.acknowledgement.pausedUntil}`);
+        return escalation.acknowledgement;
+    }
+
+    // Acknowledge every active escalation the recipient was notified about
+    async acknowledgeByRecipient(recipient, options = {}) {
+        const contact = String(recipient).toLowerCase();
+        const acknowledged = [];
+
+        for (const [key, escalation] of this.activeEscalations) {
+            const notified = Object.values(escalation.levelRecipients || {})
+                .flat()
+                .some(r => String(r).toLowerCase() === contact);
+
+            if (notified) {
+                const acknowledgement = await this.acknowledgeEscalation(key, {
+                    acknowledgedBy: recipient,
+                    ...options
+                });
+                acknowledged.push({ escalationId: key, ...acknowledgement });
+            }
+        }
+
+        return acknowledged;
+    }
+
+    getAcknowledgementState(escalationId) {
+        const escalation = this.activeEscalations.get(escalationId);
+        if (!escalation) return null;
+
+        return {
+            escalationId,
+            acknowledged: !!escalation.acknowledgement,
+            paused: this.isAcknowledgementActive(escalation),
+            ...(escalation.acknowledgement || {})
+        };
+    }
+
+    // Convert an in-memory escalation into a JSON-safe store entry
+    serializeEscalation(escalation) {
+        return {
+            key: escalation.key,
+            templateId: escalation.templateId,
+            recordId: escalation.recordId,
+            triggeredLevels: Array.from(escalation.triggeredLevels),
+            levelTimestamps: { ...escalation.levelTimestamps },
+            levelRecipients: { ...escalation.levelRecipients },
+            eventHits: { ...escalation.eventHits },
+            assignee: escalation.assignee,
+            deferral: escalation.deferral,
+            acknowledgement: escalation.acknowledgement,
+            createdAt: new Date(escalation.createdAt).toISOString()
+        };
+    }
+
+    // Rebuild an in-memory escalation from a store entry
+    deserializeEscalation(entry) {
+        return {
+            key: entry.key,
+            templateId: entry.templateId,
+            recordId: entry.recordId,
+            template: null,
+            record: null,
+            triggeredLevels: new Set(entry.triggeredLevels || []),
+            levelTimestamps: { ...(entry.levelTimestamps || {}) },
+            levelRecipients: { ...(entry.levelRecipients || {}) },
+            eventHits: { ...(entry.eventHits || {}) },
+            assignee: entry.assignee ?? null,
+            deferral: entry.deferral || null,
+            acknowledgement: entry.acknowledgement || null,
+            createdAt: new Date(entry.createdAt)
+        };
+    }
+
+    async persistEscalation(key) {
+        const escalation = this.activeEscalations.get(key);
+        if (!escalation) return;
+
+        try {
+            await this.store.save(this.serializeEscalation(escalation));
+        } catch (error) {
+            console.error(`Failed to persist escalation ${key}:`, error);
+        }
+    }
+
+    async removePersistedEscalation(key) {
+        try {
+            await this.store.delete(key);
+        } catch (error) {
+            console.error(`Failed to remove persisted escalation ${key}:`, error);
+        }
+    }
+
+    // Load escalation instances saved by a previous session
+    async rehydrate() {
+        try {
+            const entries = await this.store.loadAll();
+
+            for (const entry of entries) {
+                if (this.activeEscalations.has(entry.key)) continue;
+
+                const escalation = this.deserializeEscalation(entry);
+                escalation.template = await this.dataManager.getPublishedTemplate(escalation.templateId);
+                if (escalation.template) {
+                    escalation.record = await this.getRecordById(escalation.template.module, escalation.recordId) || null;
                 }
+
+                this.activeEscalations.set(entry.key, escalation);
             }
+
+            console.log(`Rehydrated ${entries.length} escalations from store`);
+
+            // Deferred levels restored from the store keep their release times
+            this.scheduleDeferredRelease();
+        } catch (error) {
+            console.error('Failed to rehydrate escalations:', error);
+        } finally {
+            this.isHydrated = true;
         }
     }
 
-    shouldTrigger(trigger, record, now) {
+    // A trigger's calendar overrides the template's; both fall back to the default calendar
+    getCalendar(template, trigger) {
+        return this.calendarRegistry.get(trigger?.calendarId || template?.calendarId);
+    }
+
+    shouldTrigger(trigger, record, now, template = null) {
         if (trigger.type === 'time-based') {
-            return this.checkTimeTrigger(trigger, record, now);
+            return this.checkTimeTrigger(trigger, record, now, template);
         } else if (trigger.type === 'event-based') {
             return this.checkEventTrigger(trigger, record, now);
         }
         return false;
     }
 
-    checkTimeTrigger(trigger, record, now) {
+    checkTimeTrigger(trigger, record, now, template = null) {
         try {
-            const referenceDate = this.safeDateParse(record[trigger.referenceField]);
+            const referenceValue = this.ruleEvaluator.getNestedValue(record, trigger.referenceField);
+            const referenceDate = this.safeDateParse(referenceValue);
 
             if (!referenceDate) {
-                console.warn(`Invalid date in record ${record.id}, field ${trigger.referenceField}: ${record[trigger.referenceField]}`);
+                console.warn(`Invalid date in record ${record.id}, field ${trigger.referenceField}: ${referenceValue}`);
                 return false; // Invalid date
             }
 
-            const daysDiff = Math.floor((now - referenceDate) / (1000 * 60 * 60 * 24));
-
-            // Handle future and past reference dates differently
-            if (referenceDate > now) {
-                // Future reference date: trigger when within daysBefore period
-                return daysDiff <= -(trigger.daysBefore || 0);
-            } else {
-                // Past reference date: trigger when daysAfter period has passed
-                return daysDiff >= (trigger.daysAfter || 0);
-            }
+            // Due once the offset from the reference date is reached, to the minute; whole days count as calendar or working days (REQ-008)
+            return now >= this.getCalendar(template, trigger).getTriggerDate(trigger, referenceDate);
         } catch (error) {
             console.error(`Error checking time trigger for record ${record.id}:`, error);
             return false;
         }
     }
 
-    checkEventTrigger(trigger, record, now) {
-        // For event triggers, we need to check if the field value matches
-        // In a real system, this would be triggered by field changes
-        return record[trigger.field] === trigger.value;
+    // Event triggers never match on a poll; they fire from record change events
+    checkEventTrigger(trigger, record, now, event = null) {
+        return matchesEventTrigger(trigger, event);
+    }
+
+    // React to a change event from the data manager: each event can satisfy a
+    // template's event triggers once, and the ladder is walked straight away
+    async handleRecordEvent(event) {
+        if (!event || event.type === 'deleted' || !event.record) return;
+
+        await this.runExclusive(() => this.applyRecordEvent(event));
+    }
+
+    async applyRecordEvent(event) {
+        try {
+            if (!this.isHydrated) {
+                await this.rehydrate();
+            }
+
+            const now = new Date();
+            const templates = await this.dataManager.getPublishedTemplates();
+
+            for (const template of templates) {
+                if (template.module !== event.module) continue;
+
+                const eventLevels = (template.triggers || [])
+                    .filter(trigger => trigger.type === 'event-based' && this.checkEventTrigger(trigger, event.record, now, event))
+                    .map(trigger => trigger.level);
+                if (eventLevels.length === 0) continue;
+
+                if (!this.matchesTemplateRules(template, event.record, now)) continue;
+
+                await this.evaluateRecordTriggers(template, event.record, now, event, eventLevels);
+            }
+        } catch (error) {
+            console.error(`Error handling ${event.type} event for record ${event.recordId}:`, error);
+        }
     }
 
     async executeEscalation(template, record, level, now) {
@@ -225,13 +625,16 @@ export class EscalationEngine {
             // Find the trigger for this level to check its schedule context
             const trigger = template.triggers.find(t => t.level === level);
             if (trigger && trigger.scheduleContext === 'business-hours') {
-                if (!this.isBusinessHour(now)) {
-                    console.log(`Escalation for ${template.name} Level ${level} deferred: Outside business hours`);
-                    // Throw special error to indicate deferral, or return a status object if the caller supports it.
-                    // Given the current architecture where executeEscalation is void, we log and return.
-                    // However, we should ensure this isn't treated as a "failure" that stops retries (it won't be, as we don't log a completion).
-                    // To be safer and more explicit:
-                    return { status: 'deferred', reason: 'outside_business_hours' };
+                const calendar = this.getCalendar(template, trigger);
+                if (!this.isBusinessHour(now, calendar)) {
+                    console.log(`Escalation for ${template.name} Level ${level} deferred: Outside business hours (${calendar.name})`);
+                    // The caller queues the level until the calendar's next business window
+                    return {
+                        status: 'deferred',
+                        reason: 'outside_business_hours',
+                        calendarId: calendar.id,
+                        nextEligibleAt: calendar.nextBusinessTime(now)
+                    };
                 }
             }
 
@@ -243,7 +646,7 @@ export class EscalationEngine {
             }
 
             // Resolve recipients
-            const recipients = await this.resolveRecipients(hierarchyLevel, record);
+            const recipients = await this.resolveRecipients(hierarchyLevel, record, now);
 
             if (recipients.length === 0) {
                 console.warn(`No recipients found for escalation level ${level} in template ${template.id}`);
@@ -256,39 +659,66 @@ export class EscalationEngine {
             // Send notifications
             await this.notificationHandler.sendNotification(notification, recipients);
 
-            // Log escalation
-            await this.dataManager.logEscalation(template.id, record.id, level, recipients);
+            // Log escalation against the version that ran, not whichever is published now
+            await this.dataManager.logEscalation(template.id, record.id, level, recipients, {
+                templateVersion: template.currentVersion
+            });
 
             console.log(`Escalation executed: ${template.name} - Level ${level} - ${record.id}`);
 
+            return { status: 'sent', recipients };
+
         } catch (error) {
             console.error('Error executing escalation:', error);
         }
     }
 
-    // Check if a given time is within business hours (Mon-Fri, 9am-5pm)
-    isBusinessHour(date) {
-        const day = date.getDay(); // 0 = Sun, 6 = Sat
-        const hour = date.getHours();
-
-        // Check if weekend (Sat or Sun)
-        if (day === 0 || day === 6) return false;
-
-        // Check if outside 9am - 5pm
-        if (hour < 9 || hour >= 17) return false;
-
-        return true;
+    // Check if a given time is within a calendar's business hours (default calendar: Mon-Fri, 9am-5pm)
+    isBusinessHour(date, calendar = this.calendarRegistry.get()) {
+        return calendar.isBusinessHour(date);
     }
 
-    async resolveRecipients(hierarchyLevel, record) {
-        const recipients = [];
+    async resolveRecipients(hierarchyLevel, record, now = new Date()) {
+        let recipients = [];
 
-        // Get users by roles
+        // Get users by roles; relative roles walk the org chart from the record
         for (const role of hierarchyLevel.roles || []) {
-            const users = await this.dataManager.getUsersByRole(role, record.department);
-            recipients.push(...users);
+            if (isRelativeRole(role)) {
+                const { users, reason } = resolveRelativeRole(role, record, await this.dataManager.getAllUsers());
+                if (reason) {
+                    console.warn(`Level ${hierarchyLevel.level} role '${role}' resolved to nobody for record ${record.id}: ${reason}`);
+                }
+                recipients.push(...users.filter(user => !recipients.some(r => r.id === user.id)));
+                continue;
+            }
+
+            const users = await this.dataManager.getUsersByRole(role, { department: record.department, site: record.site });
+            recipients.push(...users.filter(user => !recipients.some(r => r.id === user.id)));
+        }
+
+        // Whoever is on call at send time
+        for (const scheduleId of hierarchyLevel.onCallSchedules || []) {
+            const { user, reason } = this.dataManager.getOnCallUser(scheduleId, now);
+            if (!user) {
+                console.warn(`Level ${hierarchyLevel.level} on-call schedule '${scheduleId}' resolved to nobody for record ${record.id}: ${reason}`);
+            } else if (!recipients.some(r => r.id === user.id)) {
+                recipients.push(user);
+            }
         }
 
+        // Absent users hand their escalations to a delegate
+        const delegation = applyDelegation(recipients, await this.dataManager.getAllUsers(), now);
+        delegation.warnings.forEach(warning =>
+            console.warn(`Level ${hierarchyLevel.level} recipients for record ${record.id}: ${warning}`)
+        );
+        recipients = delegation.recipients;
+        recipients.forEach(recipient => {
+            const standingInFor = getDelegatedFor(recipient);
+            if (standingInFor.length > 0) {
+                console.log(`Level ${hierarchyLevel.level}: ${recipient.name} notified on behalf of ${standingInFor.map(p => p.name).join(', ')}`);
+            }
+        });
+
         // If no recipients found, use fallback
         if (recipients.length === 0 && hierarchyLevel.fallbackEmail) {
             recipients.push({
@@ -300,33 +730,90 @@ export class EscalationEngine {
         return recipients;
     }
 
-    async cancelEscalation(recordId) {
+    async cancelEscalation(recordId, reason = 'completed') {
         // Cancel all active escalations for a record (when task is completed)
         for (const [key, escalation] of this.activeEscalations) {
-            if (escalation.record.id === recordId) {
-                this.activeEscalations.delete(key);
-                await this.dataManager.logCancellation(escalation.template.id, recordId);
-                console.log(`Escalation cancelled for record ${recordId}`);
+            if (escalation.recordId === recordId) {
+                await this.cancelEscalationByKey(key, reason);
             }
         }
     }
 
-    cleanupOldEscalations() {
+    async cancelEscalationByKey(key, reason) {
+        const escalation = this.activeEscalations.get(key);
+        if (!escalation) return;
+
+        this.activeEscalations.delete(key);
+        await this.removePersistedEscalation(key);
+        await this.dataManager.logCancellation(escalation.templateId, escalation.recordId, reason);
+        console.log(`Escalation cancelled for record ${escalation.recordId}: ${reason}`);
+    }
+
+    // Cancel escalations whose template was retired or otherwise has no published version any more
+    async cancelUnpublishedEscalations(publishedTemplates) {
+        const publishedIds = new Set(publishedTemplates.map(template => template.id));
+        for (const [key, escalation] of this.activeEscalations) {
+            if (!publishedIds.has(escalation.templateId)) {
+                await this.cancelEscalationByKey(key, 'template-retired');
+            }
+        }
+    }
+
+    // Cancel this template's escalations for records that were deleted or no longer match its rules
+    async cancelInapplicableEscalations(template, recordsById, unmatchedRecordIds) {
+        for (const [key, escalation] of this.activeEscalations) {
+            if (escalation.templateId !== template.id) continue;
+
+            const record = recordsById.get(escalation.recordId);
+            if (record && !unmatchedRecordIds.has(record.id)) continue;
+
+            await this.cancelEscalationByKey(key, this.getCancellationReason(escalation, record));
+        }
+    }
+
+    getCancellationReason(escalation, record) {
+        if (!record) return 'record-deleted';
+
+        const status = String(record.status || '').toLowerCase();
+        if (['resolved', 'closed', 'completed'].includes(status)) return 'resolved';
+
+        const assignee = this.getRecordAssignee(record);
+        if (escalation.assignee && assignee && assignee !== escalation.assignee) return 'reassigned';
+
+        return 'rule-no-longer-applies';
+    }
+
+    getRecordAssignee(record) {
+        return getRecordAssignee(record);
+    }
+
+    async cleanupOldEscalations() {
         const now = new Date();
         const maxAge = 7 * 24 * 60 * 60 * 1000; // 7 days
 
         for (const [key, escalation] of this.activeEscalations) {
             if (now - escalation.createdAt > maxAge) {
                 this.activeEscalations.delete(key);
+                await this.removePersistedEscalation(key);
             }
         }
     }
 
+    // Event triggers are driven by record change events rather than the poll. Hosts that run
+    // their own processing loop instead of startProcessing() must subscribe through here.
+    subscribeToRecordEvents() {
+        if (!this.unsubscribeRecordEvents && this.dataManager.onRecordEvent) {
+            this.unsubscribeRecordEvents = this.dataManager.onRecordEvent(event => this.handleRecordEvent(event));
+        }
+    }
+
     startProcessing() {
-        // Process escalations every 5 minutes (as per NFR-001)
+        this.subscribeToRecordEvents();
+
+        // Process escalations every 5 minutes by default (as per NFR-001)
         this.processingInterval = setInterval(() => {
             this.processEscalations();
-        }, 5 * 60 * 1000);
+        }, this.processingIntervalMs);
 
         // Also process immediately
         this.processEscalations();
@@ -337,12 +824,21 @@ export class EscalationEngine {
             clearInterval(this.processingInterval);
             this.processingInterval = null;
         }
+        if (this.deferredReleaseTimer) {
+            clearTimeout(this.deferredReleaseTimer);
+            this.deferredReleaseTimer = null;
+        }
+        if (this.unsubscribeRecordEvents) {
+            this.unsubscribeRecordEvents();
+            this.unsubscribeRecordEvents = null;
+        }
     }
 
     // Get escalation statistics
     getStats() {
         return {
             activeEscalations: this.activeEscalations.size,
+            deferredEscalations: this.getDeferredQueue().length,
             processedToday: 0, // Would need to track this
             failedEscalations: 0 // Would need to track this
         };
@@ -350,8 +846,8 @@ export class EscalationEngine {
 
     // Manual trigger for testing
     async triggerEscalation(templateId, recordId, level = 1) {
-        const template = await this.dataManager.getTemplate(templateId);
-        const record = await this.getRecordById(template.module, recordId);
+        const template = await this.dataManager.getPublishedTemplate(templateId);
+        const record = template && await this.getRecordById(template.module, recordId);
 
         if (template && record) {
             await this.executeEscalation(template, record, level, new Date());
@@ -373,31 +869,21 @@ export class EscalationEngine {
 
         triggers.forEach(trigger => {
             if (trigger.type === 'time-based') {
-                const refDate = this.safeDateParse(record[trigger.referenceField]);
+                const refDate = this.safeDateParse(this.ruleEvaluator.getNestedValue(record, trigger.referenceField));
                 if (refDate) {
-                    let triggerDate = new Date(refDate);
-                    let description = '';
-
-                    if (trigger.daysBefore) {
-                         triggerDate.setDate(refDate.getDate() - trigger.daysBefore);
-                         description = `${trigger.daysBefore} days before ${trigger.referenceField}`;
-                    } else if (trigger.daysAfter) {
-                         triggerDate.setDate(refDate.getDate() + trigger.daysAfter);
-                         description = `${trigger.daysAfter} days after ${trigger.referenceField}`;
-                    } else {
-                         description = `On ${trigger.referenceField}`;
-                    }
+                    const calendar = this.getCalendar(template, trigger);
+                    const triggerDate = calendar.getTriggerDate(trigger, refDate);
+                    let description = describeTriggerOffset(trigger);
 
-                    // Adjust for business hours if needed
+                    // Adjust for business hours if needed: move to the calendar's next open slot
                     let adjustedDate = new Date(triggerDate);
                     let isAdjusted = false;
                     if (trigger.scheduleContext === 'business-hours') {
-                         // Simple simulation: if weekend, move to Monday 9am
-                         // If outside hours, move to next 9am
-                         // Note: This logic duplicates isBusinessHour but "finds next slot"
-                         while (!this.isBusinessHour(adjustedDate)) {
-                             adjustedDate.setHours(adjustedDate.getHours() + 1);
+                         const nextSlot = calendar.nextBusinessTime(triggerDate);
+                         if (nextSlot && nextSlot.getTime() !== triggerDate.getTime()) {
+                             adjustedDate = nextSlot;
                              isAdjusted = true;
+                             description += ` (next business hours, ${calendar.name})`;
                          }
                     }
 
@@ -416,14 +902,93 @@ export class EscalationEngine {
                      });
                 }
             } else {
+                 const escalation = this.activeEscalations.get(`${template.id}-${record.id}`);
+                 const received = !!escalation &&
+                     (escalation.triggeredLevels.has(trigger.level) || !!escalation.eventHits?.[trigger.level]);
                  results.push({
                      level: trigger.level,
-                     description: `Event: ${trigger.field} = ${trigger.value}`,
-                     status: this.checkEventTrigger(trigger, record, now) ? 'Condition Met' : 'Condition Not Met'
+                     description: `Event: ${describeEventTrigger(trigger)}`,
+                     status: received ? 'Event Received' : 'Waiting for Event'
                  });
             }
         });
 
+        this.applyLadderDelays(template, results, now);
+        this.applyOnCallPreview(template, results);
+
         return results.sort((a, b) => (a.adjustedDate || 0) - (b.adjustedDate || 0));
     }
+
+    // Name who would be on call for each level's schedules when it is sent (now, for events)
+    applyOnCallPreview(template, results) {
+        results.forEach(result => {
+            const level = (template.hierarchy || []).find(h => h.level === result.level);
+            if (result.error || !level?.onCallSchedules?.length) return;
+
+            const at = result.adjustedDate ? new Date(result.adjustedDate) : new Date();
+            result.onCall = level.onCallSchedules.map(scheduleId => {
+                const { user, schedule, shift, reason } = this.dataManager.getOnCallUser(scheduleId, at);
+                return {
+                    scheduleId,
+                    scheduleName: schedule?.name || scheduleId,
+                    userName: user?.name || null,
+                    source: shift?.source || null,
+                    reason
+                };
+            });
+        });
+    }
+
+    // Push simulated send times back so each level waits its delay after the closest lower level
+    // that is placed on the timeline, mirroring the ladder walk in evaluateRecordTriggers
+    applyLadderDelays(template, results, now) {
+        if (!template.hierarchy || template.hierarchy.length === 0) return;
+
+        const ladder = this.getLadderLevels(template);
+        let previousDate = null;
+        let previousLevel = null;
+
+        for (const [index, level] of ladder.entries()) {
+            const hierarchyLevel = template.hierarchy.find(h => h.level === level);
+            const delayMs = (Number(hierarchyLevel?.delay) || 0) * 60 * 60 * 1000;
+            const levelResults = results.filter(r => r.level === level && r.adjustedDate);
+            const hasOwnTrigger = (template.triggers || []).some(t => t.level === level);
+
+            if (levelResults.length === 0) {
+                // Event or invalid triggers can't be placed on the timeline. Higher levels with
+                // their own triggers are still placed; levels chained off this one are not.
+                if (hasOwnTrigger || previousLevel !== ladder[index - 1]) continue;
+
+                const chainedDate = new Date(previousDate.getTime() + delayMs);
+                results.push({
+                    level,
+                    triggerDate: chainedDate,
+                    adjustedDate: chainedDate,
+                    description: `${hierarchyLevel?.delay || 0} hours after Level ${previousLevel}`,
+                    status: chainedDate < now ? 'Already Triggered' : 'Scheduled',
+                    isAdjusted: false
+                });
+                previousDate = chainedDate;
+                previousLevel = level;
+                continue;
+            }
+
+            for (const result of levelResults) {
+                // The first level's delay counts from when its trigger first matches
+                const delayBase = previousDate || result.triggerDate;
+                const earliest = new Date(delayBase.getTime() + delayMs);
+                if (result.adjustedDate < earliest) {
+                    result.adjustedDate = earliest;
+                    result.isAdjusted = true;
+                    result.description += previousDate
+                        ? ` (waits ${hierarchyLevel?.delay || 0}h after Level ${previousLevel})`
+                        : ` (+${hierarchyLevel?.delay || 0}h delay)`;
+                    result.status = earliest < now ? 'Already Triggered' : 'Scheduled';
+                }
+            }
+
+            previousDate = new Date(Math.min(...levelResults.map(r => r.adjustedDate.getTime())));
+            previousLevel = level;
+        }
+    }
 }
\ No newline at end of file
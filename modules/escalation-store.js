@@ -0,0 +1,195 @@
+// Escalation Store - Persists active escalation state so restarts don't re-fire levels
+// Every store exposes the same async interface: loadAll(), save(entry), delete(key), clear().
+// Entries are plain JSON objects produced by EscalationEngine.serializeEscalation().
+
+// In-memory store (default, state is lost on reload)
+export class MemoryEscalationStore {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async loadAll() {
+        return Array.from(this.entries.values()).map(entry => ({ ...entry }));
+    }
+
+    async save(entry) {
+        this.entries.set(entry.key, { ...entry });
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    async clear() {
+        this.entries.clear();
+    }
+}
+
+// Browser store backed by IndexedDB
+export class IndexedDBEscalationStore {
+    constructor(dbName = 'escalation-matrix', storeName = 'escalations') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    openDatabase() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.storeName)) {
+                        db.createObjectStore(this.storeName, { keyPath: 'key' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async runTransaction(mode, operation) {
+        const db = await this.openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async loadAll() {
+        const entries = await this.runTransaction('readonly', store => store.getAll());
+        return entries || [];
+    }
+
+    async save(entry) {
+        await this.runTransaction('readwrite', store => store.put(entry));
+    }
+
+    async delete(key) {
+        await this.runTransaction('readwrite', store => store.delete(key));
+    }
+
+    async clear() {
+        await this.runTransaction('readwrite', store => store.clear());
+    }
+}
+
+// Node store backed by a single JSON file
+export class JsonFileEscalationStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.entries = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    async getFs() {
+        if (!this.fs) {
+            this.fs = await import('fs/promises');
+        }
+        return this.fs;
+    }
+
+    async ensureLoaded() {
+        if (this.entries) return;
+
+        const fs = await this.getFs();
+        try {
+            const contents = await fs.readFile(this.filePath, 'utf8');
+            const parsed = JSON.parse(contents);
+            this.entries = new Map(Object.entries(parsed));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Failed to read escalation store ${this.filePath}:`, error);
+            }
+            this.entries = new Map();
+        }
+    }
+
+    // Serialize writes so overlapping saves can't interleave partial files
+    async flush() {
+        const fs = await this.getFs();
+        const snapshot = JSON.stringify(Object.fromEntries(this.entries), null, 2);
+
+        this.writeQueue = this.writeQueue
+            .then(() => fs.writeFile(this.filePath, snapshot, 'utf8'))
+            .catch(error => console.error(`Failed to write escalation store ${this.filePath}:`, error));
+
+        return this.writeQueue;
+    }
+
+    async loadAll() {
+        await this.ensureLoaded();
+        return Array.from(this.entries.values()).map(entry => ({ ...entry }));
+    }
+
+    async save(entry) {
+        await this.ensureLoaded();
+        this.entries.set(entry.key, { ...entry });
+        await this.flush();
+    }
+
+    async delete(key) {
+        await this.ensureLoaded();
+        if (this.entries.delete(key)) {
+            await this.flush();
+        }
+    }
+
+    async clear() {
+        this.entries = new Map();
+        await this.flush();
+    }
+}
+
+// Store kept in a shared storage adapter collection, next to the rest of the app's data
+export class StorageAdapterEscalationStore {
+    constructor(storage, collection = 'escalations') {
+        this.storage = storage;
+        this.collection = collection;
+    }
+
+    async loadAll() {
+        return this.storage.query(this.collection);
+    }
+
+    async save(entry) {
+        await this.storage.put(this.collection, entry.key, entry);
+    }
+
+    async delete(key) {
+        await this.storage.delete(this.collection, key);
+    }
+
+    async clear() {
+        await this.storage.clear(this.collection);
+    }
+}
+
+// Pick the best available store for the current runtime
+export function createEscalationStore(options = {}) {
+    if (options.storage) {
+        return new StorageAdapterEscalationStore(options.storage, options.collection);
+    }
+
+    if (options.type === 'memory') {
+        return new MemoryEscalationStore();
+    }
+
+    if (options.type === 'file' || options.filePath) {
+        return new JsonFileEscalationStore(options.filePath || 'escalations.json');
+    }
+
+    if (typeof indexedDB !== 'undefined') {
+        return new IndexedDBEscalationStore(options.dbName, options.storeName);
+    }
+
+    return new MemoryEscalationStore();
+}
@@ -0,0 +1,193 @@
+// Field Schema Registry - Typed description of the record fields each module exposes
+// The rule builder, trigger builder, template validation and placeholder lists all read
+// from here, so the keys offered in the UI are always the keys that exist on records.
+// Schemas are registered by the module registry when a module is registered.
+//
+// Field definition:
+//   key    - dot-notation path on the record (e.g. 'location' or 'site.name')
+//   label  - text shown in the UI
+//   type   - 'string' | 'enum' | 'number' | 'date' | 'person'
+//   values - allowed values for enum fields
+//   fields - child definitions for object fields; flattened to 'parent.child' keys
+
+const FIELD_TYPES = ['string', 'enum', 'number', 'date', 'person'];
+
+// Placeholders filled in by the notification handler rather than read from the record
+const SYSTEM_PLACEHOLDERS = ['recipientName', 'actionUrl'];
+
+export class FieldSchemaRegistry {
+    constructor() {
+        this.schemas = new Map();
+    }
+
+    // Register (or replace) the schema for a module
+    registerModule(moduleId, fields) {
+        if (!moduleId) {
+            throw new Error('Module id is required to register a field schema');
+        }
+
+        const flattened = this.flattenFields(fields || []);
+        this.schemas.set(moduleId, new Map(flattened.map(field => [field.key, field])));
+    }
+
+    // Add or replace a single field on an already registered module
+    registerField(moduleId, field) {
+        if (!this.schemas.has(moduleId)) {
+            this.schemas.set(moduleId, new Map());
+        }
+
+        const schema = this.schemas.get(moduleId);
+        this.flattenFields([field]).forEach(definition => schema.set(definition.key, definition));
+    }
+
+    flattenFields(fields, prefix = '', labelPrefix = '') {
+        const flattened = [];
+
+        fields.forEach(field => {
+            if (!field || !field.key) {
+                throw new Error('Field definitions require a key');
+            }
+
+            const key = prefix ? `${prefix}.${field.key}` : field.key;
+            const label = labelPrefix ? `${labelPrefix} ${field.label || field.key}` : (field.label || field.key);
+
+            if (Array.isArray(field.fields)) {
+                flattened.push(...this.flattenFields(field.fields, key, label));
+                return;
+            }
+
+            const type = field.type || 'string';
+            if (!FIELD_TYPES.includes(type)) {
+                throw new Error(`Unknown field type "${type}" for ${key}`);
+            }
+
+            flattened.push({
+                key,
+                label,
+                type,
+                values: type === 'enum' ? [...(field.values || [])] : []
+            });
+        });
+
+        return flattened;
+    }
+
+    hasModule(moduleId) {
+        return this.schemas.has(moduleId);
+    }
+
+    getModules() {
+        return Array.from(this.schemas.keys());
+    }
+
+    // List fields for a module, optionally filtered by type(s)
+    getFields(moduleId, types = null) {
+        const schema = this.schemas.get(moduleId);
+        if (!schema) return [];
+
+        const allowed = types ? [].concat(types) : null;
+        return Array.from(schema.values())
+            .filter(field => !allowed || allowed.includes(field.type))
+            .map(field => ({ ...field, values: [...field.values] }));
+    }
+
+    getField(moduleId, key) {
+        const field = this.schemas.get(moduleId)?.get(key);
+        return field ? { ...field, values: [...field.values] } : null;
+    }
+
+    hasField(moduleId, key) {
+        return !!this.schemas.get(moduleId)?.has(key);
+    }
+
+    getDateFields(moduleId) {
+        return this.getFields(moduleId, 'date');
+    }
+
+    // Fields whose changes make sense as event triggers (discrete values)
+    getEventFields(moduleId) {
+        return this.getFields(moduleId, 'enum');
+    }
+
+    // Placeholder names usable in notification templates for a module
+    getPlaceholders(moduleId) {
+        return [...this.getFields(moduleId).map(field => field.key), ...SYSTEM_PLACEHOLDERS];
+    }
+
+    // Check a record's values against the module's field types; empty values are allowed
+    validateRecord(moduleId, record) {
+        if (!this.hasModule(moduleId)) {
+            return [`Unknown module: ${moduleId}`];
+        }
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            return ['Record must be an object'];
+        }
+
+        const errors = [];
+        if (record.id !== undefined && (typeof record.id !== 'string' || record.id.trim() === '')) {
+            errors.push('Record id must be a non-empty string');
+        }
+
+        this.getFields(moduleId).forEach(field => {
+            const value = field.key.split('.').reduce((current, part) => current?.[part], record);
+            if (value === undefined || value === null || value === '') return;
+
+            switch (field.type) {
+                case 'enum':
+                    if (!field.values.includes(value)) {
+                        errors.push(`${field.key}: "${value}" is not one of ${field.values.join(', ')}`);
+                    }
+                    break;
+                case 'number':
+                    if (typeof value !== 'number' || !isFinite(value)) {
+                        errors.push(`${field.key}: must be a number`);
+                    }
+                    break;
+                case 'date':
+                    if (!['string', 'number'].includes(typeof value) || isNaN(new Date(value).getTime())) {
+                        errors.push(`${field.key}: "${value}" is not a valid date`);
+                    }
+                    break;
+                default:
+                    if (typeof value !== 'string') {
+                        errors.push(`${field.key}: must be text`);
+                    }
+            }
+        });
+
+        return errors;
+    }
+
+    // Check that rules and triggers only reference fields the module defines
+    validateTemplateFields(template, ruleConditions = []) {
+        const errors = [];
+        const moduleId = template.module;
+
+        // Modules without a registered schema can't be checked
+        if (!this.hasModule(moduleId)) return errors;
+
+        ruleConditions.forEach((rule, index) => {
+            if (rule.field && !this.hasField(moduleId, rule.field)) {
+                errors.push(`Rule ${index + 1}: Unknown field "${rule.field}" for module ${moduleId}`);
+            }
+        });
+
+        (template.triggers || []).forEach((trigger, index) => {
+            if (trigger.type === 'time-based' && trigger.referenceField) {
+                const field = this.getField(moduleId, trigger.referenceField);
+                if (!field) {
+                    errors.push(`Trigger ${index + 1}: Unknown reference field "${trigger.referenceField}" for module ${moduleId}`);
+                } else if (field.type !== 'date') {
+                    errors.push(`Trigger ${index + 1}: Reference field "${trigger.referenceField}" is not a date field`);
+                }
+            } else if (trigger.type === 'event-based' && trigger.field && !this.hasField(moduleId, trigger.field)) {
+                errors.push(`Trigger ${index + 1}: Unknown field "${trigger.field}" for module ${moduleId}`);
+            }
+        });
+
+        return errors;
+    }
+}
+
+// Shared default instance
+export const fieldSchemaRegistry = new FieldSchemaRegistry();
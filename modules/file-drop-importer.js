@@ -0,0 +1,93 @@
+// File Drop Importer - Imports CSV/JSON record files dropped into a folder (Node only)
+// Each scan picks up *.csv and *.json files in the drop folder, applies them through
+// DataManager.applyRecordBatch and moves them to 'processed/' or, if any row failed or
+// the file could not be read, to 'failed/' next to a '<file>.errors.json' report.
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { parseRecordFile } from './record-import.js';
+
+export class FileDropImporter {
+    constructor(dataManager, options = {}) {
+        if (!options.directory) {
+            throw new Error('FileDropImporter requires a directory');
+        }
+
+        this.dataManager = dataManager;
+        this.directory = path.resolve(options.directory);
+        this.intervalMs = options.intervalMs ?? 10 * 1000;
+        this.timer = null;
+        this.isScanning = false;
+    }
+
+    async start() {
+        await fs.mkdir(path.join(this.directory, 'processed'), { recursive: true });
+        await fs.mkdir(path.join(this.directory, 'failed'), { recursive: true });
+
+        await this.scan();
+        this.timer = setInterval(() => this.scan(), this.intervalMs);
+        console.log(`Watching ${this.directory} for record files`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Import every waiting file, oldest name first; returns a summary per file
+    async scan() {
+        if (this.isScanning) return [];
+        this.isScanning = true;
+
+        const summaries = [];
+        try {
+            const entries = await fs.readdir(this.directory, { withFileTypes: true });
+            const files = entries
+                .filter(entry => entry.isFile() && /\.(csv|json)$/i.test(entry.name))
+                .map(entry => entry.name)
+                .sort();
+
+            for (const file of files) {
+                summaries.push(await this.importFile(file));
+            }
+        } catch (error) {
+            console.error(`Error scanning drop folder ${this.directory}:`, error);
+        } finally {
+            this.isScanning = false;
+        }
+
+        return summaries;
+    }
+
+    async importFile(file) {
+        const source = path.join(this.directory, file);
+        let result;
+
+        try {
+            const content = await fs.readFile(source, 'utf8');
+            const operations = parseRecordFile(file, content, this.dataManager.moduleRegistry);
+            result = await this.dataManager.applyRecordBatch(operations);
+        } catch (error) {
+            result = { created: 0, updated: 0, deleted: 0, failed: 1, errors: [{ index: null, error: error.message }] };
+        }
+
+        const target = result.failed > 0 ? 'failed' : 'processed';
+        const stamped = `${new Date().toISOString().replace(/[:.]/g, '-')}-${file}`;
+
+        try {
+            await fs.rename(source, path.join(this.directory, target, stamped));
+            if (result.failed > 0) {
+                await fs.writeFile(
+                    path.join(this.directory, target, `${stamped}.errors.json`),
+                    JSON.stringify(result.errors, null, 2)
+                );
+            }
+        } catch (error) {
+            console.error(`Could not move imported file ${file}:`, error);
+        }
+
+        console.log(`Imported ${file}: ${result.created} created, ${result.updated} updated, ${result.deleted} deleted, ${result.failed} failed`);
+        return { file, ...result };
+    }
+}
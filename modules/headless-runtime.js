@@ -0,0 +1,222 @@
+// Headless Runtime - Runs the escalation engine in Node without a browser (see bin/escalation-matrix.js)
+// The runtime is configured with a JSON file; relative paths resolve against the file's folder:
+//   {
+//     "storage": { "type": "file", "directory": "./data" },   // any createStorageAdapter() options
+//     "baseUrl": "https://ehs.example.com",                    // used for action links in notifications
+//     "intervalMinutes": 5,                                    // daemon processing interval
+//     "coverageIntervalMinutes": 15,                           // daemon coverage check interval
+//     "templates": ["./templates.json"],                       // arrays of templates or { templates }
+//     "publishTemplates": false,                               // true publishes them without review
+//     "records": ["./incidents.csv", "./permits.json"],        // files accepted by parseRecordFile()
+//     "users": "./users.json",
+//     "calendars": "./calendars.json",
+//     "roles": "./roles.json",                                 // extra role catalog entries
+//     "onCallSchedules": "./on-call.json",                     // rotations referenced by hierarchy levels
+//     "ingestion": { "port": 8787, "token": "secret" },        // optional HTTP endpoint (daemon only)
+//     "dropDirectory": "./inbox",                              // optional file-drop folder (daemon only)
+//     "dropIntervalSeconds": 10
+//   }
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { DataManager } from './data-manager.js';
+import { EscalationEngine } from './escalation-engine.js';
+import { NotificationHandler } from './notification-handler.js';
+import { TemplateProcessor } from './template-processor.js';
+import { createEscalationStore } from './escalation-store.js';
+import { createStorageAdapter } from './storage-adapter.js';
+import { parseRecordFile } from './record-import.js';
+import { IngestionServer } from './ingestion-server.js';
+import { FileDropImporter } from './file-drop-importer.js';
+import { CoverageMonitor } from './coverage-check.js';
+import { getTemplateStatus } from './template-lifecycle.js';
+
+const PATH_OPTIONS = ['templates', 'records', 'users', 'calendars', 'roles', 'onCallSchedules', 'dropDirectory'];
+
+function toList(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+async function readJsonFile(filePath) {
+    try {
+        return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read ${filePath}: ${error.message}`);
+    }
+}
+
+// Read a runtime config file and resolve its paths
+export async function loadRuntimeConfig(configPath) {
+    const resolved = path.resolve(configPath);
+    const config = await readJsonFile(resolved);
+    const baseDir = path.dirname(resolved);
+    const resolvePath = file => path.resolve(baseDir, file);
+
+    PATH_OPTIONS.forEach(option => {
+        if (config[option] === undefined) return;
+        config[option] = Array.isArray(config[option])
+            ? config[option].map(resolvePath)
+            : resolvePath(config[option]);
+    });
+
+    if (config.storage?.directory) config.storage.directory = resolvePath(config.storage.directory);
+    if (config.storage?.filePath) config.storage.filePath = resolvePath(config.storage.filePath);
+
+    return { ...config, baseDir };
+}
+
+export class HeadlessRuntime {
+    constructor(config = {}) {
+        this.config = config;
+        this.storage = null;
+        this.dataManager = null;
+        this.notificationHandler = null;
+        this.templateProcessor = null;
+        this.escalationEngine = null;
+        this.ingestionServer = null;
+        this.fileDropImporter = null;
+        this.coverageMonitor = null;
+    }
+
+    async initialize() {
+        const config = this.config;
+
+        this.storage = createStorageAdapter(config.storage || { type: 'memory' });
+        this.dataManager = new DataManager({ storage: this.storage });
+        await this.dataManager.initialize({ seedDemoData: config.seedDemoData === true });
+
+        this.notificationHandler = new NotificationHandler(this.dataManager, { baseUrl: config.baseUrl });
+        this.templateProcessor = new TemplateProcessor(this.dataManager, { baseUrl: config.baseUrl });
+        this.escalationEngine = new EscalationEngine(this.dataManager, this.notificationHandler, {
+            store: createEscalationStore({ storage: this.storage }),
+            processingIntervalMs: (Number(config.intervalMinutes) || 5) * 60 * 1000
+        });
+
+        this.coverageMonitor = new CoverageMonitor(this.dataManager, {
+            intervalMs: (Number(config.coverageIntervalMinutes) || 15) * 60 * 1000
+        });
+        this.coverageMonitor.onReport(report => {
+            report.issues.forEach(issue => {
+                const log = issue.severity === 'error' ? console.error : console.warn;
+                log(`Coverage ${issue.severity} in ${issue.templateName}: ${issue.message}`);
+            });
+        });
+
+        await this.loadCalendars();
+        await this.loadRoles();
+        await this.loadUsers();
+        await this.loadOnCallSchedules();
+        await this.loadTemplates();
+        await this.loadRecords();
+    }
+
+    async loadCalendars() {
+        for (const file of toList(this.config.calendars)) {
+            for (const definition of toList(await readJsonFile(file))) {
+                await this.dataManager.saveBusinessCalendar(definition);
+            }
+        }
+    }
+
+    async loadRoles() {
+        for (const file of toList(this.config.roles)) {
+            for (const definition of toList(await readJsonFile(file))) {
+                await this.dataManager.saveRole(definition);
+            }
+        }
+    }
+
+    async loadUsers() {
+        for (const file of toList(this.config.users)) {
+            const users = toList(await readJsonFile(file));
+            this.dataManager.users = [
+                ...this.dataManager.users.filter(user => !users.some(u => u.id === user.id)),
+                ...users
+            ];
+            for (const user of users) {
+                await this.dataManager.persist('users', user.id, user);
+            }
+        }
+    }
+
+    // Loaded after users: schedule members must be in the user directory
+    async loadOnCallSchedules() {
+        for (const file of toList(this.config.onCallSchedules)) {
+            for (const definition of toList(await readJsonFile(file))) {
+                await this.dataManager.saveOnCallSchedule(definition);
+            }
+        }
+    }
+
+    // Invalid templates are reported and skipped so one bad file doesn't stop the engine.
+    // Templates load as drafts that need a second person to approve them (see the CLI's
+    // submit and approve commands) unless the config opts in with "publishTemplates": true.
+    // Unchanged templates don't add a version across restarts.
+    async loadTemplates() {
+        const publishWithoutReview = this.config.publishTemplates === true;
+
+        for (const file of toList(this.config.templates)) {
+            const contents = await readJsonFile(file);
+            const templates = Array.isArray(contents) ? contents : toList(contents.templates);
+
+            for (const template of templates) {
+                const validation = this.templateProcessor.validateTemplate(template);
+                if (!validation.isValid) {
+                    console.error(`Skipping template ${template.id || template.name} from ${file}: ${validation.errors.join('; ')}`);
+                    continue;
+                }
+                // Templates marked inactive are never published
+                const publish = publishWithoutReview && template.active !== false;
+                const saved = await this.dataManager.saveTemplate(template, { author: 'config', note: `Loaded from ${path.basename(file)}` });
+                if (publish) {
+                    await this.dataManager.publishTemplate(saved.id, { publishedBy: 'config' });
+                } else if (getTemplateStatus(saved) === 'draft') {
+                    console.log(`Template ${saved.id} version ${saved.currentVersion} is a draft; submit and approve it to publish`);
+                }
+            }
+        }
+    }
+
+    async loadRecords() {
+        for (const file of toList(this.config.records)) {
+            const operations = parseRecordFile(file, await fs.readFile(file, 'utf8'), this.dataManager.moduleRegistry);
+            const result = await this.dataManager.applyRecordBatch(operations);
+
+            console.log(`Loaded ${path.basename(file)}: ${result.created} created, ${result.updated} updated, ${result.deleted} deleted, ${result.failed} failed`);
+            result.errors.forEach(error => console.error(`  ${error.id || `#${error.index}`}: ${error.error}`));
+        }
+    }
+
+    // One processing cycle plus a coverage check; returns the engine stats
+    async runOnce() {
+        await this.coverageMonitor.check();
+        await this.escalationEngine.processEscalations();
+        return this.escalationEngine.getStats();
+    }
+
+    // Daemon mode: periodic processing plus the optional ingestion endpoint and drop folder
+    async start() {
+        this.escalationEngine.startProcessing();
+        this.coverageMonitor.start();
+
+        if (this.config.ingestion) {
+            this.ingestionServer = new IngestionServer(this.dataManager, this.config.ingestion);
+            await this.ingestionServer.start();
+        }
+
+        if (this.config.dropDirectory) {
+            this.fileDropImporter = new FileDropImporter(this.dataManager, {
+                directory: this.config.dropDirectory,
+                intervalMs: this.config.dropIntervalSeconds ? this.config.dropIntervalSeconds * 1000 : undefined
+            });
+            await this.fileDropImporter.start();
+        }
+    }
+
+    async stop() {
+        this.escalationEngine?.stopProcessing();
+        this.coverageMonitor?.stop();
+        this.fileDropImporter?.stop();
+        await this.ingestionServer?.stop();
+    }
+}
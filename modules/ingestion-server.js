@@ -0,0 +1,121 @@
+// Ingestion Server - Local HTTP endpoint external EHS systems push record changes to (Node only)
+// Routes (JSON in, JSON out):
+//   GET    /health                     - liveness check
+//   POST   /records/:module            - upsert one record, or an array of records
+//   DELETE /records/:module/:id        - delete a record
+//   POST   /batch                      - { operations: [{ op, module, record | id }] }
+// When a token is configured, requests must send "Authorization: Bearer <token>".
+import http from 'node:http';
+
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+export class IngestionServer {
+    constructor(dataManager, options = {}) {
+        this.dataManager = dataManager;
+        this.host = options.host || '127.0.0.1';
+        this.port = options.port ?? 8787;
+        this.token = options.token || null;
+        this.server = null;
+    }
+
+    async start() {
+        if (this.server) return this.server.address();
+
+        this.server = http.createServer((request, response) => {
+            this.handleRequest(request, response).catch(error => {
+                console.error('Ingestion request failed:', error);
+                this.sendJson(response, 500, { error: 'Internal server error' });
+            });
+        });
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, resolve);
+        });
+
+        const address = this.server.address();
+        console.log(`Ingestion endpoint listening on http://${address.address}:${address.port}`);
+        return address;
+    }
+
+    async stop() {
+        if (!this.server) return;
+
+        const server = this.server;
+        this.server = null;
+        await new Promise(resolve => server.close(resolve));
+    }
+
+    async handleRequest(request, response) {
+        const url = new URL(request.url, `http://${request.headers.host || 'localhost'}`);
+        const parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+        if (request.method === 'GET' && url.pathname === '/health') {
+            return this.sendJson(response, 200, { status: 'ok' });
+        }
+
+        if (this.token && request.headers.authorization !== `Bearer ${this.token}`) {
+            return this.sendJson(response, 401, { error: 'Unauthorized' });
+        }
+
+        if (parts[0] === 'records' && parts[1] && !this.dataManager.moduleRegistry.hasModule(parts[1])) {
+            return this.sendJson(response, 404, { error: `Unknown module: ${parts[1]}` });
+        }
+
+        if (request.method === 'POST' && parts[0] === 'records' && parts.length === 2) {
+            const body = await this.readJson(request, response);
+            if (body === undefined) return;
+
+            const result = await this.dataManager.upsertRecords(parts[1], Array.isArray(body) ? body : [body]);
+            return this.sendJson(response, result.failed > 0 ? 422 : 200, result);
+        }
+
+        if (request.method === 'DELETE' && parts[0] === 'records' && parts.length === 3) {
+            const result = await this.dataManager.applyRecordBatch([{ op: 'delete', module: parts[1], id: parts[2] }]);
+            return this.sendJson(response, result.failed > 0 ? 404 : 200, result);
+        }
+
+        if (request.method === 'POST' && url.pathname === '/batch') {
+            const body = await this.readJson(request, response);
+            if (body === undefined) return;
+
+            if (!Array.isArray(body?.operations)) {
+                return this.sendJson(response, 400, { error: 'Body must be { operations: [...] }' });
+            }
+
+            const result = await this.dataManager.applyRecordBatch(body.operations);
+            return this.sendJson(response, result.failed > 0 ? 422 : 200, result);
+        }
+
+        return this.sendJson(response, 404, { error: `No route for ${request.method} ${url.pathname}` });
+    }
+
+    // Resolves to the parsed body, or undefined after answering with an error
+    async readJson(request, response) {
+        const chunks = [];
+        let size = 0;
+
+        for await (const chunk of request) {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                this.sendJson(response, 413, { error: 'Request body too large' });
+                return undefined;
+            }
+            chunks.push(chunk);
+        }
+
+        try {
+            return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        } catch (error) {
+            this.sendJson(response, 400, { error: `Invalid JSON: ${error.message}` });
+            return undefined;
+        }
+    }
+
+    sendJson(response, status, payload) {
+        if (response.headersSent) return;
+
+        response.writeHead(status, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify(payload));
+    }
+}
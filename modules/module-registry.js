@@ -0,0 +1,273 @@
+// Module Registry - The EHS modules escalation templates can target
+// A module declares its id, display name, record id prefix, field schema and default
+// templates. Registering a module also registers its fields with the field schema registry.
+import { fieldSchemaRegistry } from './field-schema-registry.js';
+
+const STATUS_VALUES = ['Open', 'In Progress', 'Resolved', 'Closed', 'Overdue'];
+
+const COMMON_FIELDS = [
+    { key: 'id', label: 'Record ID', type: 'string' },
+    { key: 'title', label: 'Title', type: 'string' },
+    { key: 'description', label: 'Description', type: 'string' },
+    { key: 'department', label: 'Department', type: 'string' },
+    { key: 'location', label: 'Location', type: 'string' }
+];
+
+const DEFAULT_MODULES = [
+    {
+        id: 'incidents',
+        name: 'Incidents',
+        recordIdPrefix: 'INC',
+        fields: [
+            ...COMMON_FIELDS,
+            { key: 'priority', label: 'Priority', type: 'enum', values: ['Critical', 'High', 'Medium', 'Low'] },
+            { key: 'status', label: 'Status', type: 'enum', values: STATUS_VALUES },
+            { key: 'reportedBy', label: 'Reported By', type: 'person' },
+            { key: 'createdDate', label: 'Created Date', type: 'date' }
+        ]
+    },
+    {
+        id: 'work-permits',
+        name: 'Work Permits',
+        recordIdPrefix: 'WP',
+        fields: [
+            ...COMMON_FIELDS,
+            { key: 'status', label: 'Status', type: 'enum', values: ['Active', 'Suspended', 'Expired', 'Closed'] },
+            { key: 'issuedTo', label: 'Issued To', type: 'person' },
+            { key: 'expirationDate', label: 'Expiration Date', type: 'date' }
+        ]
+    },
+    {
+        id: 'audits',
+        name: 'Audits',
+        recordIdPrefix: 'AUD',
+        fields: [
+            ...COMMON_FIELDS,
+            { key: 'severity', label: 'Severity', type: 'enum', values: ['High', 'Medium', 'Low'] },
+            { key: 'status', label: 'Status', type: 'enum', values: STATUS_VALUES },
+            { key: 'assignedTo', label: 'Assigned To', type: 'person' },
+            { key: 'dueDate', label: 'Due Date', type: 'date' }
+        ]
+    },
+    {
+        id: 'corrective-actions',
+        name: 'Corrective Actions',
+        recordIdPrefix: 'CA',
+        fields: [
+            ...COMMON_FIELDS,
+            { key: 'priority', label: 'Priority', type: 'enum', values: ['Critical', 'High', 'Medium', 'Low'] },
+            { key: 'status', label: 'Status', type: 'enum', values: ['Open', 'In Progress', 'Pending Verification', 'Closed', 'Overdue'] },
+            { key: 'sourceRecordId', label: 'Source Record', type: 'string' },
+            { key: 'assignedTo', label: 'Assigned To', type: 'person' },
+            { key: 'createdDate', label: 'Created Date', type: 'date' },
+            { key: 'dueDate', label: 'Due Date', type: 'date' }
+        ],
+        defaultTemplates: [
+            {
+                name: 'Overdue Corrective Action',
+                description: 'Chases corrective actions that pass their due date',
+                active: true,
+                applicabilityRules: [
+                    { field: 'status', operator: 'notIn', value: 'Closed, Pending Verification', logic: 'AND' }
+                ],
+                hierarchy: [
+                    { level: 1, roles: ['direct-manager'], fallbackEmail: 'capa@company.com', delay: 0 },
+                    { level: 2, roles: ['department-head'], fallbackEmail: 'compliance@company.com', delay: 48 }
+                ],
+                triggers: [
+                    { type: 'time-based', level: 1, referenceField: 'dueDate', daysBefore: 0, daysAfter: 1 },
+                    { type: 'time-based', level: 2, referenceField: 'dueDate', daysBefore: 0, daysAfter: 5 }
+                ],
+                notificationTemplates: {
+                    email: {
+                        subject: 'Corrective Action {{id}} is overdue',
+                        body: `Dear {{recipientName}},
+
+Corrective action {{id}} is past its due date:
+
+- Action: {{title}}
+- Source: {{sourceRecordId}}
+- Assigned To: {{assignedTo}}
+- Due Date: {{dueDate}}
+
+View Action: {{actionUrl}}
+
+CAPA Management System`
+                    },
+                    sms: 'CAPA {{id}} overdue since {{dueDate}}. View: {{actionUrl}}'
+                }
+            }
+        ]
+    },
+    {
+        id: 'training-certifications',
+        name: 'Training Certifications',
+        recordIdPrefix: 'TRN',
+        fields: [
+            ...COMMON_FIELDS,
+            { key: 'status', label: 'Status', type: 'enum', values: ['Valid', 'Expiring', 'Expired'] },
+            { key: 'certification', label: 'Certification', type: 'string' },
+            { key: 'employee', label: 'Employee', type: 'person' },
+            { key: 'expirationDate', label: 'Expiration Date', type: 'date' }
+        ],
+        defaultTemplates: [
+            {
+                name: 'Certification Expiry Warning',
+                description: 'Warns before mandatory training certifications lapse',
+                active: true,
+                applicabilityRules: [
+                    { field: 'status', operator: 'notEquals', value: 'Expired', logic: 'AND' }
+                ],
+                hierarchy: [
+                    { level: 1, roles: ['direct-manager'], fallbackEmail: 'training@company.com', delay: 0 },
+                    { level: 2, roles: ['department-head'], fallbackEmail: 'hr@company.com', delay: 72 }
+                ],
+                triggers: [
+                    { type: 'time-based', level: 1, referenceField: 'expirationDate', daysBefore: 30, daysAfter: 0 },
+                    { type: 'time-based', level: 2, referenceField: 'expirationDate', daysBefore: 7, daysAfter: 0 }
+                ],
+                notificationTemplates: {
+                    email: {
+                        subject: 'Certification {{certification}} expiring for {{employee}}',
+                        body: `Dear {{recipientName}},
+
+A training certification is about to expire:
+
+- Employee: {{employee}}
+- Certification: {{certification}}
+- Expires: {{expirationDate}}
+
+Please schedule refresher training.
+
+View Record: {{actionUrl}}
+
+Training Management System`
+                    },
+                    sms: 'TRAINING {{certification}} for {{employee}} expires {{expirationDate}}. View: {{actionUrl}}'
+                }
+            }
+        ]
+    },
+    {
+        id: 'equipment-inspections',
+        name: 'Equipment Inspections',
+        recordIdPrefix: 'EQI',
+        fields: [
+            ...COMMON_FIELDS,
+            { key: 'status', label: 'Status', type: 'enum', values: ['Scheduled', 'Passed', 'Failed', 'Overdue'] },
+            { key: 'equipmentId', label: 'Equipment', type: 'string' },
+            { key: 'inspector', label: 'Inspector', type: 'person' },
+            { key: 'nextInspectionDate', label: 'Next Inspection Date', type: 'date' }
+        ],
+        defaultTemplates: [
+            {
+                name: 'Failed Equipment Inspection',
+                description: 'Escalates equipment that failed inspection until it is re-inspected',
+                active: true,
+                applicabilityRules: [
+                    { field: 'status', operator: 'equals', value: 'Failed', logic: 'AND' }
+                ],
+                hierarchy: [
+                    { level: 1, roles: ['direct-manager'], fallbackEmail: 'maintenance@company.com', delay: 0 },
+                    { level: 2, roles: ['site-manager'], fallbackEmail: 'operations@company.com', delay: 24 }
+                ],
+                triggers: [
+                    { type: 'event-based', level: 1, field: 'status', value: 'Failed' },
+                    { type: 'event-based', level: 2, field: 'status', value: 'Failed' }
+                ],
+                notificationTemplates: {
+                    email: {
+                        subject: 'Equipment {{equipmentId}} failed inspection',
+                        body: `Dear {{recipientName}},
+
+Equipment failed its inspection and must be taken out of service:
+
+- Inspection: {{id}}
+- Equipment: {{equipmentId}}
+- Location: {{location}}
+- Inspector: {{inspector}}
+
+View Inspection: {{actionUrl}}
+
+Asset Management System`
+                    },
+                    sms: 'EQUIPMENT {{equipmentId}} FAILED inspection at {{location}}. View: {{actionUrl}}'
+                }
+            }
+        ]
+    }
+];
+
+export class ModuleRegistry {
+    constructor(options = {}) {
+        this.fieldSchemaRegistry = options.fieldSchemaRegistry || fieldSchemaRegistry;
+        this.modules = new Map();
+
+        DEFAULT_MODULES.forEach(definition => this.registerModule(definition));
+    }
+
+    // Register (or replace) a module definition
+    registerModule(definition) {
+        if (!definition || !definition.id) {
+            throw new Error('Module definitions require an id');
+        }
+        if (!/^[a-z0-9-]+$/.test(definition.id)) {
+            throw new Error(`Module id "${definition.id}" must be lowercase letters, digits and dashes`);
+        }
+
+        const module = {
+            id: definition.id,
+            name: definition.name || definition.id,
+            recordIdPrefix: definition.recordIdPrefix || definition.id.slice(0, 3).toUpperCase(),
+            defaultTemplates: definition.defaultTemplates || []
+        };
+
+        this.fieldSchemaRegistry.registerModule(module.id, definition.fields || []);
+        this.modules.set(module.id, module);
+        return module;
+    }
+
+    hasModule(id) {
+        return this.modules.has(id);
+    }
+
+    getModule(id) {
+        return this.modules.get(id) || null;
+    }
+
+    getModules() {
+        return Array.from(this.modules.values());
+    }
+
+    getModuleIds() {
+        return Array.from(this.modules.keys());
+    }
+
+    getModuleName(id) {
+        return this.modules.get(id)?.name || id;
+    }
+
+    getFields(id) {
+        return this.fieldSchemaRegistry.getFields(id);
+    }
+
+    // Default templates for every module, stamped with their module and a stable id
+    getDefaultTemplates() {
+        return this.getModules().flatMap(module =>
+            module.defaultTemplates.map((template, index) => ({
+                ...JSON.parse(JSON.stringify(template)),
+                id: `template-${module.id}-${index + 1}`,
+                module: module.id
+            }))
+        );
+    }
+
+    // Build a record id in the module's format, e.g. INC-2025-001
+    formatRecordId(id, sequence, year = new Date().getFullYear()) {
+        const prefix = this.modules.get(id)?.recordIdPrefix || id.toUpperCase();
+        return `${prefix}-${year}-${String(sequence).padStart(3, '0')}`;
+    }
+}
+
+// Shared default instance
+export const moduleRegistry = new ModuleRegistry();
@@ -1,7 +1,23 @@
 // Notification Handler - Manages notification generation and delivery
+import { ruleEvaluator } from './rule-evaluator.js';
+import { getDelegatedFor } from './availability.js';
+
+// Escape text for the HTML email body (string based so it also works without a DOM)
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 export class NotificationHandler {
-    constructor(dataManager) {
+    constructor(dataManager, options = {}) {
         this.dataManager = dataManager;
+        this.ruleEvaluator = ruleEvaluator;
+        // Headless runtimes have no window, so the EHS base URL can be configured
+        this.baseUrl = options.baseUrl || (typeof window !== 'undefined' ? window.location.origin : 'http://localhost');
         this.duplicateCache = new Map();
         this.deliveryStats = {
             sent: 0,
@@ -41,22 +57,16 @@ export class NotificationHandler {
 
     // Interpolate template variables
     interpolate(template, data) {
-        return template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-            const value = this.getNestedValue(data, key);
+        return template.replace(/\{\{([\w.]+)\}\}/g, (match, key) => {
+            const value = this.ruleEvaluator.getNestedValue(data, key);
             return value != null ? String(value) : match;
         });
     }
 
-    // Get nested object value
-    getNestedValue(obj, path) {
-        return path.split('.').reduce((current, key) => current && current[key], obj);
-    }
-
     // Generate action URL for record access
     generateActionUrl(record) {
         // In a real system, this would generate a secure, authenticated URL
-        const baseUrl = window.location.origin;
-        return `${baseUrl}/ehs/record/${record.id}?ref=escalation`;
+        return `${this.baseUrl}/ehs/record/${record.id}?ref=escalation`;
     }
 
     // Get escalation level information
@@ -224,7 +234,7 @@ export class NotificationHandler {
             const response = await this.simulateEmailAPI({
                 to: recipient.email,
                 subject: notification.emailSubject,
-                body: notification.emailBody,
+                body: this.addDelegationNote(notification.emailBody, recipient),
                 priority: notification.priority
             });
 
@@ -249,6 +259,21 @@ export class NotificationHandler {
         }
     }
 
+    // Delegates are told whose escalation they are receiving and why
+    addDelegationNote(body, recipient) {
+        const standingInFor = getDelegatedFor(recipient);
+        if (standingInFor.length === 0) return body;
+
+        const names = escapeHTML(standingInFor.map(person => person.name || person.email).join(', '));
+        const reason = recipient.absenceReason ? `: ${escapeHTML(recipient.absenceReason)}` : '';
+        const note = `<p style="background: #eff6ff; padding: 0.75rem; border-radius: 4px;">You are receiving this on behalf of ${names} (out of office${reason}).</p>`;
+
+        // The body is a full HTML document, so the note goes at the top of its <body>
+        return /<body[^>]*>/i.test(body)
+            ? body.replace(/<body[^>]*>/i, tag => `${tag}\n                ${note}`)
+            : `${note}\n${body}`;
+    }
+
     // Send SMS notification
     async sendSMS(recipient, notification) {
         // In a real system, this would integrate with SMS gateway
@@ -409,12 +434,18 @@ export class NotificationHandler {
         };
     }
 
-    // Extract preview text from HTML email body
+    // Extract preview text from HTML email body (string based so it also works without a DOM)
     extractPreviewText(htmlBody) {
-        // Simple HTML text extraction for preview
-        const tempDiv = document.createElement('div');
-        tempDiv.innerHTML = htmlBody;
-        return tempDiv.textContent || tempDiv.innerText || '';
+        return String(htmlBody || '')
+            .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<[^>]+>/g, '')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, "'")
+            .replace(/&amp;/g, '&');
     }
 
     // Batch send notifications (for efficiency)
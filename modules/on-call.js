@@ -0,0 +1,261 @@
+// On-Call Schedules - Rotations that decide who is on call at a given moment (REQ-024)
+// Hierarchy levels list schedules in `onCallSchedules`; whoever is on call when the
+// escalation is sent is notified. Handoffs happen at a wall-clock time in the schedule's
+// IANA timezone, so they don't drift across daylight saving changes.
+//
+// Schedule definition:
+//   id           - identifier referenced by hierarchy levels
+//   name         - display name
+//   timezone     - IANA timezone, e.g. 'America/Chicago' (runtime local time when not set)
+//   startDate    - 'YYYY-MM-DD' of the first handoff
+//   handoffTime  - 'HH:MM' when one shift hands over to the next
+//   rotationDays - length of each shift in days (7 = weekly rotation)
+//   members      - user ids, on call in turn
+//   overrides    - [{ start, end, userId, reason }] cover that takes precedence over the rotation;
+//                  'YYYY-MM-DDTHH:MM' is wall-clock time in the schedule's timezone
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+const LOCAL_DATE_TIME = /^(\d{4}-\d{2}-\d{2})T(\d{2}):(\d{2})$/;
+
+function parseTime(value) {
+    const match = String(value ?? '').match(/^(\d{1,2}):(\d{2})$/);
+    if (!match) return null;
+
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    return hours > 23 || minutes > 59 ? null : hours * 60 + minutes;
+}
+
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function dateKeyToUTC(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+}
+
+function addDaysToKey(dateKey, days) {
+    return new Date(dateKeyToUTC(dateKey) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Returns a list of problems with a schedule definition; empty when valid
+export function validateScheduleDefinition(definition) {
+    const errors = [];
+
+    if (!definition || !definition.id || !/^[a-z0-9-]+$/.test(definition.id)) {
+        errors.push('Schedule id is required and may only contain lowercase letters, digits and dashes');
+    }
+
+    if (definition?.timezone && !isValidTimezone(definition.timezone)) {
+        errors.push(`Unknown timezone: ${definition.timezone}`);
+    }
+
+    if (!DATE_KEY.test(definition?.startDate || '') || isNaN(dateKeyToUTC(definition.startDate))) {
+        errors.push('Start date must be a YYYY-MM-DD date');
+    }
+
+    if (definition?.handoffTime !== undefined && parseTime(definition.handoffTime) === null) {
+        errors.push('Handoff time must be HH:MM');
+    }
+
+    const rotationDays = definition?.rotationDays ?? 7;
+    if (!Number.isInteger(rotationDays) || rotationDays < 1) {
+        errors.push('Rotation length must be a whole number of days');
+    }
+
+    if (!Array.isArray(definition?.members) || definition.members.length === 0) {
+        errors.push('At least one rotation member is required');
+    }
+
+    (definition?.overrides || []).forEach((override, index) => {
+        if (!override?.userId) {
+            errors.push(`Override ${index + 1}: user is required`);
+        }
+        if (!LOCAL_DATE_TIME.test(override?.start || '') && isNaN(new Date(override?.start).getTime())) {
+            errors.push(`Override ${index + 1}: invalid start`);
+        } else if (!LOCAL_DATE_TIME.test(override?.end || '') && isNaN(new Date(override?.end).getTime())) {
+            errors.push(`Override ${index + 1}: invalid end`);
+        }
+    });
+
+    return errors;
+}
+
+export class OnCallSchedule {
+    constructor(options = {}) {
+        this.id = options.id;
+        this.name = options.name || this.id;
+        this.timezone = options.timezone || null;
+        this.startDate = options.startDate;
+        this.handoffTime = options.handoffTime || '08:00';
+        this.rotationDays = options.rotationDays ?? 7;
+        this.members = [...(options.members || [])];
+        this.overrides = (options.overrides || []).map(override => ({ ...override }));
+
+        this.formatter = this.timezone
+            ? new Intl.DateTimeFormat('en-US', {
+                timeZone: this.timezone,
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit',
+                hourCycle: 'h23'
+            })
+            : null;
+    }
+
+    // Wall-clock date and minute of day of an instant in this schedule's timezone
+    getLocalParts(date) {
+        if (!this.formatter) {
+            const month = String(date.getMonth() + 1).padStart(2, '0');
+            const day = String(date.getDate()).padStart(2, '0');
+            return {
+                dateKey: `${date.getFullYear()}-${month}-${day}`,
+                minutes: date.getHours() * 60 + date.getMinutes()
+            };
+        }
+
+        const parts = Object.fromEntries(this.formatter.formatToParts(date).map(part => [part.type, part.value]));
+        return {
+            dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+            minutes: Number(parts.hour) * 60 + Number(parts.minute),
+            seconds: Number(parts.second)
+        };
+    }
+
+    // The instant a wall-clock time in this schedule's timezone happens
+    toInstant(dateKey, minutes) {
+        const wallClock = dateKeyToUTC(dateKey) + minutes * 60 * 1000;
+        if (!this.formatter) {
+            const [year, month, day] = dateKey.split('-').map(Number);
+            return new Date(year, month - 1, day, 0, minutes);
+        }
+
+        // Correct a UTC guess by the zone's offset; twice settles offsets that change in between
+        let guess = wallClock;
+        for (let i = 0; i < 2; i++) {
+            const parts = this.getLocalParts(new Date(guess));
+            const local = dateKeyToUTC(parts.dateKey) + (parts.minutes * 60 + parts.seconds) * 1000;
+            guess = wallClock - (local - guess);
+        }
+        return new Date(guess);
+    }
+
+    parseBoundary(value) {
+        const match = LOCAL_DATE_TIME.exec(value || '');
+        return match
+            ? this.toInstant(match[1], Number(match[2]) * 60 + Number(match[3]))
+            : new Date(value);
+    }
+
+    getShift(index) {
+        const handoff = parseTime(this.handoffTime);
+        return {
+            index,
+            userId: this.members[((index % this.members.length) + this.members.length) % this.members.length],
+            start: this.toInstant(addDaysToKey(this.startDate, index * this.rotationDays), handoff),
+            end: this.toInstant(addDaysToKey(this.startDate, (index + 1) * this.rotationDays), handoff)
+        };
+    }
+
+    // Index of the rotation shift covering `at`; negative before the rotation starts
+    getShiftIndex(at) {
+        const parts = this.getLocalParts(at);
+        let days = (dateKeyToUTC(parts.dateKey) - dateKeyToUTC(this.startDate)) / DAY_MS;
+        if (parts.minutes < parseTime(this.handoffTime)) days--;
+        return Math.floor(days / this.rotationDays);
+    }
+
+    getOverride(at) {
+        return this.overrides.find(override =>
+            at >= this.parseBoundary(override.start) && at < this.parseBoundary(override.end)
+        ) || null;
+    }
+
+    // Who is on call at `at`: { userId, source: 'override' | 'rotation', start, end },
+    // or { userId: null, reason } before the rotation starts
+    getOnCall(at = new Date()) {
+        const override = this.getOverride(at);
+        if (override) {
+            return {
+                userId: override.userId,
+                source: 'override',
+                reason: override.reason || '',
+                start: this.parseBoundary(override.start),
+                end: this.parseBoundary(override.end)
+            };
+        }
+
+        const index = this.getShiftIndex(at);
+        if (index < 0) {
+            return { userId: null, reason: `rotation ${this.name} starts on ${this.startDate}` };
+        }
+
+        const shift = this.getShift(index);
+        return { userId: shift.userId, source: 'rotation', start: shift.start, end: shift.end };
+    }
+
+    // The next `count` rotation shifts, starting with the one covering `from`
+    getUpcomingShifts(from = new Date(), count = 4) {
+        const first = Math.max(this.getShiftIndex(from), 0);
+        return Array.from({ length: count }, (_, i) => this.getShift(first + i));
+    }
+
+    toDefinition() {
+        return {
+            id: this.id,
+            name: this.name,
+            timezone: this.timezone,
+            startDate: this.startDate,
+            handoffTime: this.handoffTime,
+            rotationDays: this.rotationDays,
+            members: [...this.members],
+            overrides: this.overrides.map(override => ({ ...override }))
+        };
+    }
+}
+
+export class OnCallScheduleRegistry {
+    constructor() {
+        this.schedules = new Map();
+    }
+
+    register(definition) {
+        const errors = validateScheduleDefinition(definition);
+        if (errors.length > 0) {
+            throw new Error(`Invalid on-call schedule: ${errors.join('; ')}`);
+        }
+
+        const schedule = new OnCallSchedule(definition);
+        this.schedules.set(schedule.id, schedule);
+        return schedule;
+    }
+
+    has(id) {
+        return this.schedules.has(id);
+    }
+
+    get(id) {
+        return this.schedules.get(id) || null;
+    }
+
+    list() {
+        return Array.from(this.schedules.values());
+    }
+
+    remove(id) {
+        return this.schedules.delete(id);
+    }
+}
+
+// Shared default instance
+export const onCallScheduleRegistry = new OnCallScheduleRegistry();
@@ -0,0 +1,175 @@
+// Org Chart - Resolves hierarchy roles that are relative to a record by walking users' `manager` links
+// Relative roles:
+//   assignee                 the user the record is assigned to (assignedTo / issuedTo)
+//   assignee-manager         the assignee's manager (same as manager+1)
+//   manager+N                N steps up the assignee's management chain
+//   record-department-head   department head of the record's department
+//   record-site-manager      site manager of the record's site, or the first site manager
+//                            above the record's department head (or assignee)
+// Any other role is absolute and resolved by DataManager.getUsersByRole().
+import { getRecordAssignee } from './record-events.js';
+import { normalizeRoleId } from './role-catalog.js';
+
+export const RELATIVE_ROLES = {
+    assignee: { label: 'Assignee', description: 'The user the record is assigned to' },
+    'assignee-manager': { label: "Assignee's manager", description: "The assignee's direct manager" },
+    'record-department-head': { label: 'Department head', description: "Head of the record's department" },
+    'record-site-manager': { label: 'Site manager', description: "Site manager of the record's site" }
+};
+
+export const MAX_MANAGER_STEPS = 10;
+
+const MANAGER_STEPS_PATTERN = /^manager\+(\d+)$/;
+
+function hasRole(user, role) {
+    return normalizeRoleId(user.role) === role;
+}
+
+export function isRelativeRole(role) {
+    return Object.hasOwn(RELATIVE_ROLES, role) || MANAGER_STEPS_PATTERN.test(role);
+}
+
+// Number of steps up the assignee's chain, or null for other roles
+export function getManagerSteps(role) {
+    if (role === 'assignee-manager') return 1;
+    const match = MANAGER_STEPS_PATTERN.exec(role);
+    return match ? Number(match[1]) : null;
+}
+
+// Returns an error message, or null when the role is valid
+export function validateRelativeRole(role) {
+    const steps = getManagerSteps(role);
+    if (steps !== null && (steps < 1 || steps > MAX_MANAGER_STEPS)) {
+        return `'${role}' must be between manager+1 and manager+${MAX_MANAGER_STEPS}`;
+    }
+    return null;
+}
+
+export function describeRole(role) {
+    if (RELATIVE_ROLES[role]) return RELATIVE_ROLES[role].label;
+
+    const steps = getManagerSteps(role);
+    return steps !== null ? `Manager +${steps} above assignee` : role;
+}
+
+// Match a record's assignee (user id, email or name) to a user
+export function findUser(users, reference) {
+    if (!reference) return null;
+
+    const value = String(reference).trim().toLowerCase();
+    return users.find(user => user.id === reference) ||
+        users.find(user => String(user.email || '').toLowerCase() === value) ||
+        users.find(user => String(user.name || '').toLowerCase() === value) ||
+        null;
+}
+
+// Managers above `user`, nearest first. Stops after maxSteps, at the top of the chart,
+// at a manager id that isn't in the directory (brokenAt) or when a manager repeats (cycle).
+export function getManagerChain(user, users, maxSteps = Infinity) {
+    const byId = new Map(users.map(u => [u.id, u]));
+    const visited = new Set([user.id]);
+    const managers = [];
+    let current = user;
+
+    while (managers.length < maxSteps && current.manager) {
+        const manager = byId.get(current.manager);
+        if (!manager) {
+            return { managers, cycle: false, brokenAt: current.manager };
+        }
+        if (visited.has(manager.id)) {
+            return { managers, cycle: true, brokenAt: manager.id };
+        }
+
+        visited.add(manager.id);
+        managers.push(manager);
+        current = manager;
+    }
+
+    return { managers, cycle: false, brokenAt: null };
+}
+
+function describeChain(user, managers) {
+    return [user, ...managers].map(u => u.name || u.id).join(' → ');
+}
+
+function chainProblem(user, chain) {
+    if (chain.cycle) {
+        const repeated = [user, ...chain.managers].find(u => u.id === chain.brokenAt);
+        return `manager chain of ${user.name || user.id} has a cycle (${describeChain(user, [...chain.managers, repeated])})`;
+    }
+    if (chain.brokenAt) {
+        return `manager '${chain.brokenAt}' in the chain of ${user.name || user.id} is not in the user directory`;
+    }
+    return null;
+}
+
+function resolveAssignee(record, users) {
+    const reference = getRecordAssignee(record);
+    if (!reference) {
+        return { user: null, reason: `record ${record.id} has no assignee` };
+    }
+
+    const user = findUser(users, reference);
+    return user
+        ? { user, reason: null }
+        : { user: null, reason: `assignee '${reference}' on record ${record.id} is not in the user directory` };
+}
+
+function resolveDepartmentHeads(record, users) {
+    if (!record.department) {
+        return { users: [], reason: `record ${record.id} has no department` };
+    }
+
+    const heads = users.filter(user => hasRole(user, 'department-head') && user.department === record.department);
+    return heads.length > 0
+        ? { users: heads, reason: null }
+        : { users: [], reason: `no department head found for department '${record.department}'` };
+}
+
+function resolveSiteManager(record, users) {
+    if (record.site) {
+        const managers = users.filter(user => hasRole(user, 'site-manager') && user.site === record.site);
+        if (managers.length > 0) return { users: managers, reason: null };
+    }
+
+    // Otherwise walk up from the department head, or from the assignee when the department has none
+    const heads = resolveDepartmentHeads(record, users).users;
+    const start = heads[0] || resolveAssignee(record, users).user;
+    if (!start) {
+        return { users: [], reason: `record ${record.id} has no site, department head or assignee to start from` };
+    }
+
+    const chain = getManagerChain(start, users);
+    const siteManager = [start, ...chain.managers].find(user => hasRole(user, 'site-manager'));
+    if (siteManager) return { users: [siteManager], reason: null };
+
+    return {
+        users: [],
+        reason: chainProblem(start, chain) || `no site manager in the chain ${describeChain(start, chain.managers)}`
+    };
+}
+
+// Resolve a relative role for a record. `reason` explains an empty result.
+export function resolveRelativeRole(role, record, users) {
+    const invalid = validateRelativeRole(role);
+    if (invalid) return { users: [], reason: invalid };
+
+    if (role === 'record-department-head') return resolveDepartmentHeads(record, users);
+    if (role === 'record-site-manager') return resolveSiteManager(record, users);
+
+    const { user: assignee, reason } = resolveAssignee(record, users);
+    if (!assignee) return { users: [], reason };
+    if (role === 'assignee') return { users: [assignee], reason: null };
+
+    const steps = getManagerSteps(role);
+    const chain = getManagerChain(assignee, users, steps);
+    if (chain.managers.length === steps) {
+        return { users: [chain.managers[steps - 1]], reason: null };
+    }
+
+    return {
+        users: [],
+        reason: chainProblem(assignee, chain) ||
+            `the chain runs out after ${chain.managers.length} manager(s) above ${assignee.name || assignee.id} (${describeChain(assignee, chain.managers)})`
+    };
+}
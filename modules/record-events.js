@@ -0,0 +1,128 @@
+// Record Events - Change events emitted by the data manager and matched by event-based triggers
+// Event shape:
+//   id, type, module, recordId, actor, timestamp
+//   record     - the record after the change (last known state for deletes)
+//   changes    - [{ field, from, to }] for created/updated events, dot-notation field paths
+//   comment    - { id, author, text, createdAt } for comment events
+//   assignment - { field, from, to } for assignment events
+//   name, payload - custom events
+
+export const RECORD_EVENT_TYPES = ['created', 'updated', 'deleted', 'comment', 'assignment', 'custom'];
+
+// Fields that hold a record's current owner, in order of preference
+export const ASSIGNMENT_FIELDS = ['assignedTo', 'issuedTo'];
+
+// What an event-based trigger listens for (trigger.event). Triggers without an
+// event kind watch a field transition, which keeps older { field, value } triggers working.
+export const EVENT_TRIGGER_KINDS = {
+    'field-change': { label: 'Field changes', eventTypes: ['created', 'updated'] },
+    'record-created': { label: 'Record created', eventTypes: ['created'] },
+    'comment-added': { label: 'Comment added', eventTypes: ['comment'] },
+    'assignment-changed': { label: 'Assignment changed', eventTypes: ['assignment'] },
+    'custom': { label: 'Custom event', eventTypes: ['custom'] }
+};
+
+// Wildcard accepted for the "from" and "to" side of a transition
+export const ANY_VALUE = 'Any';
+
+export function getTriggerEventKind(trigger) {
+    return trigger.event || 'field-change';
+}
+
+export function getRecordAssignee(record) {
+    const field = ASSIGNMENT_FIELDS.find(key => record?.[key]);
+    return field ? record[field] : null;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Field-level differences between two versions of a record, as dot-notation paths
+export function diffRecords(before = {}, after = {}, prefix = '') {
+    const changes = [];
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    keys.forEach(key => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        const from = before?.[key];
+        const to = after?.[key];
+
+        if (isPlainObject(from) || isPlainObject(to)) {
+            changes.push(...diffRecords(isPlainObject(from) ? from : {}, isPlainObject(to) ? to : {}, path));
+        } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes.push({ field: path, from, to });
+        }
+    });
+
+    return changes;
+}
+
+function matchesValue(expected, actual) {
+    if (expected === undefined || expected === null || expected === '' || expected === ANY_VALUE) return true;
+    return actual === expected;
+}
+
+// Does a single record event satisfy an event-based trigger?
+export function matchesEventTrigger(trigger, event) {
+    if (!trigger || !event) return false;
+
+    const kind = getTriggerEventKind(trigger);
+    const definition = EVENT_TRIGGER_KINDS[kind];
+    if (!definition || !definition.eventTypes.includes(event.type)) return false;
+
+    switch (kind) {
+        case 'field-change': {
+            const change = (event.changes || []).find(c => c.field === trigger.field);
+            return !!change && matchesValue(trigger.from, change.from) && matchesValue(trigger.value, change.to);
+        }
+        case 'assignment-changed':
+            return matchesValue(trigger.value, event.assignment?.to);
+        case 'custom':
+            return event.name === trigger.eventName;
+        default:
+            return true;
+    }
+}
+
+// Returns a list of problems with an event-based trigger; empty when valid
+export function validateEventTrigger(trigger) {
+    const errors = [];
+    const kind = getTriggerEventKind(trigger);
+
+    if (!EVENT_TRIGGER_KINDS[kind]) {
+        errors.push(`Event must be one of ${Object.keys(EVENT_TRIGGER_KINDS).join(', ')}`);
+    } else if (kind === 'field-change') {
+        if (!trigger.field) {
+            errors.push('Field is required for event-based triggers');
+        }
+        if (trigger.value === undefined) {
+            errors.push('Value is required for event-based triggers');
+        }
+    } else if (kind === 'custom' && !trigger.eventName) {
+        errors.push('Event name is required for custom event triggers');
+    }
+
+    return errors;
+}
+
+// e.g. 'status changes from "In Progress" to "Overdue"', 'comment added'
+export function describeEventTrigger(trigger) {
+    switch (getTriggerEventKind(trigger)) {
+        case 'field-change': {
+            const from = matchesValue(trigger.from, undefined) ? '' : ` from "${trigger.from}"`;
+            const to = matchesValue(trigger.value, undefined) ? 'any value' : `"${trigger.value}"`;
+            return `${trigger.field} changes${from} to ${to}`;
+        }
+        case 'record-created':
+            return 'record created';
+        case 'comment-added':
+            return 'comment added';
+        case 'assignment-changed':
+            return matchesValue(trigger.value, undefined) ? 'assignment changed' : `assigned to ${trigger.value}`;
+        case 'custom':
+            return `custom event "${trigger.eventName}"`;
+        default:
+            return `unknown event "${trigger.event}"`;
+    }
+}
@@ -0,0 +1,153 @@
+// Record Import - Turns CSV and JSON exports from external EHS systems into ingestion operations
+// Supported files:
+//   CSV  - header row of field keys (dot notation for nested fields); the module comes from the
+//          file name (e.g. 'incidents.csv', 'work-permits-2026-05-01.csv'). An optional '_op'
+//          column set to 'delete' removes the record with that id.
+//   JSON - an array of records (module from the file name), { module, records: [...] }, or
+//          { operations: [{ op, module, record | id }] } as accepted by DataManager.applyRecordBatch
+import { moduleRegistry } from './module-registry.js';
+
+// Parse CSV text into rows of cells, honouring quoted cells with commas, quotes and newlines
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    const input = String(text ?? '').replace(/^\uFEFF/, '');
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Blank lines carry no record
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+// Path segments that would write to Object.prototype instead of the record
+const UNSAFE_PATH_SEGMENTS = new Set(['__proto__', 'constructor', 'prototype']);
+
+function isSafePath(path) {
+    return !path.split('.').some(part => UNSAFE_PATH_SEGMENTS.has(part));
+}
+
+function setPath(target, path, value) {
+    if (!isSafePath(path)) {
+        throw new Error(`Invalid field path: ${path}`);
+    }
+
+    const parts = path.split('.');
+    let current = target;
+    parts.slice(0, -1).forEach(part => {
+        if (!current[part] || typeof current[part] !== 'object') current[part] = {};
+        current = current[part];
+    });
+    current[parts[parts.length - 1]] = value;
+}
+
+// Convert CSV text cells to the module's field types; empty cells are left out
+export function coerceCsvRecord(moduleId, values, registry = moduleRegistry) {
+    const record = {};
+
+    Object.entries(values).forEach(([key, raw]) => {
+        const text = raw.trim();
+        if (text === '') return;
+
+        const type = registry.fieldSchemaRegistry.getField(moduleId, key)?.type;
+        const numeric = Number(text);
+        setPath(record, key, type === 'number' && !isNaN(numeric) ? numeric : text);
+    });
+
+    return record;
+}
+
+// Longest registered module id the file name starts with
+export function getModuleFromFileName(fileName, registry = moduleRegistry) {
+    const base = String(fileName).split(/[\\/]/).pop().toLowerCase();
+    return registry.getModuleIds()
+        .filter(id => base === id || base.startsWith(`${id}.`) || base.startsWith(`${id}-`) || base.startsWith(`${id}_`))
+        .sort((a, b) => b.length - a.length)[0] || null;
+}
+
+// Build ingestion operations from a file's name and text content
+export function parseRecordFile(fileName, content, registry = moduleRegistry) {
+    const extension = String(fileName).split('.').pop().toLowerCase();
+    const fileModule = getModuleFromFileName(fileName, registry);
+
+    if (extension === 'csv') {
+        if (!fileModule) {
+            throw new Error(`Cannot tell which module ${fileName} belongs to; start the file name with a module id`);
+        }
+
+        const [header, ...rows] = parseCsv(content);
+        if (!header) return [];
+
+        const columns = header.map(column => column.trim());
+        if (!columns.includes('id')) {
+            throw new Error(`${fileName} needs an "id" column`);
+        }
+        const unsafe = columns.find(column => !isSafePath(column));
+        if (unsafe) {
+            throw new Error(`${fileName} has an invalid column "${unsafe}"`);
+        }
+
+        return rows.map(cells => {
+            const values = Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? '']));
+            const op = (values._op || 'upsert').trim().toLowerCase();
+            delete values._op;
+
+            return op === 'delete'
+                ? { op, module: fileModule, id: values.id.trim() }
+                : { op, module: fileModule, record: coerceCsvRecord(fileModule, values, registry) };
+        });
+    }
+
+    if (extension === 'json') {
+        const data = JSON.parse(content);
+
+        if (Array.isArray(data?.operations)) {
+            return data.operations.map(operation => ({ ...operation, module: operation.module || fileModule }));
+        }
+
+        const module = data?.module || fileModule;
+        const records = Array.isArray(data) ? data : data?.records;
+        if (!Array.isArray(records)) {
+            throw new Error(`${fileName} must contain an array of records, { module, records } or { operations }`);
+        }
+        if (!module) {
+            throw new Error(`Cannot tell which module ${fileName} belongs to; add a "module" property or start the file name with a module id`);
+        }
+
+        return records.map(record => ({ op: 'upsert', module, record }));
+    }
+
+    throw new Error(`Unsupported file type: ${fileName}`);
+}
@@ -0,0 +1,102 @@
+// Role Catalog - The roles hierarchy levels can escalate to, matched exactly against users' roles
+// Each role has a scope that decides which users qualify for a record:
+//   global      every user with the role
+//   site        users with the role at the record's site (all of them when either site isn't known)
+//   department  users with the role in the record's department
+
+export const ROLE_SCOPES = ['global', 'site', 'department'];
+
+const DEFAULT_ROLES = [
+    { id: 'ceo', label: 'CEO', description: 'Chief executive officer', scope: 'global' },
+    { id: 'cfo', label: 'CFO', description: 'Chief financial officer', scope: 'global' },
+    { id: 'coo', label: 'COO', description: 'Chief operating officer', scope: 'global' },
+    { id: 'executive', label: 'Executive', description: 'Executive team member', scope: 'global' },
+    { id: 'site-manager', label: 'Site Manager', description: 'Runs a plant or site', scope: 'site' },
+    { id: 'general-manager', label: 'General Manager', description: 'Manages the operating departments of a site', scope: 'site' },
+    { id: 'department-head', label: 'Department Head', description: 'Head of a department', scope: 'department' },
+    { id: 'direct-manager', label: 'Direct Manager', description: 'First-line manager within a department', scope: 'department' },
+    { id: 'safety-coordinator', label: 'Safety Coordinator', description: 'Coordinates EHS activities for a department', scope: 'department' },
+    { id: 'specialist', label: 'Specialist', description: 'Subject matter specialist (quality, environmental, HR, security)', scope: 'department' },
+    { id: 'technician', label: 'Technician', description: 'Front-line technician', scope: 'department' },
+    { id: 'contractor', label: 'Contractor', description: 'External contractor', scope: 'global' }
+];
+
+// 'Site Manager', 'site_manager' and 'site-manager' all name the same role
+export function normalizeRoleId(role) {
+    return String(role || '').trim().toLowerCase().replace(/[\s_]+/g, '-');
+}
+
+export function validateRoleDefinition(definition) {
+    const errors = [];
+
+    if (!definition || typeof definition !== 'object') {
+        return ['Role definition must be an object'];
+    }
+    if (!definition.id || normalizeRoleId(definition.id) !== definition.id) {
+        errors.push('Role id is required and must be lowercase with hyphens (e.g. site-manager)');
+    }
+    if (!definition.label) {
+        errors.push('Role label is required');
+    }
+    if (!ROLE_SCOPES.includes(definition.scope)) {
+        errors.push(`Role scope must be one of: ${ROLE_SCOPES.join(', ')}`);
+    }
+
+    return errors;
+}
+
+export class RoleCatalog {
+    constructor(roles = DEFAULT_ROLES) {
+        this.roles = new Map();
+        roles.forEach(role => this.register(role));
+    }
+
+    register(definition) {
+        const errors = validateRoleDefinition(definition);
+        if (errors.length > 0) {
+            throw new Error(`Invalid role: ${errors.join('; ')}`);
+        }
+
+        const role = {
+            id: definition.id,
+            label: definition.label,
+            description: definition.description || '',
+            scope: definition.scope
+        };
+        this.roles.set(role.id, role);
+        return role;
+    }
+
+    has(id) {
+        return this.roles.has(normalizeRoleId(id));
+    }
+
+    get(id) {
+        return this.roles.get(normalizeRoleId(id)) || null;
+    }
+
+    list() {
+        return Array.from(this.roles.values());
+    }
+
+    remove(id) {
+        return this.roles.delete(normalizeRoleId(id));
+    }
+
+    // Users holding exactly this role, narrowed by the role's scope.
+    // context carries the record's { department, site }.
+    getUsers(users, roleId, context = {}) {
+        const id = normalizeRoleId(roleId);
+        const scope = this.get(id)?.scope || 'global';
+
+        return users.filter(user => {
+            if (normalizeRoleId(user.role) !== id) return false;
+            if (scope === 'department' && context.department) return user.department === context.department;
+            if (scope === 'site' && context.site && user.site) return user.site === context.site;
+            return true;
+        });
+    }
+}
+
+// Shared default instance
+export const roleCatalog = new RoleCatalog();
@@ -0,0 +1,372 @@
+// Rule Evaluator - Single implementation of applicability rule semantics
+// EscalationEngine, TemplateProcessor and DataManager all evaluate rules through this
+// module, so a template means the same thing in the wizard preview, the simulator and
+// the live engine.
+//
+// Operator registry: each operator is registered by name with
+//   label         - text shown in the rule builder
+//   evaluate      - (fieldValue, expectedValue, context) => boolean; context.now is the evaluation time
+//   requiresValue - false for operators that ignore the expected value (isEmpty)
+//   validate      - optional (expectedValue) => error message or null
+//   hint          - optional placeholder describing the expected value format
+// Operators must be null-safe: a missing field never throws and never matches a
+// non-empty expected value.
+//
+// Rule tree: applicability rules are an AST of nodes
+//   { type: 'group', logic: 'AND' | 'OR', children: [node, ...] }
+//   { type: 'not', child: node }
+//   { type: 'condition', field, operator, value }
+// Legacy flat arrays ([{ field, operator, value, logic }]) are migrated by
+// normalizeRules(), keeping their left-to-right meaning: A AND B OR C => (A AND B) OR C.
+
+function isEmptyValue(value) {
+    return value == null || value === '';
+}
+
+function toComparableNumbers(fieldValue, expectedValue) {
+    const numField = Number(fieldValue);
+    const numExpected = Number(expectedValue);
+    if (isNaN(numField) || isNaN(numExpected)) return null;
+    return [numField, numExpected];
+}
+
+// Lists are stored as arrays, or typed into the rule builder as comma-separated text
+function parseList(value) {
+    if (Array.isArray(value)) return value;
+    if (isEmptyValue(value)) return [];
+    return String(value).split(',').map(item => item.trim()).filter(item => item.length > 0);
+}
+
+// Ranges are [min, max] arrays or "min, max" / "min..max" text; bounds are numbers or dates
+function parseRange(value) {
+    const parts = Array.isArray(value) ? value : String(value ?? '').split(/\s*(?:,|\.\.)\s*/);
+    if (parts.length !== 2 || parts.some(isEmptyValue)) return null;
+
+    const numbers = parts.map(Number);
+    if (numbers.every(n => !isNaN(n))) {
+        return { kind: 'number', min: numbers[0], max: numbers[1] };
+    }
+
+    const dates = parts.map(part => new Date(part).getTime());
+    if (dates.every(d => !isNaN(d))) {
+        return { kind: 'date', min: dates[0], max: dates[1] };
+    }
+
+    return null;
+}
+
+// Regular expressions are a bare pattern or /pattern/flags
+function parseRegex(value) {
+    const source = String(value ?? '');
+    const literal = source.match(/^\/(.+)\/([gimsuy]*)$/);
+    return literal ? new RegExp(literal[1], literal[2]) : new RegExp(source);
+}
+
+const WINDOW_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+// Relative date windows: "48h", "last 7d", "next 30m", "2w"; defaults to the past
+function parseDateWindow(value) {
+    const match = String(value ?? '').trim().toLowerCase().match(/^(last|next)?\s*(\d+)\s*([mhdw])$/);
+    if (!match) return null;
+
+    return {
+        direction: match[1] || 'last',
+        durationMs: Number(match[2]) * WINDOW_UNITS[match[3]]
+    };
+}
+
+export class RuleEvaluator {
+    constructor() {
+        this.operators = new Map();
+        this.registerDefaultOperators();
+    }
+
+    registerOperator(name, definition) {
+        if (!name || typeof definition?.evaluate !== 'function') {
+            throw new Error(`Invalid operator definition: ${name}`);
+        }
+
+        this.operators.set(name, {
+            name,
+            label: definition.label || name,
+            evaluate: definition.evaluate,
+            requiresValue: definition.requiresValue !== false,
+            validate: definition.validate || null,
+            hint: definition.hint || 'Value'
+        });
+    }
+
+    registerDefaultOperators() {
+        this.registerOperator('equals', {
+            label: 'Equals',
+            evaluate: (fieldValue, expectedValue) => {
+                if (fieldValue == null) return isEmptyValue(expectedValue);
+                return fieldValue == expectedValue;
+            }
+        });
+
+        this.registerOperator('notEquals', {
+            label: 'Does not equal',
+            evaluate: (fieldValue, expectedValue) => {
+                if (fieldValue == null) return !isEmptyValue(expectedValue);
+                return fieldValue != expectedValue;
+            }
+        });
+
+        this.registerOperator('contains', {
+            label: 'Contains',
+            evaluate: (fieldValue, expectedValue) => {
+                if (fieldValue == null) return isEmptyValue(expectedValue);
+                return String(fieldValue).toLowerCase().includes(String(expectedValue).toLowerCase());
+            }
+        });
+
+        this.registerOperator('greaterThan', {
+            label: 'Greater Than',
+            evaluate: (fieldValue, expectedValue) => {
+                const numbers = toComparableNumbers(fieldValue, expectedValue);
+                return fieldValue != null && !!numbers && numbers[0] > numbers[1];
+            }
+        });
+
+        this.registerOperator('lessThan', {
+            label: 'Less Than',
+            evaluate: (fieldValue, expectedValue) => {
+                const numbers = toComparableNumbers(fieldValue, expectedValue);
+                return fieldValue != null && !!numbers && numbers[0] < numbers[1];
+            }
+        });
+
+        this.registerOperator('in', {
+            label: 'Is one of',
+            hint: 'e.g. Chemistry, Manufacturing',
+            evaluate: (fieldValue, expectedValue) =>
+                fieldValue != null && parseList(expectedValue).some(item => fieldValue == item),
+            validate: (expectedValue) =>
+                parseList(expectedValue).length === 0 ? 'List must contain at least one value' : null
+        });
+
+        this.registerOperator('notIn', {
+            label: 'Is not one of',
+            hint: 'e.g. Resolved, Closed',
+            evaluate: (fieldValue, expectedValue) =>
+                fieldValue == null || !parseList(expectedValue).some(item => fieldValue == item),
+            validate: (expectedValue) =>
+                parseList(expectedValue).length === 0 ? 'List must contain at least one value' : null
+        });
+
+        this.registerOperator('between', {
+            label: 'Between',
+            hint: 'e.g. 1, 5 or 2025-01-01, 2025-03-31',
+            evaluate: (fieldValue, expectedValue) => {
+                const range = parseRange(expectedValue);
+                if (!range || isEmptyValue(fieldValue)) return false;
+
+                const actual = range.kind === 'number' ? Number(fieldValue) : new Date(fieldValue).getTime();
+                return !isNaN(actual) && actual >= range.min && actual <= range.max;
+            },
+            validate: (expectedValue) => {
+                const range = parseRange(expectedValue);
+                if (!range) return 'Range must be two numbers or two dates, e.g. "1, 5"';
+                if (range.min > range.max) return 'Range start must not be after range end';
+                return null;
+            }
+        });
+
+        this.registerOperator('regex', {
+            label: 'Matches pattern',
+            hint: 'e.g. ^INC-2025 or /spill/i',
+            evaluate: (fieldValue, expectedValue) => {
+                if (fieldValue == null) return false;
+                try {
+                    return parseRegex(expectedValue).test(String(fieldValue));
+                } catch (error) {
+                    return false;
+                }
+            },
+            validate: (expectedValue) => {
+                try {
+                    parseRegex(expectedValue);
+                    return null;
+                } catch (error) {
+                    return error.message;
+                }
+            }
+        });
+
+        this.registerOperator('isEmpty', {
+            label: 'Is Empty',
+            requiresValue: false,
+            evaluate: (fieldValue) =>
+                isEmptyValue(fieldValue) || (Array.isArray(fieldValue) && fieldValue.length === 0)
+        });
+
+        this.registerOperator('isNotEmpty', {
+            label: 'Is Not Empty',
+            requiresValue: false,
+            evaluate: (fieldValue) =>
+                !isEmptyValue(fieldValue) && !(Array.isArray(fieldValue) && fieldValue.length === 0)
+        });
+
+        this.registerOperator('dateWithin', {
+            label: 'Date within',
+            hint: 'e.g. last 48h, next 7d',
+            evaluate: (fieldValue, expectedValue, context = {}) => {
+                const dateWindow = parseDateWindow(expectedValue);
+                const date = isEmptyValue(fieldValue) ? NaN : new Date(fieldValue).getTime();
+                if (!dateWindow || isNaN(date)) return false;
+
+                const now = (context.now || new Date()).getTime();
+                return dateWindow.direction === 'next'
+                    ? date >= now && date <= now + dateWindow.durationMs
+                    : date <= now && date >= now - dateWindow.durationMs;
+            },
+            validate: (expectedValue) =>
+                parseDateWindow(expectedValue) ? null : 'Window must look like "last 48h" or "next 7d" (units m, h, d, w)'
+        });
+    }
+
+    hasOperator(name) {
+        return this.operators.has(name);
+    }
+
+    getOperator(name) {
+        return this.operators.get(name);
+    }
+
+    // List operators for dropdowns and validation messages
+    getOperators() {
+        return Array.from(this.operators.values()).map(({ name, label, requiresValue, hint }) => ({
+            name,
+            label,
+            requiresValue,
+            hint
+        }));
+    }
+
+    operatorRequiresValue(name) {
+        return this.operators.get(name)?.requiresValue !== false;
+    }
+
+    // Check a rule's expected value against its operator; returns an error message or null
+    validateRuleValue(operator, expectedValue) {
+        const definition = this.operators.get(operator);
+        if (!definition || !definition.requiresValue) return null;
+
+        if (expectedValue === undefined || expectedValue === null) {
+            return 'Value is required';
+        }
+
+        return definition.validate ? definition.validate(expectedValue) : null;
+    }
+
+    // Evaluate individual rule
+    evaluateRule(operator, fieldValue, expectedValue, context = {}) {
+        const definition = this.operators.get(operator);
+        if (!definition) {
+            console.warn(`Unknown rule operator: ${operator}`);
+            return false;
+        }
+
+        return definition.evaluate(fieldValue, expectedValue, context);
+    }
+
+    // Evaluate applicability rules (tree or legacy flat array)
+    evaluateApplicability(rules, record, context = {}) {
+        return this.evaluateNode(this.normalizeRules(rules), record, context);
+    }
+
+    evaluateNode(node, record, context = {}) {
+        switch (node.type) {
+            case 'group':
+                // An empty group imposes no restriction
+                if (node.children.length === 0) return true;
+                return node.logic === 'OR'
+                    ? node.children.some(child => this.evaluateNode(child, record, context))
+                    : node.children.every(child => this.evaluateNode(child, record, context));
+            case 'not':
+                return !this.evaluateNode(node.child, record, context);
+            case 'condition':
+                return this.evaluateRule(node.operator, this.getNestedValue(record, node.field), node.value, context);
+            default:
+                console.warn(`Unknown rule node type: ${node.type}`);
+                return false;
+        }
+    }
+
+    // Convert any supported rule format into a rule tree with a group at the root
+    normalizeRules(rules) {
+        if (!rules) {
+            return this.createGroup('AND');
+        }
+
+        if (Array.isArray(rules)) {
+            return this.migrateFlatRules(rules);
+        }
+
+        const node = this.normalizeNode(rules);
+        return node.type === 'group' ? node : this.createGroup('AND', [node]);
+    }
+
+    normalizeNode(node) {
+        if (node.type === 'group') {
+            return this.createGroup(node.logic, (node.children || []).map(child => this.normalizeNode(child)));
+        }
+        if (node.type === 'not') {
+            return { type: 'not', child: this.normalizeNode(node.child) };
+        }
+        return this.createCondition(node);
+    }
+
+    // Fold a legacy flat rule array into a tree; each rule's logic joins it to everything before it
+    migrateFlatRules(rules) {
+        if (rules.length === 0) {
+            return this.createGroup('AND');
+        }
+
+        let tree = this.createGroup('AND', [this.createCondition(rules[0])]);
+
+        for (const rule of rules.slice(1)) {
+            const logic = rule.logic === 'OR' ? 'OR' : 'AND';
+            const condition = this.createCondition(rule);
+
+            if (tree.logic === logic || tree.children.length === 1) {
+                tree.logic = logic;
+                tree.children.push(condition);
+            } else {
+                tree = this.createGroup(logic, [tree, condition]);
+            }
+        }
+
+        return tree;
+    }
+
+    createGroup(logic, children = []) {
+        return { type: 'group', logic: logic === 'OR' ? 'OR' : 'AND', children };
+    }
+
+    createCondition(rule) {
+        return { type: 'condition', field: rule.field, operator: rule.operator, value: rule.value };
+    }
+
+    // Flatten a rule tree into its condition leaves, in display order
+    getConditions(rules) {
+        const conditions = [];
+        const walk = node => {
+            if (node.type === 'group') node.children.forEach(walk);
+            else if (node.type === 'not') walk(node.child);
+            else conditions.push(node);
+        };
+        walk(this.normalizeRules(rules));
+        return conditions;
+    }
+
+    // Get nested object value ("location.site"); missing segments yield undefined
+    getNestedValue(obj, path) {
+        if (!path) return undefined;
+        return String(path).split('.').reduce((current, key) => (current == null ? undefined : current[key]), obj);
+    }
+}
+
+// Shared instance used by all consumers
+export const ruleEvaluator = new RuleEvaluator();
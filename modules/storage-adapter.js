@@ -0,0 +1,331 @@
+// Storage Adapters - Persistence for DataManager collections (templates, records, logs, ...)
+// Every adapter exposes the same async interface, keyed by collection name and item id:
+//   get(collection, id), put(collection, id, value), query(collection, filter),
+//   delete(collection, id), clear(collection)
+// `filter` is optional: a predicate function or an object of top-level field values to match.
+// Values must be JSON-serializable; adapters return copies, never live references.
+
+function matchesFilter(value, filter) {
+    if (!filter) return true;
+    if (typeof filter === 'function') return filter(value);
+    return Object.entries(filter).every(([key, expected]) => value?.[key] === expected);
+}
+
+function copy(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// In-memory adapter (default, state is lost on reload)
+export class MemoryStorageAdapter {
+    constructor() {
+        this.collections = new Map();
+    }
+
+    getCollection(collection) {
+        if (!this.collections.has(collection)) {
+            this.collections.set(collection, new Map());
+        }
+        return this.collections.get(collection);
+    }
+
+    async get(collection, id) {
+        return copy(this.getCollection(collection).get(id)) ?? null;
+    }
+
+    async put(collection, id, value) {
+        this.getCollection(collection).set(id, copy(value));
+    }
+
+    async query(collection, filter = null) {
+        return Array.from(this.getCollection(collection).values())
+            .filter(value => matchesFilter(value, filter))
+            .map(copy);
+    }
+
+    async delete(collection, id) {
+        this.getCollection(collection).delete(id);
+    }
+
+    async clear(collection) {
+        this.collections.delete(collection);
+    }
+}
+
+// Browser adapter backed by localStorage; one key per collection, so best for small data sets
+export class LocalStorageAdapter {
+    constructor(prefix = 'escalation-matrix') {
+        this.prefix = prefix;
+    }
+
+    storageKey(collection) {
+        return `${this.prefix}:${collection}`;
+    }
+
+    read(collection) {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey(collection)) || '{}');
+        } catch (error) {
+            console.error(`Failed to read ${collection} from localStorage:`, error);
+            return {};
+        }
+    }
+
+    write(collection, items) {
+        localStorage.setItem(this.storageKey(collection), JSON.stringify(items));
+    }
+
+    async get(collection, id) {
+        return this.read(collection)[id] ?? null;
+    }
+
+    async put(collection, id, value) {
+        const items = this.read(collection);
+        items[id] = copy(value);
+        this.write(collection, items);
+    }
+
+    async query(collection, filter = null) {
+        return Object.values(this.read(collection)).filter(value => matchesFilter(value, filter));
+    }
+
+    async delete(collection, id) {
+        const items = this.read(collection);
+        if (id in items) {
+            delete items[id];
+            this.write(collection, items);
+        }
+    }
+
+    async clear(collection) {
+        localStorage.removeItem(this.storageKey(collection));
+    }
+}
+
+// Browser adapter backed by IndexedDB; all collections share one object store keyed by [collection, id]
+export class IndexedDBStorageAdapter {
+    constructor(dbName = 'escalation-matrix-data', storeName = 'items') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    openDatabase() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.storeName)) {
+                        const store = db.createObjectStore(this.storeName, { keyPath: ['collection', 'id'] });
+                        store.createIndex('collection', 'collection');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async runTransaction(mode, operation) {
+        const db = await this.openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async get(collection, id) {
+        const row = await this.runTransaction('readonly', store => store.get([collection, id]));
+        return row ? row.value : null;
+    }
+
+    async put(collection, id, value) {
+        await this.runTransaction('readwrite', store => store.put({ collection, id, value: copy(value) }));
+    }
+
+    async query(collection, filter = null) {
+        const rows = await this.runTransaction('readonly', store => store.index('collection').getAll(collection));
+        return (rows || []).map(row => row.value).filter(value => matchesFilter(value, filter));
+    }
+
+    async delete(collection, id) {
+        await this.runTransaction('readwrite', store => store.delete([collection, id]));
+    }
+
+    async clear(collection) {
+        await this.runTransaction('readwrite', store =>
+            store.delete(IDBKeyRange.bound([collection], [collection, []]))
+        );
+    }
+}
+
+// Node adapter storing each collection as a JSON file in a directory
+export class FileStorageAdapter {
+    constructor(directory = 'data') {
+        this.directory = directory;
+        this.collections = new Map();
+        this.writeQueues = new Map();
+    }
+
+    async getModules() {
+        if (!this.fs) {
+            this.fs = await import('fs/promises');
+            this.path = await import('path');
+        }
+        return { fs: this.fs, path: this.path };
+    }
+
+    async filePath(collection) {
+        const { path } = await this.getModules();
+        return path.join(this.directory, `${encodeURIComponent(collection)}.json`);
+    }
+
+    async load(collection) {
+        if (this.collections.has(collection)) return this.collections.get(collection);
+
+        const { fs } = await this.getModules();
+        let items = new Map();
+        try {
+            const contents = await fs.readFile(await this.filePath(collection), 'utf8');
+            items = new Map(Object.entries(JSON.parse(contents)));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Failed to read collection ${collection}:`, error);
+            }
+        }
+
+        this.collections.set(collection, items);
+        return items;
+    }
+
+    // Serialize writes per collection so overlapping saves can't interleave partial files
+    async flush(collection) {
+        const { fs } = await this.getModules();
+        const file = await this.filePath(collection);
+        const snapshot = JSON.stringify(Object.fromEntries(this.collections.get(collection) || []), null, 2);
+
+        const queue = (this.writeQueues.get(collection) || Promise.resolve())
+            .then(() => fs.mkdir(this.directory, { recursive: true }))
+            .then(() => fs.writeFile(file, snapshot, 'utf8'))
+            .catch(error => console.error(`Failed to write collection ${collection}:`, error));
+
+        this.writeQueues.set(collection, queue);
+        return queue;
+    }
+
+    async get(collection, id) {
+        const items = await this.load(collection);
+        return copy(items.get(id)) ?? null;
+    }
+
+    async put(collection, id, value) {
+        const items = await this.load(collection);
+        items.set(id, copy(value));
+        await this.flush(collection);
+    }
+
+    async query(collection, filter = null) {
+        const items = await this.load(collection);
+        return Array.from(items.values()).filter(value => matchesFilter(value, filter)).map(copy);
+    }
+
+    async delete(collection, id) {
+        const items = await this.load(collection);
+        if (items.delete(id)) {
+            await this.flush(collection);
+        }
+    }
+
+    async clear(collection) {
+        this.collections.set(collection, new Map());
+        await this.flush(collection);
+    }
+}
+
+// Node adapter backed by SQLite through the built-in node:sqlite module (Node 22.5+)
+export class SqliteStorageAdapter {
+    constructor(filePath = 'escalation-matrix.db') {
+        this.filePath = filePath;
+        this.dbPromise = null;
+    }
+
+    openDatabase() {
+        if (!this.dbPromise) {
+            this.dbPromise = import('node:sqlite').catch(error => {
+                throw new Error(`SQLite storage needs a Node.js version with node:sqlite (22.5+): ${error.message}`);
+            }).then(({ DatabaseSync }) => {
+                const db = new DatabaseSync(this.filePath);
+                db.exec(`CREATE TABLE IF NOT EXISTS items (
+                    collection TEXT NOT NULL,
+                    id TEXT NOT NULL,
+                    value TEXT NOT NULL,
+                    PRIMARY KEY (collection, id)
+                )`);
+                return db;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async get(collection, id) {
+        const db = await this.openDatabase();
+        const row = db.prepare('SELECT value FROM items WHERE collection = ? AND id = ?').get(collection, String(id));
+        return row ? JSON.parse(row.value) : null;
+    }
+
+    async put(collection, id, value) {
+        const db = await this.openDatabase();
+        db.prepare('INSERT OR REPLACE INTO items (collection, id, value) VALUES (?, ?, ?)')
+            .run(collection, String(id), JSON.stringify(value));
+    }
+
+    async query(collection, filter = null) {
+        const db = await this.openDatabase();
+        return db.prepare('SELECT value FROM items WHERE collection = ? ORDER BY rowid').all(collection)
+            .map(row => JSON.parse(row.value))
+            .filter(value => matchesFilter(value, filter));
+    }
+
+    async delete(collection, id) {
+        const db = await this.openDatabase();
+        db.prepare('DELETE FROM items WHERE collection = ? AND id = ?').run(collection, String(id));
+    }
+
+    async clear(collection) {
+        const db = await this.openDatabase();
+        db.prepare('DELETE FROM items WHERE collection = ?').run(collection);
+    }
+}
+
+// Pick a storage adapter by type, or the best one available in the current runtime
+export function createStorageAdapter(options = {}) {
+    switch (options.type) {
+        case 'memory':
+            return new MemoryStorageAdapter();
+        case 'local-storage':
+            return new LocalStorageAdapter(options.prefix);
+        case 'indexeddb':
+            return new IndexedDBStorageAdapter(options.dbName, options.storeName);
+        case 'file':
+            return new FileStorageAdapter(options.directory);
+        case 'sqlite':
+            return new SqliteStorageAdapter(options.filePath);
+    }
+
+    if (typeof indexedDB !== 'undefined') {
+        return new IndexedDBStorageAdapter(options.dbName, options.storeName);
+    }
+
+    if (typeof localStorage !== 'undefined') {
+        return new LocalStorageAdapter(options.prefix);
+    }
+
+    return new MemoryStorageAdapter();
+}
@@ -0,0 +1,68 @@
+// Template Diff - Structural comparison of two escalation templates
+// Changes are reported per leaf path, e.g. 'triggers[1].offset' or 'notificationTemplates.email.subject'.
+// Bookkeeping fields that change on every save or export, and lifecycle state, are ignored.
+import { TEMPLATE_LIFECYCLE_FIELDS } from './template-lifecycle.js';
+
+export const IGNORED_TEMPLATE_FIELDS = ['createdAt', 'updatedAt', 'exportedAt', 'version', 'currentVersion', ...TEMPLATE_LIFECYCLE_FIELDS];
+
+function isObject(value) {
+    return value !== null && typeof value === 'object';
+}
+
+function joinPath(base, key, isIndex) {
+    if (isIndex) return `${base}[${key}]`;
+    return base ? `${base}.${key}` : key;
+}
+
+function collectChanges(before, after, path, changes) {
+    if (Array.isArray(before) && Array.isArray(after)) {
+        for (let i = 0; i < Math.max(before.length, after.length); i++) {
+            collectChanges(before[i], after[i], joinPath(path, i, true), changes);
+        }
+        return;
+    }
+
+    if (isObject(before) && isObject(after) && !Array.isArray(before) && !Array.isArray(after)) {
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        keys.forEach(key => collectChanges(before[key], after[key], joinPath(path, key), changes));
+        return;
+    }
+
+    if (before === undefined && after === undefined) return;
+    if (before === undefined) {
+        changes.push({ path, type: 'added', to: after });
+    } else if (after === undefined) {
+        changes.push({ path, type: 'removed', from: before });
+    } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+        changes.push({ path, type: 'changed', from: before, to: after });
+    }
+}
+
+// List the differences between two templates; empty when they are equivalent
+export function diffTemplates(before, after, options = {}) {
+    const ignored = options.ignore || IGNORED_TEMPLATE_FIELDS;
+    const strip = template => Object.fromEntries(
+        Object.entries(template || {}).filter(([key]) => !ignored.includes(key))
+    );
+
+    const changes = [];
+    collectChanges(strip(before), strip(after), '', changes);
+    return changes;
+}
+
+// One line per change: '+ path: value', '- path: value', '~ path: old -> new'
+export function formatTemplateDiff(changes) {
+    if (changes.length === 0) return 'No differences';
+
+    const show = value => JSON.stringify(value);
+    return changes.map(change => {
+        switch (change.type) {
+            case 'added':
+                return `+ ${change.path}: ${show(change.to)}`;
+            case 'removed':
+                return `- ${change.path}: ${show(change.from)}`;
+            default:
+                return `~ ${change.path}: ${show(change.from)} -> ${show(change.to)}`;
+        }
+    }).join('\n');
+}
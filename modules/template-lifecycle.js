@@ -0,0 +1,46 @@
+// Template Lifecycle - Draft → In Review → Published → Retired
+// A template's status describes its latest version. `publishedVersion` is the version the
+// escalation engine runs; it stays live while a newer draft of the template is edited and
+// reviewed, and is cleared when the template is retired.
+
+export const TEMPLATE_STATUSES = {
+    draft: { label: 'Draft', badge: 'secondary' },
+    'in-review': { label: 'In Review', badge: 'warning' },
+    published: { label: 'Published', badge: 'success' },
+    retired: { label: 'Retired', badge: 'error' }
+};
+
+// Fields owned by the lifecycle: saves never take them from the caller and versions don't snapshot them
+export const TEMPLATE_LIFECYCLE_FIELDS = ['status', 'active', 'publishedVersion', 'publishedAt', 'review', 'lifecycleHistory'];
+
+// Status changes each lifecycle action allows
+export const LIFECYCLE_ACTIONS = {
+    submit: { from: ['draft', 'retired'], to: 'in-review', label: 'Submitted for review' },
+    approve: { from: ['in-review'], to: 'published', label: 'Approved and published' },
+    reject: { from: ['in-review'], to: 'draft', label: 'Returned to draft' },
+    retire: { from: ['draft', 'in-review', 'published'], to: 'retired', label: 'Retired' }
+};
+
+// Templates saved before the lifecycle existed are published when active, drafts otherwise
+export function getTemplateStatus(template) {
+    if (template?.status && TEMPLATE_STATUSES[template.status]) return template.status;
+    return template?.active ? 'published' : 'draft';
+}
+
+export function getStatusLabel(status) {
+    return TEMPLATE_STATUSES[status]?.label || status;
+}
+
+// Throws when `action` is not allowed from the template's current status
+export function assertLifecycleAction(template, action) {
+    const definition = LIFECYCLE_ACTIONS[action];
+    if (!definition) {
+        throw new Error(`Unknown lifecycle action: ${action}`);
+    }
+
+    const status = getTemplateStatus(template);
+    if (!definition.from.includes(status)) {
+        throw new Error(`Cannot ${action} template ${template.id}: it is ${getStatusLabel(status).toLowerCase()}`);
+    }
+    return definition;
+}
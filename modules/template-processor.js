@@ -1,7 +1,23 @@
 // Template Processor - Handles template validation, processing, and rule evaluation
+import { ruleEvaluator } from './rule-evaluator.js';
+import { moduleRegistry } from './module-registry.js';
+import { businessCalendarRegistry, DAY_MODES } from './business-calendar.js';
+import { validateEventTrigger, describeEventTrigger, matchesEventTrigger } from './record-events.js';
+import { getTriggerOffsetMinutes, validateTriggerOffset, describeTriggerOffset, MINUTES_PER_DAY } from './trigger-offset.js';
+import { isRelativeRole, validateRelativeRole, describeRole } from './org-chart.js';
+import { roleCatalog } from './role-catalog.js';
+import { onCallScheduleRegistry } from './on-call.js';
+
 export class TemplateProcessor {
-    constructor(dataManager) {
+    constructor(dataManager, options = {}) {
         this.dataManager = dataManager;
+        this.ruleEvaluator = options.ruleEvaluator || ruleEvaluator;
+        this.moduleRegistry = options.moduleRegistry || moduleRegistry;
+        this.fieldSchemaRegistry = options.fieldSchemaRegistry || this.moduleRegistry.fieldSchemaRegistry;
+        this.calendarRegistry = options.calendarRegistry || businessCalendarRegistry;
+        this.roleCatalog = options.roleCatalog || dataManager?.roleCatalog || roleCatalog;
+        this.onCallRegistry = options.onCallRegistry || dataManager?.onCallRegistry || onCallScheduleRegistry;
+        this.baseUrl = options.baseUrl || (typeof window !== 'undefined' ? window.location.origin : 'http://localhost');
     }
 
     // Validate template structure and rules
@@ -17,7 +33,7 @@ export class TemplateProcessor {
             errors.push('Template name contains invalid characters');
         }
 
-        if (!template.module || !['incidents', 'work-permits', 'audits'].includes(template.module)) {
+        if (!template.module || !this.moduleRegistry.hasModule(template.module)) {
             errors.push('Valid module type is required');
         }
 
@@ -28,23 +44,7 @@ export class TemplateProcessor {
 
         // Validate applicability rules
         if (template.applicabilityRules) {
-            template.applicabilityRules.forEach((rule, index) => {
-                if (!rule.field || rule.field.trim().length === 0) {
-                    errors.push(`Rule ${index + 1}: Field is required`);
-                }
-
-                if (!rule.operator || !['equals', 'contains', 'greaterThan', 'lessThan'].includes(rule.operator)) {
-                    errors.push(`Rule ${index + 1}: Valid operator is required`);
-                }
-
-                if (rule.value === undefined || rule.value === null) {
-                    errors.push(`Rule ${index + 1}: Value is required`);
-                }
-
-                if (rule.logic && !['AND', 'OR'].includes(rule.logic)) {
-                    errors.push(`Rule ${index + 1}: Logic must be AND or OR`);
-                }
-            });
+            errors.push(...this.validateRules(template.applicabilityRules));
         }
 
         // Validate hierarchy
@@ -56,10 +56,16 @@ export class TemplateProcessor {
                     errors.push(`Hierarchy level ${index + 1}: Valid level number is required`);
                 }
 
-                if ((!level.roles || level.roles.length === 0) && !level.fallbackEmail) {
-                    errors.push(`Hierarchy level ${index + 1}: Roles or fallback email is required`);
+                if ((!level.roles || level.roles.length === 0) &&
+                    (!level.onCallSchedules || level.onCallSchedules.length === 0) && !level.fallbackEmail) {
+                    errors.push(`Hierarchy level ${index + 1}: Roles, on-call schedule or fallback email is required`);
                 }
 
+                (level.roles || []).filter(isRelativeRole).forEach(role => {
+                    const roleError = validateRelativeRole(role);
+                    if (roleError) errors.push(`Hierarchy level ${index + 1}: ${roleError}`);
+                });
+
                 // Validate fallback email
                 if (level.fallbackEmail) {
                     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -87,17 +93,38 @@ export class TemplateProcessor {
                     if (!trigger.referenceField) {
                         errors.push(`Trigger ${index + 1}: Reference field is required for time-based triggers`);
                     }
-                } else if (trigger.type === 'event-based') {
-                    if (!trigger.field) {
-                        errors.push(`Trigger ${index + 1}: Field is required for event-based triggers`);
+                    if (trigger.dayMode !== undefined && !DAY_MODES.includes(trigger.dayMode)) {
+                        errors.push(`Trigger ${index + 1}: Day mode must be one of ${DAY_MODES.join(', ')}`);
                     }
-                    if (trigger.value === undefined) {
-                        errors.push(`Trigger ${index + 1}: Value is required for event-based triggers`);
+                    const offsetError = validateTriggerOffset(trigger);
+                    if (offsetError) {
+                        errors.push(`Trigger ${index + 1}: ${offsetError}`);
                     }
+                } else if (trigger.type === 'event-based') {
+                    validateEventTrigger(trigger).forEach(error => {
+                        errors.push(`Trigger ${index + 1}: ${error}`);
+                    });
+                }
+
+                if (trigger.calendarId && !this.calendarRegistry.has(trigger.calendarId)) {
+                    errors.push(`Trigger ${index + 1}: Unknown business calendar "${trigger.calendarId}"`);
                 }
             });
         }
 
+        if (template.calendarId && !this.calendarRegistry.has(template.calendarId)) {
+            errors.push(`Unknown business calendar "${template.calendarId}"`);
+        }
+
+        // Rules and triggers must reference fields the module actually has
+        let ruleConditions = [];
+        try {
+            ruleConditions = this.ruleEvaluator.getConditions(template.applicabilityRules);
+        } catch (error) {
+            // Malformed rule trees are already reported by validateRules()
+        }
+        errors.push(...this.fieldSchemaRegistry.validateTemplateFields(template, ruleConditions));
+
         // Validate notification templates
         if (!template.notificationTemplates) {
             errors.push('Notification templates are required');
@@ -132,6 +159,64 @@ export class TemplateProcessor {
         };
     }
 
+    // Validate applicability rules, either a rule tree or a legacy flat array
+    validateRules(rules) {
+        const errors = [];
+        let conditionIndex = 0;
+
+        const validateCondition = (rule) => {
+            conditionIndex++;
+
+            if (!rule.field || String(rule.field).trim().length === 0) {
+                errors.push(`Rule ${conditionIndex}: Field is required`);
+            }
+
+            if (!rule.operator || !this.ruleEvaluator.hasOperator(rule.operator)) {
+                errors.push(`Rule ${conditionIndex}: Valid operator is required`);
+            } else {
+                const valueError = this.ruleEvaluator.validateRuleValue(rule.operator, rule.value);
+                if (valueError) {
+                    errors.push(`Rule ${conditionIndex}: ${valueError}`);
+                }
+            }
+
+            if (rule.logic && !['AND', 'OR'].includes(rule.logic)) {
+                errors.push(`Rule ${conditionIndex}: Logic must be AND or OR`);
+            }
+        };
+
+        const validateNode = (node) => {
+            if (!node || typeof node !== 'object') {
+                errors.push('Rules: Invalid rule node');
+            } else if (node.type === 'group') {
+                if (!['AND', 'OR'].includes(node.logic)) {
+                    errors.push('Rules: Group logic must be AND or OR');
+                }
+                if (!Array.isArray(node.children)) {
+                    errors.push('Rules: Group must contain a list of rules');
+                } else {
+                    node.children.forEach(validateNode);
+                }
+            } else if (node.type === 'not') {
+                if (!node.child) {
+                    errors.push('Rules: NOT must wrap a rule or group');
+                } else {
+                    validateNode(node.child);
+                }
+            } else {
+                validateCondition(node);
+            }
+        };
+
+        if (Array.isArray(rules)) {
+            rules.forEach(validateCondition);
+        } else {
+            validateNode(rules);
+        }
+
+        return errors;
+    }
+
     // Validate chronological logic for time-based triggers
     validateTriggerChronology(triggers) {
         const errors = [];
@@ -154,10 +239,9 @@ export class TemplateProcessor {
                 const current = group[i];
                 const next = group[i+1];
 
-                // Calculate effective offsets
-                // daysBefore is negative offset, daysAfter is positive offset
-                const currentOffset = (current.daysAfter || 0) - (current.daysBefore || 0);
-                const nextOffset = (next.daysAfter || 0) - (next.daysBefore || 0);
+                // Calculate effective offsets in minutes (negative = before the reference date)
+                const currentOffset = this.getComparableOffsetMinutes(current);
+                const nextOffset = this.getComparableOffsetMinutes(next);
 
                 if (currentOffset > nextOffset) {
                     errors.push(`Logical Conflict: Level ${next.level} triggers before Level ${current.level} for field '${refField}'. Please adjust the timing.`);
@@ -168,6 +252,17 @@ export class TemplateProcessor {
         return errors;
     }
 
+    // Approximate a trigger's offset in elapsed minutes so working-day and calendar-day
+    // triggers on the same field can be ordered (5 working days ~ 7 calendar days).
+    // Only the whole-day part of a working-day offset is stretched.
+    getComparableOffsetMinutes(trigger) {
+        const offset = getTriggerOffsetMinutes(trigger);
+        if (trigger.dayMode !== 'working') return offset;
+
+        const days = Math.trunc(offset / MINUTES_PER_DAY);
+        return days * MINUTES_PER_DAY * 7 / 5 + (offset - days * MINUTES_PER_DAY);
+    }
+
     // Process template for a specific record
     async processTemplate(template, record) {
         const result = {
@@ -177,7 +272,7 @@ export class TemplateProcessor {
         };
 
         // Check applicability
-        result.applicable = this.evaluateApplicability(template.applicabilityRules, record);
+        result.applicable = this.ruleEvaluator.evaluateApplicability(template.applicabilityRules, record);
 
         if (!result.applicable) {
             return result;
@@ -185,7 +280,7 @@ export class TemplateProcessor {
 
         // Evaluate triggers
         const now = new Date();
-        result.triggeredLevels = this.evaluateTriggers(template.triggers, record, now);
+        result.triggeredLevels = this.evaluateTriggers(template.triggers, record, now, template);
 
         // Generate notifications for triggered levels
         for (const level of result.triggeredLevels) {
@@ -196,59 +291,12 @@ export class TemplateProcessor {
         return result;
     }
 
-    // Evaluate applicability rules
-    evaluateApplicability(rules, record) {
-        if (!rules || rules.length === 0) {
-            return true; // No rules means always applicable
-        }
-
-        let result = true; // Default for AND logic
-
-        for (const rule of rules) {
-            const fieldValue = this.getNestedValue(record, rule.field);
-            const ruleResult = this.evaluateRule(rule.operator, fieldValue, rule.value);
-
-            if (rule.logic === 'OR') {
-                result = result || ruleResult;
-            } else {
-                result = result && ruleResult;
-            }
-        }
-
-        return result;
-    }
-
-    // Evaluate individual rule
-    evaluateRule(operator, fieldValue, expectedValue) {
-        // Handle null/undefined values
-        if (fieldValue == null) {
-            return expectedValue == null || expectedValue === '';
-        }
-
-        switch (operator) {
-            case 'equals':
-                return fieldValue == expectedValue;
-            case 'contains':
-                return String(fieldValue).toLowerCase().includes(String(expectedValue).toLowerCase());
-            case 'greaterThan':
-                const numField = Number(fieldValue);
-                const numExpected = Number(expectedValue);
-                return !isNaN(numField) && !isNaN(numExpected) && numField > numExpected;
-            case 'lessThan':
-                const numField2 = Number(fieldValue);
-                const numExpected2 = Number(expectedValue);
-                return !isNaN(numField2) && !isNaN(numExpected2) && numField2 < numExpected2;
-            default:
-                return false;
-        }
-    }
-
     // Evaluate triggers
-    evaluateTriggers(triggers, record, now) {
+    evaluateTriggers(triggers, record, now, template = null) {
         const triggeredLevels = [];
 
         for (const trigger of triggers) {
-            if (this.evaluateTrigger(trigger, record, now)) {
+            if (this.evaluateTrigger(trigger, record, now, template)) {
                 if (!triggeredLevels.includes(trigger.level)) {
                     triggeredLevels.push(trigger.level);
                 }
@@ -259,9 +307,9 @@ export class TemplateProcessor {
     }
 
     // Evaluate individual trigger
-    evaluateTrigger(trigger, record, now) {
+    evaluateTrigger(trigger, record, now, template = null) {
         if (trigger.type === 'time-based') {
-            return this.evaluateTimeTrigger(trigger, record, now);
+            return this.evaluateTimeTrigger(trigger, record, now, template);
         } else if (trigger.type === 'event-based') {
             return this.evaluateEventTrigger(trigger, record, now);
         }
@@ -269,29 +317,22 @@ export class TemplateProcessor {
     }
 
     // Evaluate time-based trigger
-    evaluateTimeTrigger(trigger, record, now) {
-        const referenceDate = new Date(record[trigger.referenceField]);
+    evaluateTimeTrigger(trigger, record, now, template = null) {
+        const referenceDate = new Date(this.ruleEvaluator.getNestedValue(record, trigger.referenceField));
 
         if (isNaN(referenceDate.getTime())) {
             return false; // Invalid date
         }
 
-        const daysDiff = Math.floor((now - referenceDate) / (1000 * 60 * 60 * 24));
-
-        // Handle future and past reference dates differently
-        if (referenceDate > now) {
-            // Future reference date: trigger when within daysBefore period
-            return daysDiff <= -(trigger.daysBefore || 0);
-        } else {
-            // Past reference date: trigger when daysAfter period has passed
-            return daysDiff >= (trigger.daysAfter || 0);
-        }
+        // Due once the offset from the reference date is reached (minute precision)
+        const calendar = this.calendarRegistry.get(trigger.calendarId || template?.calendarId);
+        return now >= calendar.getTriggerDate(trigger, referenceDate);
     }
 
-    // Evaluate event-based trigger
-    evaluateEventTrigger(trigger, record, now) {
-        const fieldValue = this.getNestedValue(record, trigger.field);
-        return fieldValue === trigger.value;
+    // Evaluate event-based trigger against a record change event; without an event
+    // nothing has happened to the record, so it is not met
+    evaluateEventTrigger(trigger, record, now, event = null) {
+        return matchesEventTrigger(trigger, event);
     }
 
     // Generate notification content
@@ -321,8 +362,8 @@ export class TemplateProcessor {
 
     // Interpolate template variables
     interpolate(template, data) {
-        return template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-            const value = this.getNestedValue(data, key);
+        return template.replace(/\{\{([\w.]+)\}\}/g, (match, key) => {
+            const value = this.ruleEvaluator.getNestedValue(data, key);
             return value != null ? String(value) : match;
         });
     }
@@ -330,12 +371,7 @@ export class TemplateProcessor {
     // Generate action URL for record access
     generateActionUrl(record) {
         // In a real system, this would generate a proper URL to the EHS system
-        return `${window.location.origin}/record/${record.id}`;
-    }
-
-    // Get nested object value
-    getNestedValue(obj, path) {
-        return path.split('.').reduce((current, key) => current && current[key], obj);
+        return `${this.baseUrl}/record/${record.id}`;
     }
 
     // Create template preview
@@ -362,17 +398,33 @@ export class TemplateProcessor {
         return preview;
     }
 
-    // Summarize rules for display
+    // Summarize rules for display, parenthesising nested groups
     summarizeRules(rules) {
-        if (!rules || rules.length === 0) {
-            return 'Always applicable';
+        const tree = this.ruleEvaluator.normalizeRules(rules);
+        const summary = this.summarizeRuleNode(tree, true);
+
+        return summary || 'Always applicable';
+    }
+
+    summarizeRuleNode(node, isOutermost = false) {
+        if (node.type === 'not') {
+            const inner = this.summarizeRuleNode(node.child, true);
+            return inner ? `NOT (${inner})` : '';
+        }
+
+        if (node.type === 'group') {
+            const parts = node.children.map(child => this.summarizeRuleNode(child)).filter(Boolean);
+            if (parts.length === 0) return '';
+
+            const joined = parts.join(` ${node.logic} `);
+            return isOutermost || parts.length === 1 ? joined : `(${joined})`;
         }
 
-        const summaries = rules.map(rule =>
-            `${rule.field} ${rule.operator} "${rule.value}"`
-        );
+        if (!this.ruleEvaluator.operatorRequiresValue(node.operator)) {
+            return `${node.field} ${node.operator}`;
+        }
 
-        return summaries.join(` ${rules[0].logic || 'AND'} `);
+        return `${node.field} ${node.operator} "${node.value}"`;
     }
 
     // Summarize hierarchy for display
@@ -381,9 +433,13 @@ export class TemplateProcessor {
             return 'No hierarchy defined';
         }
 
-        return hierarchy.map(level =>
-            `Level ${level.level}: ${level.roles ? level.roles.join(', ') : 'Fallback: ' + level.fallbackEmail}`
-        ).join('; ');
+        return hierarchy.map(level => {
+            const recipients = [
+                ...(level.roles || []).map(role => this.roleCatalog.get(role)?.label || describeRole(role)),
+                ...(level.onCallSchedules || []).map(id => `On call: ${this.onCallRegistry.get(id)?.name || id}`)
+            ];
+            return `Level ${level.level}: ${recipients.length > 0 ? recipients.join(', ') : 'Fallback: ' + level.fallbackEmail}`;
+        }).join('; ');
     }
 
     // Summarize triggers for display
@@ -394,13 +450,66 @@ export class TemplateProcessor {
 
         return triggers.map(trigger => {
             if (trigger.type === 'time-based') {
-                return `Time: ${trigger.daysBefore || 0} days before ${trigger.referenceField}`;
+                return `Time: ${describeTriggerOffset(trigger)}`;
             } else {
-                return `Event: ${trigger.field} = "${trigger.value}"`;
+                return `Event: ${describeEventTrigger(trigger)}`;
             }
         }).join('; ');
     }
 
+    // Non-fatal problems worth fixing: unknown placeholders, roles and on-call schedules,
+    // triggers for levels nobody is on
+    lintTemplate(template) {
+        const warnings = [];
+        const placeholders = this.fieldSchemaRegistry.hasModule(template.module)
+            ? this.fieldSchemaRegistry.getPlaceholders(template.module)
+            : null;
+
+        const checkPlaceholders = (text, label) => {
+            if (!placeholders || typeof text !== 'string') return;
+            for (const [, key] of text.matchAll(/\{\{([\w.]+)\}\}/g)) {
+                if (!placeholders.includes(key)) {
+                    warnings.push(`${label}: Unknown placeholder {{${key}}}`);
+                }
+            }
+        };
+
+        const notifications = template.notificationTemplates || {};
+        checkPlaceholders(notifications.email?.subject, 'Email subject');
+        checkPlaceholders(notifications.email?.body, 'Email body');
+        checkPlaceholders(notifications.sms, 'SMS');
+
+        // Roles match users exactly, so a role outside the catalog usually means a typo
+        (template.hierarchy || []).forEach(level => {
+            (level.roles || []).forEach(role => {
+                if (!isRelativeRole(role) && !this.roleCatalog.has(role)) {
+                    warnings.push(`Hierarchy level ${level.level}: Role '${role}' is not in the role catalog`);
+                }
+            });
+
+            // Schedules are runtime configuration (the CLI only loads them with --config), so an
+            // unknown one is flagged the same way as an unknown role rather than rejected
+            (level.onCallSchedules || []).forEach(scheduleId => {
+                if (!this.onCallRegistry.has(scheduleId)) {
+                    warnings.push(`Hierarchy level ${level.level}: Unknown on-call schedule '${scheduleId}'`);
+                }
+            });
+        });
+
+        const hierarchyLevels = (template.hierarchy || []).map(h => h.level);
+        (template.triggers || []).forEach((trigger, index) => {
+            if (trigger.level && !hierarchyLevels.includes(trigger.level)) {
+                warnings.push(`Trigger ${index + 1}: Level ${trigger.level} has no hierarchy entry, so nobody is notified`);
+            }
+        });
+
+        if (!template.description || template.description.trim().length === 0) {
+            warnings.push('Template has no description');
+        }
+
+        return warnings;
+    }
+
     // Clone template for duplication
     cloneTemplate(template) {
         const cloned = JSON.parse(JSON.stringify(template));
@@ -436,6 +545,9 @@ export class TemplateProcessor {
             delete template.exportedAt;
             delete template.version;
 
+            // Older exports carry flat rule arrays
+            template.applicabilityRules = this.ruleEvaluator.normalizeRules(template.applicabilityRules);
+
             return template;
         } catch (error) {
             throw new Error('Failed to import template: ' + error.message);
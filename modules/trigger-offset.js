@@ -0,0 +1,84 @@
+// Trigger Offsets - Minute-precision offsets for time-based triggers
+// A trigger's offset from its reference field can be given as
+//   offsetMinutes - signed minutes (negative = before the reference date)
+//   offset        - signed ISO 8601 duration, e.g. 'PT2H', '-P5D', 'P1DT4H30M'
+//   daysBefore / daysAfter - legacy whole-day offsets
+// The first one present wins.
+
+export const MINUTES_PER_HOUR = 60;
+export const MINUTES_PER_DAY = 24 * MINUTES_PER_HOUR;
+
+// Minutes per unit offered by the trigger builder
+export const OFFSET_UNIT_MINUTES = {
+    minutes: 1,
+    hours: MINUTES_PER_HOUR,
+    days: MINUTES_PER_DAY,
+    'working-days': MINUTES_PER_DAY,
+    weeks: 7 * MINUTES_PER_DAY
+};
+
+const ISO_DURATION = /^([+-])?P(?:(\d+(?:\.\d+)?)W)?(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?)?$/i;
+
+// Parse a signed ISO 8601 duration into whole minutes; null when invalid
+export function parseDuration(value) {
+    const match = String(value ?? '').trim().match(ISO_DURATION);
+    if (!match || !/\d/.test(value) || /T$/i.test(String(value).trim())) return null;
+
+    const [, sign, weeks, days, hours, minutes] = match;
+    const total = (Number(weeks) || 0) * 7 * MINUTES_PER_DAY +
+        (Number(days) || 0) * MINUTES_PER_DAY +
+        (Number(hours) || 0) * MINUTES_PER_HOUR +
+        (Number(minutes) || 0);
+
+    return Math.round(sign === '-' ? -total : total);
+}
+
+// Signed offset of a trigger in minutes, honouring the supported formats
+export function getTriggerOffsetMinutes(trigger) {
+    if (typeof trigger.offsetMinutes === 'number' && !isNaN(trigger.offsetMinutes)) {
+        return Math.round(trigger.offsetMinutes);
+    }
+
+    if (trigger.offset !== undefined && trigger.offset !== null && trigger.offset !== '') {
+        return parseDuration(trigger.offset) ?? 0;
+    }
+
+    return ((trigger.daysAfter || 0) - (trigger.daysBefore || 0)) * MINUTES_PER_DAY;
+}
+
+// Returns an error message for an unusable offset, or null
+export function validateTriggerOffset(trigger) {
+    if (trigger.offsetMinutes !== undefined && (typeof trigger.offsetMinutes !== 'number' || isNaN(trigger.offsetMinutes))) {
+        return 'Offset minutes must be a number';
+    }
+
+    if (trigger.offset !== undefined && trigger.offset !== null && trigger.offset !== '' && parseDuration(trigger.offset) === null) {
+        return `Offset "${trigger.offset}" is not a valid ISO 8601 duration (e.g. PT2H, -P5D)`;
+    }
+
+    return null;
+}
+
+// Human readable magnitude, e.g. 1570 => '1 day 2 hours 10 minutes'
+export function describeMinutes(totalMinutes, dayUnit = 'day') {
+    let remaining = Math.abs(totalMinutes);
+    const days = Math.floor(remaining / MINUTES_PER_DAY);
+    remaining -= days * MINUTES_PER_DAY;
+    const hours = Math.floor(remaining / MINUTES_PER_HOUR);
+    const minutes = remaining - hours * MINUTES_PER_HOUR;
+
+    const parts = [];
+    if (days) parts.push(`${days} ${dayUnit}${days === 1 ? '' : 's'}`);
+    if (hours) parts.push(`${hours} hour${hours === 1 ? '' : 's'}`);
+    if (minutes) parts.push(`${minutes} minute${minutes === 1 ? '' : 's'}`);
+    return parts.length > 0 ? parts.join(' ') : '0 minutes';
+}
+
+// e.g. '2 hours after createdDate', '5 working days before dueDate', 'On dueDate'
+export function describeTriggerOffset(trigger) {
+    const minutes = getTriggerOffsetMinutes(trigger);
+    if (minutes === 0) return `On ${trigger.referenceField}`;
+
+    const dayUnit = trigger.dayMode === 'working' ? 'working day' : 'day';
+    return `${describeMinutes(minutes, dayUnit)} ${minutes < 0 ? 'before' : 'after'} ${trigger.referenceField}`;
+}
@@ -0,0 +1,65 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { applyDelegation, describeDeliveries, findAvailableDelegate, getActiveAbsence, validateAbsences } from '../modules/availability.js';
+
+const AT = new Date('2026-03-04T12:00:00Z');
+const AWAY = { start: '2026-03-02T00:00:00Z', end: '2026-03-06T00:00:00Z', reason: 'Training' };
+
+function createUsers() {
+    return [
+        { id: 'user-1', name: 'Ana Ortiz', email: 'ana@example.com', absences: [{ ...AWAY, delegateId: 'user-2' }] },
+        { id: 'user-2', name: 'Ben Cole', email: 'ben@example.com' },
+        { id: 'user-3', name: 'Cy Park', email: 'cy@example.com', delegateId: 'user-2', absences: [AWAY] },
+        { id: 'user-4', name: 'Di Shaw', email: 'di@example.com', delegateId: 'user-1', absences: [AWAY] },
+        { id: 'user-5', name: 'Ed Lane', email: 'ed@example.com', absences: [AWAY] }
+    ];
+}
+
+test('absences cover their window, with date-only ends lasting the whole day', () => {
+    const [ana] = createUsers();
+
+    assert.equal(getActiveAbsence(ana, AT).reason, 'Training');
+    assert.equal(getActiveAbsence(ana, new Date('2026-03-07T12:00:00Z')), null);
+    assert.ok(getActiveAbsence({ absences: [{ start: '2026-03-04', end: '2026-03-04' }] }, new Date(2026, 2, 4, 23, 30)));
+
+    assert.deepEqual(validateAbsences([AWAY, { start: 'soon', end: '2026-03-06' }, { start: '2026-03-06', end: '2026-03-02' }]), [
+        'Absence 2: start and end must be valid dates',
+        'Absence 3: end is before start'
+    ]);
+});
+
+test('findAvailableDelegate follows delegates who are also away and reports dead ends', () => {
+    const users = createUsers();
+
+    assert.equal(findAvailableDelegate(users[3], users, AT).delegate.id, 'user-2');
+    assert.deepEqual(findAvailableDelegate(users[4], users, AT), { delegate: null, reason: 'Ed Lane is out of office and has no delegate' });
+
+    const looping = users.map(user => user.id === 'user-1' ? { ...user, absences: [{ ...AWAY, delegateId: 'user-4' }] } : user);
+    assert.deepEqual(findAvailableDelegate(looping[3], looping, AT), { delegate: null, reason: 'delegates of Di Shaw loop back to Di Shaw' });
+});
+
+test('applyDelegation merges everyone a delegate stands in for into one recipient', () => {
+    const users = createUsers();
+    const { recipients, warnings } = applyDelegation([users[0], users[1], users[2], { email: 'safety@example.com' }], users, AT);
+
+    assert.deepEqual(warnings, []);
+    assert.deepEqual(recipients.map(recipient => recipient.id || recipient.email), ['user-2', 'safety@example.com']);
+    assert.deepEqual(recipients[0].onBehalfOf.map(person => person.id), ['user-1', 'user-2', 'user-3']);
+    assert.equal(recipients[0].absenceReason, 'Training');
+
+    assert.deepEqual(describeDeliveries(recipients), [
+        { intendedRecipient: 'ana@example.com', actualRecipient: 'ben@example.com', delegated: true },
+        { intendedRecipient: 'ben@example.com', actualRecipient: 'ben@example.com', delegated: false },
+        { intendedRecipient: 'cy@example.com', actualRecipient: 'ben@example.com', delegated: true },
+        { intendedRecipient: 'safety@example.com', actualRecipient: 'safety@example.com', delegated: false }
+    ]);
+});
+
+test('applyDelegation keeps a recipient nobody can stand in for and warns about it', () => {
+    const users = createUsers();
+    const { recipients, warnings } = applyDelegation([users[4]], users, AT);
+
+    assert.deepEqual(recipients.map(recipient => recipient.id), ['user-5']);
+    assert.equal(recipients[0].onBehalfOf, undefined);
+    assert.deepEqual(warnings, ['Ed Lane is out of office and has no delegate; notifying them anyway']);
+});
@@ -0,0 +1,83 @@
+import test, { mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { BusinessCalendar, BusinessCalendarRegistry } from '../modules/business-calendar.js';
+import { DataManager } from '../modules/data-manager.js';
+
+mock.method(console, 'log', () => {});
+
+const HOUSTON = {
+    id: 'plant-houston',
+    name: 'Houston Plant',
+    timezone: 'America/Chicago',
+    workingDays: [1, 2, 3, 4, 5],
+    hours: { start: '07:00', end: '15:30' },
+    holidays: [{ date: '2026-07-03', name: 'Independence Day (observed)' }]
+};
+
+test('isBusinessHour checks hours, working days and holidays in the calendar timezone', () => {
+    const calendar = new BusinessCalendar(HOUSTON);
+
+    // Thursday 2026-07-02: 07:00 in Chicago is 12:00 UTC (CDT)
+    assert.equal(calendar.isBusinessHour(new Date('2026-07-02T11:59:00Z')), false);
+    assert.equal(calendar.isBusinessHour(new Date('2026-07-02T12:00:00Z')), true);
+    assert.equal(calendar.isBusinessHour(new Date('2026-07-02T20:30:00Z')), false);
+
+    // Friday is a holiday, Saturday isn't a working day
+    assert.equal(calendar.isBusinessHour(new Date('2026-07-03T15:00:00Z')), false);
+    assert.equal(calendar.isBusinessHour(new Date('2026-07-04T15:00:00Z')), false);
+});
+
+test('nextBusinessTime skips holidays and weekends to the next opening', () => {
+    const calendar = new BusinessCalendar(HOUSTON);
+
+    assert.equal(calendar.nextBusinessTime(new Date('2026-07-02T21:00:00Z')).toISOString(), '2026-07-06T12:00:00.000Z');
+    assert.equal(calendar.nextBusinessTime(new Date('2026-07-06T13:15:00Z')).toISOString(), '2026-07-06T13:15:00.000Z');
+});
+
+test('getTriggerDate counts working days around holidays and adds the rest as elapsed time', () => {
+    const calendar = new BusinessCalendar(HOUSTON);
+    const thursday = new Date('2026-07-02T14:00:00Z');
+
+    assert.equal(calendar.getTriggerDate({ offsetMinutes: 24 * 60, dayMode: 'working' }, thursday).toISOString(), '2026-07-06T14:00:00.000Z');
+    assert.equal(calendar.getTriggerDate({ offsetMinutes: 24 * 60 + 90, dayMode: 'calendar' }, thursday).toISOString(), '2026-07-03T15:30:00.000Z');
+    assert.equal(calendar.getTriggerDate({ daysBefore: 1, dayMode: 'working' }, new Date('2026-07-06T14:00:00Z')).toISOString(), '2026-07-02T14:00:00.000Z');
+});
+
+test('the registry falls back to the default calendar and keeps it', () => {
+    const registry = new BusinessCalendarRegistry();
+    registry.register(HOUSTON);
+
+    assert.equal(registry.get('plant-houston').name, 'Houston Plant');
+    assert.equal(registry.get('plant-nowhere').id, 'default');
+    assert.throws(() => registry.remove('default'), /cannot be deleted/);
+    assert.throws(() => registry.register({ ...HOUSTON, timezone: 'Mars/Olympus' }), /Invalid business calendar/);
+});
+
+test('deleteBusinessCalendar refuses calendars the published version still uses', async () => {
+    const dataManager = new DataManager({ calendarRegistry: new BusinessCalendarRegistry() });
+    await dataManager.initialize({ seedDemoData: false });
+
+    const saved = await dataManager.saveBusinessCalendar({ ...HOUSTON, name: 'Houston <Plant> & Yard' });
+    assert.equal(saved.name, 'Houston <Plant> & Yard');
+    assert.deepEqual(saved.holidays, [{ date: '2026-07-03', name: 'Independence Day (observed)' }]);
+
+    const template = {
+        id: 'template-calendar',
+        name: 'Houston Ladder',
+        module: 'incidents',
+        calendarId: 'plant-houston',
+        applicabilityRules: [],
+        hierarchy: [{ level: 1, roles: [], fallbackEmail: 'safety@example.com', delay: 0 }],
+        triggers: [{ type: 'time-based', level: 1, referenceField: 'createdDate', offsetMinutes: 0, dayMode: 'working' }],
+        notificationTemplates: {}
+    };
+    await dataManager.saveTemplate(template, { author: 'user-1' });
+    await dataManager.publishTemplate(template.id, { publishedBy: 'user-2' });
+
+    // The draft moves to the default calendar, but the published version still runs on Houston's
+    const { calendarId, ...draft } = template;
+    await dataManager.saveTemplate(draft, { author: 'user-1' });
+
+    await assert.rejects(dataManager.deleteBusinessCalendar('plant-houston'), /used by: Houston Ladder/);
+    assert.ok(dataManager.calendarRegistry.has('plant-houston'));
+});
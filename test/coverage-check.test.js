@@ -0,0 +1,79 @@
+import test, { mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { CoverageMonitor } from '../modules/coverage-check.js';
+import { DataManager } from '../modules/data-manager.js';
+import { OnCallScheduleRegistry } from '../modules/on-call.js';
+import { RoleCatalog } from '../modules/role-catalog.js';
+
+mock.method(console, 'log', () => {});
+
+const TEMPLATE = {
+    id: 'template-coverage',
+    name: 'Houston Ladder',
+    module: 'incidents',
+    applicabilityRules: [{ field: 'site', operator: 'equals', value: 'Houston' }],
+    hierarchy: [
+        { level: 1, roles: ['department-head'], fallbackEmail: 'safety@example.com', delay: 0 },
+        { level: 2, roles: ['executive', 'coo'], delay: 1 },
+        { level: 3, roles: ['cfo'], delay: 2 }
+    ],
+    triggers: [{ type: 'time-based', level: 1, referenceField: 'createdDate', offsetMinutes: 0 }],
+    notificationTemplates: { sms: 'Escalation: {{id}}' }
+};
+
+async function createMonitor() {
+    const dataManager = new DataManager({ roleCatalog: new RoleCatalog(), onCallRegistry: new OnCallScheduleRegistry() });
+    await dataManager.initialize({ seedDemoData: false });
+    dataManager.users = [
+        { id: 'user-1', name: 'Ana Ortiz', email: 'ana@example.com', role: 'department-head', department: 'Maintenance', site: 'Houston' },
+        { id: 'user-2', name: 'Ben Cole', email: 'ben@example.com', phone: '+15550100', role: 'executive', department: 'Leadership', site: 'Houston' }
+    ];
+    dataManager.records.incidents.push(
+        { id: 'INC-1', department: 'Maintenance', site: 'Houston' },
+        { id: 'INC-2', department: 'Quality', site: 'Houston' },
+        { id: 'INC-3', department: 'Quality', site: 'Dallas' }
+    );
+
+    await dataManager.saveTemplate(TEMPLATE, { author: 'user-1' });
+    await dataManager.publishTemplate(TEMPLATE.id, { publishedBy: 'user-2' });
+    return { dataManager, monitor: new CoverageMonitor(dataManager) };
+}
+
+test('scopes come from the department and site pairs the rules can match', async () => {
+    const { dataManager, monitor } = await createMonitor();
+
+    assert.deepEqual(await monitor.getScopes(TEMPLATE, dataManager.users), [
+        { department: 'Maintenance', site: 'Houston' },
+        { department: 'Quality', site: 'Houston' }
+    ]);
+
+    const rules = monitor.ruleEvaluator.normalizeRules({
+        type: 'group',
+        logic: 'AND',
+        children: [
+            { type: 'condition', field: 'priority', operator: 'equals', value: 'High' },
+            { type: 'not', child: { type: 'condition', field: 'site', operator: 'equals', value: 'Dallas' } }
+        ]
+    });
+    assert.equal(monitor.couldMatch(rules, 'site', 'Dallas'), false);
+    assert.equal(monitor.couldMatch(rules, 'site', 'Houston'), null);
+});
+
+test('check reports every level that would reach nobody, or too few people', async () => {
+    const { monitor } = await createMonitor();
+    const reports = [];
+    monitor.onReport(report => reports.push(report));
+
+    const report = await monitor.check(new Date('2026-03-04T12:00:00Z'));
+    assert.deepEqual(reports, [report]);
+    assert.equal(report.templateCount, 1);
+    assert.deepEqual(report.issues.map(issue => [issue.type, issue.severity, issue.message]), [
+        ['missing-contact', 'warning', 'Level 1: Ana Ortiz has no phone'],
+        ['fallback-only', 'warning', 'Level 1 for department Quality, site Houston: nobody holds its roles (department-head empty); only safety@example.com is notified'],
+        ['empty-role', 'warning', "Level 2 for department Maintenance, site Houston: role 'coo' has no holders"],
+        ['empty-role', 'warning', "Level 2 for department Quality, site Houston: role 'coo' has no holders"],
+        ['no-recipients', 'error', 'Level 3 for department Maintenance, site Houston: nobody holds its roles (cfo empty) and there is no fallback email'],
+        ['no-recipients', 'error', 'Level 3 for department Quality, site Houston: nobody holds its roles (cfo empty) and there is no fallback email']
+    ]);
+    assert.deepEqual(monitor.getTemplateIssues('template-coverage'), report.issues);
+});
@@ -0,0 +1,393 @@
+import test, { mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { DataManager } from '../modules/data-manager.js';
+import { EscalationEngine } from '../modules/escalation-engine.js';
+import { MemoryEscalationStore } from '../modules/escalation-store.js';
+import { BusinessCalendarRegistry } from '../modules/business-calendar.js';
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+
+const USERS = [
+    { id: 'user-1', name: 'Ana Ortiz', email: 'ana@example.com', role: 'executive' },
+    { id: 'user-2', name: 'Ben Cole', email: 'ben@example.com', role: 'executive' }
+];
+
+const CREATED = new Date('2026-03-02T08:00:00Z');
+const hoursAfterCreated = hours => new Date(CREATED.getTime() + hours * 60 * 60 * 1000);
+
+function createTemplate(overrides = {}) {
+    return {
+        id: 'template-test',
+        name: 'Test Ladder',
+        module: 'incidents',
+        applicabilityRules: [],
+        hierarchy: [
+            { level: 1, roles: ['executive'], delay: 0 },
+            { level: 2, roles: ['executive'], delay: 2 }
+        ],
+        triggers: [{ type: 'time-based', level: 1, referenceField: 'createdDate', offsetMinutes: 0 }],
+        notificationTemplates: {},
+        ...overrides
+    };
+}
+
+async function createEngine(options = {}, dataManager = null) {
+    if (!dataManager) {
+        dataManager = new DataManager();
+        await dataManager.initialize({ seedDemoData: false });
+        dataManager.users = USERS.map(user => ({ ...user }));
+    }
+
+    const sent = [];
+    const engine = new EscalationEngine(dataManager, {
+        generateNotification: async (template, record, level) => ({ level }),
+        sendNotification: async (notification, recipients) => {
+            sent.push(notification.level);
+            return recipients.map(recipient => ({ recipient, status: 'sent' }));
+        }
+    }, options);
+
+    return { dataManager, engine, sent };
+}
+
+const RECORD = { id: 'INC-1', createdDate: CREATED.toISOString(), status: 'Open' };
+
+test('acknowledgeEscalation records who acknowledged and pauses further levels', async () => {
+    const { dataManager, engine, sent } = await createEngine();
+    const template = createTemplate();
+
+    await engine.evaluateRecordTriggers(template, RECORD, hoursAfterCreated(0));
+    const acknowledgement = await engine.acknowledgeEscalation('template-test-INC-1', {
+        acknowledgedBy: 'user-2',
+        note: 'Crew on site & investigating',
+        now: hoursAfterCreated(1)
+    });
+
+    assert.equal(acknowledgement.acknowledgedBy, 'user-2');
+    assert.equal(acknowledgement.note, 'Crew on site & investigating');
+    assert.equal(engine.getAcknowledgementState('template-test-INC-1').acknowledgedBy, 'user-2');
+
+    const [log] = dataManager.escalationLogs.filter(entry => entry.action === 'acknowledged');
+    assert.equal(log.recipient, 'user-2');
+    assert.equal(log.note, 'Crew on site & investigating');
+
+    // Level 2 would be due 2 hours after level 1, but the acknowledgement pauses it for 24 hours
+    await engine.evaluateRecordTriggers(template, RECORD, hoursAfterCreated(3));
+    assert.deepEqual(sent, [1]);
+
+    await engine.evaluateRecordTriggers(template, RECORD, hoursAfterCreated(27));
+    assert.deepEqual(sent, [1, 2]);
+});
+
+test('record events fire the levels whose event triggers they match', async () => {
+    const { dataManager, engine, sent } = await createEngine();
+    const saved = await dataManager.saveTemplate(createTemplate({
+        triggers: [{ type: 'event-based', level: 1, event: 'custom', eventName: 'R&D-review' }]
+    }), { author: 'user-1' });
+    await dataManager.publishTemplate(saved.id, { publishedBy: 'user-2' });
+    dataManager.records.incidents.push({ ...RECORD });
+    engine.subscribeToRecordEvents();
+
+    await dataManager.emitCustomEvent('incidents', 'INC-1', 'R&D-approval');
+    assert.deepEqual(sent, []);
+
+    await dataManager.emitCustomEvent('incidents', 'INC-1', 'R&D-review');
+    assert.deepEqual(sent, [1]);
+
+    engine.stopProcessing();
+});
+
+test('each level waits its delay after the level below it fired', async () => {
+    const { engine, sent } = await createEngine();
+    const template = createTemplate({
+        hierarchy: [
+            { level: 1, roles: ['executive'], delay: 0 },
+            { level: 2, roles: ['executive'], delay: 2 },
+            { level: 3, roles: ['executive'], delay: 4 }
+        ]
+    });
+
+    for (const hours of [0, 1, 2, 5, 6]) {
+        await engine.evaluateRecordTriggers(template, RECORD, hoursAfterCreated(hours));
+    }
+
+    const escalation = engine.activeEscalations.get('template-test-INC-1');
+    assert.deepEqual(sent, [1, 2, 3]);
+    assert.equal(escalation.levelTimestamps[2], hoursAfterCreated(2).toISOString());
+    assert.equal(escalation.levelTimestamps[3], hoursAfterCreated(6).toISOString());
+});
+
+test('a level waiting for its own trigger does not hold up higher levels whose triggers matched', async () => {
+    const { engine, sent } = await createEngine();
+    const template = createTemplate({
+        hierarchy: [
+            { level: 1, roles: ['executive'], delay: 0 },
+            { level: 2, roles: ['executive'], delay: 0 },
+            { level: 3, roles: ['executive'], delay: 1 }
+        ],
+        triggers: [
+            { type: 'time-based', level: 1, referenceField: 'createdDate', offsetMinutes: 24 * 60 },
+            { type: 'event-based', event: 'custom', eventName: 'spill-reported', level: 2 }
+        ]
+    });
+    const event = { id: 'event-1', type: 'custom', name: 'spill-reported' };
+
+    // Level 2 fires on its event although level 1's trigger is a day away; level 3 chains off level 2
+    await engine.evaluateRecordTriggers(template, RECORD, hoursAfterCreated(0), event, [2]);
+    await engine.evaluateRecordTriggers(template, RECORD, hoursAfterCreated(0.5));
+    assert.deepEqual(sent, [2]);
+
+    await engine.evaluateRecordTriggers(template, RECORD, hoursAfterCreated(1));
+    assert.deepEqual(sent, [2, 3]);
+
+    await engine.evaluateRecordTriggers(template, RECORD, hoursAfterCreated(24));
+    assert.deepEqual(sent, [2, 3, 1]);
+});
+
+test('a matched level still inside its delay holds up the levels above it', async () => {
+    const { engine, sent } = await createEngine();
+    const template = createTemplate({
+        hierarchy: [
+            { level: 1, roles: ['executive'], delay: 2 },
+            { level: 2, roles: ['executive'], delay: 0 }
+        ],
+        triggers: [
+            { type: 'time-based', level: 1, referenceField: 'createdDate', offsetMinutes: 0 },
+            { type: 'event-based', event: 'custom', eventName: 'spill-reported', level: 2 }
+        ]
+    });
+
+    await engine.evaluateRecordTriggers(template, RECORD, hoursAfterCreated(0), { id: 'event-1', type: 'custom', name: 'spill-reported' }, [2]);
+    await engine.evaluateRecordTriggers(template, RECORD, hoursAfterCreated(1));
+    assert.deepEqual(sent, []);
+
+    await engine.evaluateRecordTriggers(template, RECORD, hoursAfterCreated(2));
+    assert.deepEqual(sent, [1, 2]);
+});
+
+test('levels chained off a level that has not fired wait for it', async () => {
+    const { engine, sent } = await createEngine();
+    const template = createTemplate({
+        hierarchy: [
+            { level: 1, roles: ['executive'], delay: 0 },
+            { level: 2, roles: ['executive'], delay: 0 }
+        ],
+        triggers: [{ type: 'event-based', event: 'custom', eventName: 'spill-reported', level: 1 }]
+    });
+
+    await engine.evaluateRecordTriggers(template, RECORD, hoursAfterCreated(0), { id: 'event-1', type: 'custom', name: 'other' }, []);
+    assert.deepEqual(sent, []);
+
+    await engine.evaluateRecordTriggers(template, RECORD, hoursAfterCreated(1), { id: 'event-2', type: 'custom', name: 'spill-reported' }, [1]);
+    assert.deepEqual(sent, [1, 2]);
+});
+
+test('simulateTriggers places levels above an event-only level on the timeline', async () => {
+    const { engine } = await createEngine();
+    const template = createTemplate({
+        hierarchy: [
+            { level: 1, roles: ['executive'], delay: 0 },
+            { level: 2, roles: ['executive'], delay: 0 },
+            { level: 3, roles: ['executive'], delay: 1 }
+        ],
+        triggers: [
+            { type: 'event-based', event: 'custom', eventName: 'spill-reported', level: 1 },
+            { type: 'time-based', level: 2, referenceField: 'createdDate', offsetMinutes: 120 }
+        ]
+    });
+
+    const results = await engine.simulateTriggers(template, RECORD);
+    assert.deepEqual(results.map(result => [result.level, result.description]), [
+        [1, 'Event: custom event "spill-reported"'],
+        [2, '2 hours after createdDate'],
+        [3, '1 hours after Level 2']
+    ]);
+    assert.equal(results[2].adjustedDate.toISOString(), hoursAfterCreated(3).toISOString());
+});
+
+test('escalation logs record the template version that ran', async () => {
+    const { dataManager, engine, sent } = await createEngine();
+    await dataManager.saveTemplate(createTemplate(), { author: 'user-1' });
+    await dataManager.publishTemplate('template-test', { publishedBy: 'user-2' });
+    const first = await dataManager.getPublishedTemplate('template-test');
+
+    await engine.evaluateRecordTriggers(first, RECORD, hoursAfterCreated(0));
+
+    // Version 2 goes live while the escalation is still running on version 1
+    await dataManager.saveTemplate(createTemplate({ name: 'Test Ladder v2' }), { author: 'user-1' });
+    await dataManager.publishTemplate('template-test', { publishedBy: 'user-2' });
+    await engine.evaluateRecordTriggers(first, RECORD, hoursAfterCreated(2));
+
+    assert.deepEqual(sent, [1, 2]);
+    const logs = dataManager.escalationLogs.filter(entry => entry.recordId === 'INC-1' && entry.status === 'sent');
+    assert.deepEqual(logs.map(entry => [entry.level, entry.templateName, entry.templateVersion]), [
+        [2, 'Test Ladder', 1],
+        [1, 'Test Ladder', 1]
+    ]);
+    assert.equal(dataManager.getTemplateLogDetails('template-test').templateVersion, 2);
+});
+
+test('time-based triggers fire at minute precision', async () => {
+    const { engine, sent } = await createEngine();
+    const template = createTemplate({
+        hierarchy: [{ level: 1, roles: ['executive'], delay: 0 }],
+        triggers: [{ type: 'time-based', level: 1, referenceField: 'createdDate', offset: 'PT30M' }]
+    });
+
+    await engine.evaluateRecordTriggers(template, RECORD, hoursAfterCreated(29 / 60));
+    assert.deepEqual(sent, []);
+
+    await engine.evaluateRecordTriggers(template, RECORD, hoursAfterCreated(0.5));
+    assert.deepEqual(sent, [1]);
+});
+
+test('a restarted engine picks up persisted escalations without re-firing their levels', async () => {
+    const store = new MemoryEscalationStore();
+    const { dataManager, engine, sent } = await createEngine({ store });
+    await dataManager.saveTemplate(createTemplate(), { author: 'user-1' });
+    await dataManager.publishTemplate('template-test', { publishedBy: 'user-2' });
+    dataManager.records.incidents.push({ ...RECORD });
+    const template = await dataManager.getPublishedTemplate('template-test');
+
+    await engine.evaluateRecordTriggers(template, RECORD, hoursAfterCreated(0));
+    assert.deepEqual(sent, [1]);
+    const [entry] = await store.loadAll();
+    assert.deepEqual(entry.triggeredLevels, [1]);
+
+    const restarted = await createEngine({ store }, dataManager);
+    await restarted.engine.rehydrate();
+    const escalation = restarted.engine.activeEscalations.get('template-test-INC-1');
+    assert.equal(escalation.record.id, 'INC-1');
+    assert.equal(escalation.levelTimestamps[1], hoursAfterCreated(0).toISOString());
+
+    await restarted.engine.evaluateRecordTriggers(template, RECORD, hoursAfterCreated(1));
+    assert.deepEqual(restarted.sent, []);
+    await restarted.engine.evaluateRecordTriggers(template, RECORD, hoursAfterCreated(2));
+    assert.deepEqual(restarted.sent, [2]);
+    assert.deepEqual((await store.loadAll())[0].triggeredLevels, [1, 2]);
+});
+
+test('escalations are cancelled once their records resolve, move on or disappear', async () => {
+    const { dataManager, engine, sent } = await createEngine();
+    const template = createTemplate({
+        applicabilityRules: [{ field: 'status', operator: 'notIn', value: ['Resolved', 'Closed'] }]
+    });
+    const records = dataManager.records.incidents;
+    records.push(
+        { ...RECORD, id: 'INC-1' },
+        { ...RECORD, id: 'INC-2', assignedTo: 'user-1' },
+        { ...RECORD, id: 'INC-3' }
+    );
+
+    await engine.processTemplate(template, hoursAfterCreated(0));
+    assert.deepEqual(sent, [1, 1, 1]);
+
+    records[0].status = 'Closed';
+    records[1].assignedTo = 'user-2';
+    records[1].status = 'Resolved';
+    records.splice(2, 1);
+    await engine.processTemplate(template, hoursAfterCreated(1));
+
+    const cancellations = dataManager.escalationLogs.filter(entry => entry.action === 'cancelled');
+    assert.deepEqual(cancellations.map(entry => [entry.recordId, entry.reason]).sort(), [
+        ['INC-1', 'resolved'],
+        ['INC-2', 'resolved'],
+        ['INC-3', 'record-deleted']
+    ]);
+    assert.equal(engine.activeEscalations.size, 0);
+
+    // Nothing is left to fire once the escalations are gone
+    await engine.processTemplate(template, hoursAfterCreated(3));
+    assert.deepEqual(sent, [1, 1, 1]);
+});
+
+test('reassigned records and retired templates cancel their escalations with a reason', async () => {
+    const { dataManager, engine } = await createEngine();
+    const template = createTemplate({
+        applicabilityRules: [{ field: 'assignedTo', operator: 'equals', value: 'user-1' }]
+    });
+    const record = { ...RECORD, assignedTo: 'user-1' };
+    dataManager.records.incidents.push(record);
+
+    await engine.processTemplate(template, hoursAfterCreated(0));
+    record.assignedTo = 'user-2';
+    await engine.processTemplate(template, hoursAfterCreated(1));
+
+    record.assignedTo = 'user-1';
+    await engine.processTemplate(template, hoursAfterCreated(2));
+    await engine.cancelUnpublishedEscalations([]);
+
+    assert.deepEqual(
+        dataManager.escalationLogs.filter(entry => entry.action === 'cancelled').map(entry => entry.reason).reverse(),
+        ['reassigned', 'template-retired']
+    );
+});
+
+test('levels due outside business hours wait on the deferred queue for the next business window', async () => {
+    // Keep the release timer from firing on the real clock; the test releases the queue itself
+    mock.timers.enable({ apis: ['setTimeout'] });
+    const calendarRegistry = new BusinessCalendarRegistry();
+    calendarRegistry.register({
+        id: 'plant-houston',
+        name: 'Houston Plant',
+        timezone: 'America/Chicago',
+        workingDays: [1, 2, 3, 4, 5],
+        hours: { start: '07:00', end: '15:30' },
+        holidays: [{ date: '2026-07-03', name: 'Independence Day (observed)' }]
+    });
+    const { engine, sent } = await createEngine({ calendarRegistry });
+    const template = createTemplate({
+        calendarId: 'plant-houston',
+        hierarchy: [{ level: 1, roles: ['executive'], delay: 0 }],
+        triggers: [{ type: 'time-based', level: 1, referenceField: 'createdDate', offsetMinutes: 0, scheduleContext: 'business-hours' }]
+    });
+    const record = { ...RECORD, createdDate: '2026-07-02T21:00:00Z' };
+
+    try {
+        // Thursday evening, before a holiday and a weekend
+        await engine.evaluateRecordTriggers(template, record, new Date('2026-07-02T21:00:00Z'));
+        assert.deepEqual(sent, []);
+        const [queued] = engine.getDeferredQueue();
+        assert.equal(queued.level, 1);
+        assert.equal(queued.reason, 'outside_business_hours');
+        assert.equal(queued.nextEligibleAt, '2026-07-06T12:00:00.000Z');
+
+        await engine.evaluateRecordTriggers(template, record, new Date('2026-07-03T15:00:00Z'));
+        await engine.releaseDeferredEscalations(new Date('2026-07-06T11:59:00Z'));
+        assert.deepEqual(sent, []);
+
+        await engine.releaseDeferredEscalations(new Date('2026-07-06T12:00:00Z'));
+        assert.deepEqual(sent, [1]);
+        assert.deepEqual(engine.getDeferredQueue(), []);
+        assert.equal(engine.activeEscalations.get('template-test-INC-1').deferral, null);
+    } finally {
+        engine.stopProcessing();
+        mock.timers.reset();
+    }
+});
+
+test('working-day offsets skip the weekend where calendar-day offsets do not', async () => {
+    const { engine, sent } = await createEngine();
+    const friday = { ...RECORD, createdDate: '2026-04-10T12:00:00Z' };
+    const template = createTemplate({
+        hierarchy: [
+            { level: 1, roles: ['executive'], delay: 0 },
+            { level: 2, roles: ['executive'], delay: 0 }
+        ],
+        triggers: [
+            { type: 'time-based', level: 1, referenceField: 'createdDate', offsetMinutes: 24 * 60, dayMode: 'calendar' },
+            { type: 'time-based', level: 2, referenceField: 'createdDate', offsetMinutes: 24 * 60, dayMode: 'working' }
+        ]
+    });
+
+    await engine.evaluateRecordTriggers(template, friday, new Date('2026-04-11T12:00:00Z'));
+    await engine.evaluateRecordTriggers(template, friday, new Date('2026-04-13T11:59:00Z'));
+    assert.deepEqual(sent, [1]);
+
+    await engine.evaluateRecordTriggers(template, friday, new Date('2026-04-13T12:00:00Z'));
+    assert.deepEqual(sent, [1, 2]);
+
+    const results = await engine.simulateTriggers(template, friday);
+    assert.deepEqual(results.map(result => result.description), ['1 day after createdDate', '1 working day after createdDate']);
+});
@@ -0,0 +1,86 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('../bin/escalation-matrix.js', import.meta.url));
+
+const TEMPLATE = {
+    id: 'template-cli',
+    name: 'CLI Ladder',
+    description: 'Ladder used by the CLI tests',
+    module: 'incidents',
+    applicabilityRules: [],
+    hierarchy: [{ level: 1, roles: [], fallbackEmail: 'safety@example.com', delay: 0 }],
+    triggers: [{ type: 'time-based', level: 1, referenceField: 'createdDate', offsetMinutes: 0 }],
+    notificationTemplates: {
+        email: { subject: 'Escalation: {{id}}', body: 'Please review {{id}}: {{actionUrl}}' },
+        sms: 'Escalation: {{id}}'
+    }
+};
+
+// Resolves to { code, stdout } whatever the exit code
+function runCli(args) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [CLI, ...args], (error, stdout) => {
+            resolve({ code: error ? error.code : 0, stdout });
+        });
+    });
+}
+
+async function withTemplateFiles(templates, callback) {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'escalation-cli-'));
+    try {
+        const files = await Promise.all(Object.entries(templates).map(async ([name, template]) => {
+            const file = path.join(directory, name);
+            await fs.writeFile(file, JSON.stringify(template));
+            return file;
+        }));
+        return await callback(files);
+    } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+    }
+}
+
+test('validate exits 1 on errors, and lint on warnings too', async () => {
+    const unknownPlaceholder = {
+        ...TEMPLATE,
+        notificationTemplates: { ...TEMPLATE.notificationTemplates, sms: 'Escalation: {{ticket}}' }
+    };
+    const noHierarchy = { ...TEMPLATE, id: 'template-empty', hierarchy: [] };
+
+    await withTemplateFiles({ 'ok.json': TEMPLATE, 'warn.json': unknownPlaceholder, 'bad.json': noHierarchy }, async ([ok, warn, bad]) => {
+        const valid = await runCli(['validate', ok]);
+        assert.equal(valid.code, 0);
+        assert.match(valid.stdout, /template-cli: ok/);
+
+        assert.equal((await runCli(['validate', warn])).code, 0);
+        const linted = await runCli(['lint', warn]);
+        assert.equal(linted.code, 1);
+        assert.match(linted.stdout, /warning: SMS: Unknown placeholder \{\{ticket\}\}/);
+
+        const invalid = await runCli(['validate', bad]);
+        assert.equal(invalid.code, 1);
+        assert.match(invalid.stdout, /template-empty: error: /);
+    });
+});
+
+test('diff prints the changes and exits 1 when templates differ', async () => {
+    const renamed = { ...TEMPLATE, name: 'CLI Ladder v2', currentVersion: 2 };
+
+    await withTemplateFiles({ 'a.json': TEMPLATE, 'b.json': renamed, 'c.json': { ...TEMPLATE, currentVersion: 5 } }, async ([a, b, c]) => {
+        const changed = await runCli(['diff', a, b]);
+        assert.equal(changed.code, 1);
+        assert.equal(changed.stdout.trim(), '~ name: "CLI Ladder" -> "CLI Ladder v2"');
+
+        const same = await runCli(['diff', a, c]);
+        assert.equal(same.code, 0);
+        assert.equal(same.stdout.trim(), 'No differences');
+    });
+
+    assert.equal((await runCli(['diff', 'only-one.json'])).code, 2);
+    assert.equal((await runCli(['unknown'])).code, 2);
+});
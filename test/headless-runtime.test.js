@@ -0,0 +1,90 @@
+import test, { mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { HeadlessRuntime, loadRuntimeConfig } from '../modules/headless-runtime.js';
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+
+const TEMPLATE = {
+    id: 'template-headless',
+    name: 'Headless Ladder',
+    description: 'Ladder used by the runtime tests',
+    module: 'incidents',
+    applicabilityRules: [{ field: 'status', operator: 'equals', value: 'Open' }],
+    hierarchy: [
+        { level: 1, roles: ['executive'], delay: 0 },
+        { level: 2, roles: ['executive'], delay: 24 }
+    ],
+    triggers: [{ type: 'time-based', level: 1, referenceField: 'createdDate', offsetMinutes: 0 }],
+    notificationTemplates: {
+        email: { subject: 'Escalation: {{id}}', body: 'Please review {{id}}: {{actionUrl}}' },
+        sms: 'Escalation: {{id}}'
+    }
+};
+
+async function writeConfig(directory) {
+    const files = {
+        'templates.json': [TEMPLATE],
+        'users.json': [{ id: 'user-1', name: 'Ana Ortiz', email: 'ana@example.com', role: 'executive' }],
+        'incidents.csv': `id,status,createdDate\nINC-1,Open,${new Date(Date.now() - 60 * 60 * 1000).toISOString()}\nINC-2,Closed,2026-01-01T00:00:00Z`,
+        'runtime.json': {
+            storage: { type: 'file', directory: './data' },
+            templates: ['./templates.json'],
+            publishTemplates: true,
+            users: './users.json',
+            records: ['./incidents.csv']
+        }
+    };
+
+    for (const [name, contents] of Object.entries(files)) {
+        await fs.writeFile(path.join(directory, name), typeof contents === 'string' ? contents : JSON.stringify(contents));
+    }
+    return path.join(directory, 'runtime.json');
+}
+
+async function startRuntime(configPath) {
+    const runtime = new HeadlessRuntime(await loadRuntimeConfig(configPath));
+    await runtime.initialize();
+    return runtime;
+}
+
+const sentLogs = runtime => runtime.dataManager.escalationLogs.filter(entry => entry.status === 'sent');
+
+test('loadRuntimeConfig resolves paths against the config file folder', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'escalation-runtime-'));
+    try {
+        const config = await loadRuntimeConfig(await writeConfig(directory));
+
+        assert.equal(config.baseDir, directory);
+        assert.deepEqual(config.templates, [path.join(directory, 'templates.json')]);
+        assert.equal(config.users, path.join(directory, 'users.json'));
+        assert.equal(config.storage.directory, path.join(directory, 'data'));
+    } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+    }
+});
+
+test('runOnce escalates loaded records, and a restart does not send the same level again', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'escalation-runtime-'));
+    try {
+        const configPath = await writeConfig(directory);
+
+        const first = await startRuntime(configPath);
+        assert.equal((await first.runOnce()).activeEscalations, 1);
+        await first.runOnce();
+        assert.deepEqual(sentLogs(first).map(entry => [entry.recordId, entry.level]), [['INC-1', 1]]);
+        await first.stop();
+
+        // Same storage, so the escalation and its fired level come back from disk
+        const second = await startRuntime(configPath);
+        assert.equal((await second.runOnce()).activeEscalations, 1);
+        assert.deepEqual(sentLogs(second).map(entry => [entry.recordId, entry.level]), [['INC-1', 1]]);
+        assert.equal(second.dataManager.getTemplateVersions('template-headless').length, 1);
+        await second.stop();
+    } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+    }
+});
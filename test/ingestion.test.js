@@ -0,0 +1,100 @@
+import test, { mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { DataManager } from '../modules/data-manager.js';
+import { IngestionServer } from '../modules/ingestion-server.js';
+
+mock.method(console, 'log', () => {});
+
+async function createDataManager() {
+    const dataManager = new DataManager();
+    await dataManager.initialize({ seedDemoData: false });
+
+    const events = [];
+    dataManager.onRecordEvent(event => events.push([event.type, event.recordId, event.changes.map(change => change.field)]));
+    return { dataManager, events };
+}
+
+test('upserts create new records and merge field changes into existing ones', async () => {
+    const { dataManager, events } = await createDataManager();
+
+    const created = await dataManager.upsertRecord('incidents', { id: 'INC-1', title: 'Spill', status: 'Open' });
+    assert.equal(created.action, 'created');
+
+    const updated = await dataManager.upsertRecord('incidents', { id: 'INC-1', status: 'Resolved' });
+    assert.equal(updated.action, 'updated');
+    assert.deepEqual(dataManager.records.incidents, [{ id: 'INC-1', title: 'Spill', status: 'Resolved' }]);
+
+    // An identical push changes nothing, so no event is emitted for it
+    await dataManager.upsertRecord('incidents', { id: 'INC-1', status: 'Resolved' });
+    assert.deepEqual(events, [
+        ['created', 'INC-1', ['id', 'title', 'status']],
+        ['updated', 'INC-1', ['status']]
+    ]);
+});
+
+test('records that do not match the module schema are rejected', async () => {
+    const { dataManager } = await createDataManager();
+
+    await assert.rejects(
+        dataManager.upsertRecord('incidents', { id: 'INC-1', priority: 'Urgent' }),
+        /Invalid incidents record INC-1: priority: "Urgent" is not one of Critical, High, Medium, Low/
+    );
+    assert.deepEqual(dataManager.records.incidents, []);
+});
+
+test('applyRecordBatch runs every operation and reports the ones that failed', async () => {
+    const { dataManager, events } = await createDataManager();
+
+    const result = await dataManager.applyRecordBatch([
+        { op: 'upsert', module: 'incidents', record: { id: 'INC-1', status: 'Open' } },
+        { module: 'audits', record: { id: 'AUD-1', severity: 'Low' } },
+        { op: 'delete', module: 'incidents', id: 'INC-404' },
+        { op: 'archive', module: 'incidents', id: 'INC-1' },
+        { op: 'delete', module: 'audits', id: 'AUD-1' }
+    ]);
+
+    assert.deepEqual(result, {
+        created: 2,
+        updated: 0,
+        deleted: 1,
+        failed: 2,
+        errors: [
+            { index: 2, module: 'incidents', id: 'INC-404', error: 'Record INC-404 not found in incidents' },
+            { index: 3, module: 'incidents', id: 'INC-1', error: 'Unknown operation "archive"' }
+        ]
+    });
+    assert.deepEqual(events.map(([type, recordId]) => [type, recordId]), [['created', 'INC-1'], ['created', 'AUD-1'], ['deleted', 'AUD-1']]);
+});
+
+test('the ingestion server checks the token and routes record changes to the data manager', async () => {
+    const { dataManager } = await createDataManager();
+    const server = new IngestionServer(dataManager, { port: 0, token: 'secret' });
+    const { port } = await server.start();
+    const base = `http://127.0.0.1:${port}`;
+    const send = (method, path, body, token = 'secret') => fetch(`${base}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    try {
+        assert.equal((await fetch(`${base}/health`)).status, 200);
+        assert.equal((await send('POST', '/records/incidents', { id: 'INC-1' }, 'wrong')).status, 401);
+        assert.equal((await send('POST', '/records/permits', { id: 'P-1' })).status, 404);
+
+        const created = await send('POST', '/records/incidents', [{ id: 'INC-1', status: 'Open' }, { id: 'INC-2', status: 'Later' }]);
+        assert.equal(created.status, 422);
+        assert.deepEqual((await created.json()).errors.map(error => error.id), ['INC-2']);
+
+        const batch = await send('POST', '/batch', { operations: [{ op: 'upsert', module: 'incidents', record: { id: 'INC-1', status: 'Closed' } }] });
+        assert.equal(batch.status, 200);
+        assert.equal((await batch.json()).updated, 1);
+        assert.equal((await send('POST', '/batch', { records: [] })).status, 400);
+
+        assert.equal((await send('DELETE', '/records/incidents/INC-1')).status, 200);
+        assert.equal((await send('DELETE', '/records/incidents/INC-1')).status, 404);
+        assert.deepEqual(dataManager.records.incidents, []);
+    } finally {
+        await server.stop();
+    }
+});
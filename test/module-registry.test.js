@@ -0,0 +1,94 @@
+import test, { mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ModuleRegistry } from '../modules/module-registry.js';
+import { FieldSchemaRegistry } from '../modules/field-schema-registry.js';
+import { DataManager } from '../modules/data-manager.js';
+import { TemplateProcessor } from '../modules/template-processor.js';
+import { EscalationEngine } from '../modules/escalation-engine.js';
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+
+const CHEMICALS = {
+    id: 'chemical-inventory',
+    name: 'Chemical Inventory',
+    recordIdPrefix: 'CHEM',
+    fields: [
+        { key: 'id', label: 'Record ID', type: 'string' },
+        { key: 'hazardClass', label: 'Hazard Class', type: 'enum', values: ['Flammable', 'Corrosive', 'Toxic'] },
+        { key: 'expiryDate', label: 'Expiry Date', type: 'date' }
+    ],
+    defaultTemplates: [{ name: 'Expiring Chemicals', hierarchy: [], triggers: [] }]
+};
+
+function createTemplate(overrides = {}) {
+    return {
+        id: 'template-chemicals',
+        name: 'Expiring Chemicals',
+        description: 'Escalates chemicals about to expire',
+        module: 'chemical-inventory',
+        applicabilityRules: [{ field: 'hazardClass', operator: 'equals', value: 'Toxic' }],
+        hierarchy: [{ level: 1, roles: [], fallbackEmail: 'ehs@example.com', delay: 0 }],
+        triggers: [{ type: 'time-based', level: 1, referenceField: 'expiryDate', offset: '-P7D' }],
+        notificationTemplates: {
+            email: { subject: '{{id}} expires {{expiryDate}}', body: 'Dispose of {{id}}: {{actionUrl}}' },
+            sms: '{{id}} expires {{expiryDate}}'
+        },
+        ...overrides
+    };
+}
+
+function createRegistry() {
+    const registry = new ModuleRegistry({ fieldSchemaRegistry: new FieldSchemaRegistry() });
+    registry.registerModule(CHEMICALS);
+    return registry;
+}
+
+test('registered modules carry their fields, record ids and default templates', () => {
+    const registry = createRegistry();
+
+    assert.ok(registry.getModuleIds().includes('incidents'));
+    assert.equal(registry.getModuleName('chemical-inventory'), 'Chemical Inventory');
+    assert.deepEqual(registry.getFields('chemical-inventory').map(field => field.key), ['id', 'hazardClass', 'expiryDate']);
+    assert.equal(registry.formatRecordId('chemical-inventory', 7, 2026), 'CHEM-2026-007');
+
+    const defaults = registry.getDefaultTemplates().filter(template => template.module === 'chemical-inventory');
+    assert.deepEqual(defaults.map(template => template.id), ['template-chemical-inventory-1']);
+
+    assert.throws(() => registry.registerModule({ id: 'Chemical Inventory' }), /must be lowercase letters, digits and dashes/);
+    assert.throws(() => registry.registerModule({ name: 'Nameless' }), /require an id/);
+});
+
+test('templates are validated against the fields of their own module', () => {
+    const processor = new TemplateProcessor(null, { moduleRegistry: createRegistry() });
+
+    assert.deepEqual(processor.validateTemplate(createTemplate()).errors, []);
+    assert.ok(processor.validateTemplate(createTemplate({ module: 'fleet' })).errors.includes('Valid module type is required'));
+    assert.equal(processor.validateTemplate(createTemplate({
+        triggers: [{ type: 'time-based', level: 1, referenceField: 'dueDate', offset: '-P7D' }]
+    })).isValid, false);
+});
+
+test('records of a registered module get ids in its format and escalate like built-in ones', async () => {
+    const moduleRegistry = createRegistry();
+    const dataManager = new DataManager({ moduleRegistry });
+    await dataManager.initialize({ seedDemoData: false });
+
+    const record = await dataManager.createRecord('chemical-inventory', { hazardClass: 'Toxic', expiryDate: '2026-03-10' });
+    assert.match(record.id, /^CHEM-\d{4}-001$/);
+
+    const sent = [];
+    const engine = new EscalationEngine(dataManager, {
+        generateNotification: async (template, notified, level) => ({ level }),
+        sendNotification: async (notification, recipients) => {
+            sent.push(notification.level);
+            return recipients.map(recipient => ({ recipient, status: 'sent' }));
+        }
+    }, { moduleRegistry });
+
+    await engine.processTemplate(createTemplate(), new Date('2026-03-03T12:00:00Z'));
+    assert.deepEqual(sent, [1]);
+
+    // A template for a module that isn't registered is skipped rather than failing the cycle
+    assert.equal(await engine.processTemplate(createTemplate({ module: 'fleet' }), new Date('2026-03-03T12:00:00Z')), 0);
+});
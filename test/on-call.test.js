@@ -0,0 +1,105 @@
+import test, { mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { OnCallSchedule, OnCallScheduleRegistry, validateScheduleDefinition } from '../modules/on-call.js';
+import { DataManager } from '../modules/data-manager.js';
+
+mock.method(console, 'log', () => {});
+
+const WEEKLY = {
+    id: 'night-duty',
+    name: 'Night Duty',
+    timezone: 'America/Chicago',
+    startDate: '2026-03-02',
+    handoffTime: '19:00',
+    rotationDays: 7,
+    members: ['user-1', 'user-2', 'user-3']
+};
+
+test('getOnCall rotates members at the handoff time in the schedule timezone', () => {
+    const schedule = new OnCallSchedule(WEEKLY);
+
+    // 19:00 in Chicago on 2026-03-02 is 01:00 UTC the next day (CST, UTC-6)
+    assert.equal(schedule.getOnCall(new Date('2026-03-03T00:59:00Z')).userId, null);
+    assert.equal(schedule.getOnCall(new Date('2026-03-03T01:00:00Z')).userId, 'user-1');
+    assert.equal(schedule.getOnCall(new Date('2026-03-09T23:59:00Z')).userId, 'user-1');
+
+    // Daylight saving starts on 2026-03-08, so the next handoff is at 00:00 UTC (CDT, UTC-5)
+    const second = schedule.getOnCall(new Date('2026-03-10T00:00:00Z'));
+    assert.equal(second.userId, 'user-2');
+    assert.equal(second.start.toISOString(), '2026-03-10T00:00:00.000Z');
+
+    assert.equal(schedule.getOnCall(new Date('2026-03-24T12:00:00Z')).userId, 'user-1');
+});
+
+test('overrides take precedence over the rotation, in wall-clock time of the schedule', () => {
+    const schedule = new OnCallSchedule({
+        ...WEEKLY,
+        overrides: [{ start: '2026-03-04T19:00', end: '2026-03-05T07:00', userId: 'user-9', reason: 'Swap A&B' }]
+    });
+
+    const covered = schedule.getOnCall(new Date('2026-03-05T02:00:00Z'));
+    assert.equal(covered.userId, 'user-9');
+    assert.equal(covered.source, 'override');
+    assert.equal(covered.reason, 'Swap A&B');
+
+    assert.equal(schedule.getOnCall(new Date('2026-03-05T13:00:00Z')).userId, 'user-1');
+});
+
+test('validateScheduleDefinition reports each problem', () => {
+    assert.deepEqual(validateScheduleDefinition(WEEKLY), []);
+    assert.deepEqual(
+        validateScheduleDefinition({ ...WEEKLY, id: 'Night Duty', timezone: 'Mars/Olympus', handoffTime: '25:00', members: [] }),
+        [
+            'Schedule id is required and may only contain lowercase letters, digits and dashes',
+            'Unknown timezone: Mars/Olympus',
+            'Handoff time must be HH:MM',
+            'At least one rotation member is required'
+        ]
+    );
+});
+
+async function createDataManager() {
+    const dataManager = new DataManager({ onCallRegistry: new OnCallScheduleRegistry() });
+    await dataManager.initialize({ seedDemoData: false });
+    dataManager.users = ['user-1', 'user-2', 'user-3'].map(id => ({ id, name: id, email: `${id}@example.com`, role: 'technician' }));
+    return dataManager;
+}
+
+test('saveOnCallSchedule keeps names as typed and rejects members outside the directory', async () => {
+    const dataManager = await createDataManager();
+
+    const saved = await dataManager.saveOnCallSchedule({ ...WEEKLY, name: 'Night <Duty> & Cover' });
+    assert.equal(saved.name, 'Night <Duty> & Cover');
+    assert.equal(dataManager.getOnCallUser('night-duty', new Date('2026-03-04T12:00:00Z')).user.id, 'user-1');
+
+    await assert.rejects(
+        dataManager.saveOnCallSchedule({ ...WEEKLY, members: ['user-1', 'user-404'] }),
+        /Unknown users in on-call schedule: user-404/
+    );
+});
+
+test('deleteOnCallSchedule refuses schedules the published version still pages', async () => {
+    const dataManager = await createDataManager();
+    await dataManager.saveOnCallSchedule(WEEKLY);
+
+    const template = {
+        id: 'template-on-call',
+        name: 'On-Call Page',
+        module: 'incidents',
+        applicabilityRules: [],
+        hierarchy: [{ level: 1, roles: [], onCallSchedules: ['night-duty'], delay: 0 }],
+        triggers: [{ type: 'time-based', level: 1, referenceField: 'createdDate', offsetMinutes: 0 }],
+        notificationTemplates: {}
+    };
+    await dataManager.saveTemplate(template, { author: 'user-1' });
+    await dataManager.publishTemplate(template.id, { publishedBy: 'user-2' });
+
+    // The draft no longer pages the rotation, but the published version does
+    await dataManager.saveTemplate({
+        ...template,
+        hierarchy: [{ level: 1, roles: [], fallbackEmail: 'safety@example.com', delay: 0 }]
+    }, { author: 'user-1' });
+
+    await assert.rejects(dataManager.deleteOnCallSchedule('night-duty'), /used by: On-Call Page/);
+    assert.ok(dataManager.onCallRegistry.has('night-duty'));
+});
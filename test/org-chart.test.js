@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { describeRole, findUser, getManagerChain, resolveRelativeRole, validateRelativeRole } from '../modules/org-chart.js';
+
+const USERS = [
+    { id: 'user-1', name: 'Ana Ortiz', email: 'ana@example.com', role: 'technician', department: 'Maintenance', site: 'Houston', manager: 'user-2' },
+    { id: 'user-2', name: 'Ben Cole', email: 'ben@example.com', role: 'supervisor', department: 'Maintenance', site: 'Houston', manager: 'user-3' },
+    { id: 'user-3', name: 'Cy Park', email: 'cy@example.com', role: 'department-head', department: 'Maintenance', site: 'Houston', manager: 'user-4' },
+    { id: 'user-4', name: 'Di Shaw', email: 'di@example.com', role: 'Site Manager', department: 'Operations', site: 'Houston' }
+];
+
+const RECORD = { id: 'WO-1', assignedTo: 'ana@example.com', department: 'Maintenance', site: 'Houston' };
+
+const resolvedIds = (role, record, users = USERS) => resolveRelativeRole(role, record, users).users.map(user => user.id);
+
+test('assignee roles walk up the manager chain from the record assignee', () => {
+    assert.equal(findUser(USERS, 'ANA@example.com').id, 'user-1');
+    assert.equal(findUser(USERS, 'Ben Cole').id, 'user-2');
+
+    assert.deepEqual(resolvedIds('assignee', RECORD), ['user-1']);
+    assert.deepEqual(resolvedIds('assignee-manager', RECORD), ['user-2']);
+    assert.deepEqual(resolvedIds('manager+3', RECORD), ['user-4']);
+
+    assert.deepEqual(resolveRelativeRole('manager+4', RECORD, USERS), {
+        users: [],
+        reason: 'the chain runs out after 3 manager(s) above Ana Ortiz (Ana Ortiz → Ben Cole → Cy Park → Di Shaw)'
+    });
+    assert.deepEqual(resolveRelativeRole('assignee', { id: 'WO-2' }, USERS), { users: [], reason: 'record WO-2 has no assignee' });
+});
+
+test('department heads and site managers are matched on the record', () => {
+    assert.deepEqual(resolvedIds('record-department-head', RECORD), ['user-3']);
+    assert.deepEqual(resolvedIds('record-site-manager', RECORD), ['user-4']);
+
+    // Without a site manager at the record's site, walk up from the department head
+    assert.deepEqual(resolvedIds('record-site-manager', { ...RECORD, site: 'Dallas' }), ['user-4']);
+    assert.deepEqual(resolveRelativeRole('record-department-head', { ...RECORD, department: 'Quality' }, USERS), {
+        users: [],
+        reason: "no department head found for department 'Quality'"
+    });
+});
+
+test('broken and cyclic manager chains are reported rather than followed', () => {
+    const broken = USERS.map(user => user.id === 'user-2' ? { ...user, manager: 'user-404' } : user);
+    assert.deepEqual(resolveRelativeRole('manager+2', RECORD, broken), {
+        users: [],
+        reason: "manager 'user-404' in the chain of Ana Ortiz is not in the user directory"
+    });
+
+    const cyclic = USERS.map(user => user.id === 'user-3' ? { ...user, manager: 'user-1' } : user);
+    assert.deepEqual(getManagerChain(cyclic[0], cyclic), { managers: [cyclic[1], cyclic[2]], cycle: true, brokenAt: 'user-1' });
+    assert.deepEqual(resolveRelativeRole('manager+3', RECORD, cyclic), {
+        users: [],
+        reason: 'manager chain of Ana Ortiz has a cycle (Ana Ortiz → Ben Cole → Cy Park → Ana Ortiz)'
+    });
+});
+
+test('manager steps are limited and described for the editor', () => {
+    assert.equal(validateRelativeRole('manager+3'), null);
+    assert.equal(validateRelativeRole('manager+11'), "'manager+11' must be between manager+1 and manager+10");
+    assert.deepEqual(resolveRelativeRole('manager+0', RECORD, USERS), { users: [], reason: "'manager+0' must be between manager+1 and manager+10" });
+
+    assert.equal(describeRole('manager+2'), 'Manager +2 above assignee');
+    assert.equal(describeRole('record-site-manager'), 'Site manager');
+    assert.equal(describeRole('executive'), 'executive');
+});
@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { matchesEventTrigger, validateEventTrigger, describeEventTrigger, diffRecords } from '../modules/record-events.js';
+
+test('matchesEventTrigger matches field transitions, with "Any" and missing "from" as wildcards', () => {
+    const event = { type: 'updated', changes: [{ field: 'status', from: 'Open', to: 'Overdue' }] };
+
+    assert.equal(matchesEventTrigger({ field: 'status', value: 'Overdue' }, event), true);
+    assert.equal(matchesEventTrigger({ event: 'field-change', field: 'status', from: 'Open', value: 'Overdue' }, event), true);
+    assert.equal(matchesEventTrigger({ field: 'status', from: 'Any', value: 'Any' }, event), true);
+    assert.equal(matchesEventTrigger({ field: 'status', from: 'Closed', value: 'Overdue' }, event), false);
+    assert.equal(matchesEventTrigger({ field: 'priority', value: 'Overdue' }, event), false);
+    assert.equal(matchesEventTrigger({ field: 'status', value: 'Overdue' }, { ...event, type: 'comment' }), false);
+});
+
+test('matchesEventTrigger matches event kinds other than field changes', () => {
+    assert.equal(matchesEventTrigger({ event: 'record-created' }, { type: 'created', changes: [] }), true);
+    assert.equal(matchesEventTrigger({ event: 'record-created' }, { type: 'updated', changes: [] }), false);
+    assert.equal(matchesEventTrigger({ event: 'comment-added' }, { type: 'comment', comment: { text: 'hi' } }), true);
+    assert.equal(matchesEventTrigger({ event: 'assignment-changed', value: 'user-3' }, { type: 'assignment', assignment: { to: 'user-3' } }), true);
+    assert.equal(matchesEventTrigger({ event: 'assignment-changed', value: 'user-3' }, { type: 'assignment', assignment: { to: 'user-4' } }), false);
+});
+
+test('matchesEventTrigger compares custom event names exactly as typed', () => {
+    const trigger = { event: 'custom', eventName: 'R&D-review <"urgent">' };
+
+    assert.equal(matchesEventTrigger(trigger, { type: 'custom', name: 'R&D-review <"urgent">' }), true);
+    assert.equal(matchesEventTrigger(trigger, { type: 'custom', name: 'R&amp;D-review &lt;&quot;urgent&quot;&gt;' }), false);
+    assert.equal(describeEventTrigger(trigger), 'custom event "R&D-review <"urgent">"');
+});
+
+test('validateEventTrigger requires what each event kind needs', () => {
+    assert.deepEqual(validateEventTrigger({ field: 'status', value: 'Overdue' }), []);
+    assert.deepEqual(validateEventTrigger({ field: 'status' }), ['Value is required for event-based triggers']);
+    assert.deepEqual(validateEventTrigger({ event: 'custom' }), ['Event name is required for custom event triggers']);
+    assert.match(validateEventTrigger({ event: 'phase-of-moon' })[0], /^Event must be one of/);
+});
+
+test('diffRecords reports nested changes as dot-notation paths', () => {
+    assert.deepEqual(
+        diffRecords({ status: 'Open', location: { site: 'Houston' } }, { status: 'Open', location: { site: 'Dallas' } }),
+        [{ field: 'location.site', from: 'Houston', to: 'Dallas' }]
+    );
+});
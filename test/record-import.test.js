@@ -0,0 +1,27 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRecordFile, coerceCsvRecord } from '../modules/record-import.js';
+
+test('parseRecordFile builds nested fields from dotted CSV headers', () => {
+    const [operation] = parseRecordFile('incidents.csv', 'id,location.site\nINC-1,Houston');
+
+    assert.equal(operation.op, 'upsert');
+    assert.equal(operation.module, 'incidents');
+    assert.deepEqual(operation.record, { id: 'INC-1', location: { site: 'Houston' } });
+});
+
+test('parseRecordFile rejects headers that write through the prototype chain', () => {
+    for (const header of ['__proto__.polluted', 'constructor.prototype.polluted', 'meta.__proto__.polluted']) {
+        assert.throws(
+            () => parseRecordFile('incidents.csv', `id,${header}\nINC-1,yes`),
+            /invalid column/
+        );
+    }
+
+    assert.equal({}.polluted, undefined);
+});
+
+test('coerceCsvRecord refuses unsafe field paths', () => {
+    assert.throws(() => coerceCsvRecord('incidents', { id: 'INC-1', '__proto__.polluted': 'yes' }), /Invalid field path/);
+    assert.equal({}.polluted, undefined);
+});
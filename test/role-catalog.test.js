@@ -0,0 +1,70 @@
+import test, { mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { RoleCatalog, normalizeRoleId, validateRoleDefinition } from '../modules/role-catalog.js';
+import { DataManager } from '../modules/data-manager.js';
+
+mock.method(console, 'log', () => {});
+
+const USERS = [
+    { id: 'user-1', role: 'Site Manager', site: 'Houston', department: 'Operations' },
+    { id: 'user-2', role: 'site_manager', site: 'Dallas', department: 'Operations' },
+    { id: 'user-3', role: 'department-head', site: 'Houston', department: 'Maintenance' },
+    { id: 'user-4', role: 'department-head', site: 'Houston', department: 'Quality' },
+    { id: 'user-5', role: 'executive', site: 'Houston', department: 'Leadership' },
+    { id: 'user-6', role: 'executive-assistant', site: 'Houston', department: 'Leadership' }
+];
+
+const ids = users => users.map(user => user.id);
+
+test('roles match exactly, after normalising case and separators', () => {
+    const catalog = new RoleCatalog();
+
+    assert.equal(normalizeRoleId(' Site Manager '), 'site-manager');
+    assert.deepEqual(ids(catalog.getUsers(USERS, 'executive')), ['user-5']);
+    assert.deepEqual(ids(catalog.getUsers(USERS, 'site-manager')), ['user-1', 'user-2']);
+});
+
+test('site and department scopes narrow users to the record', () => {
+    const catalog = new RoleCatalog();
+
+    assert.deepEqual(ids(catalog.getUsers(USERS, 'site-manager', { site: 'Dallas', department: 'Maintenance' })), ['user-2']);
+    assert.deepEqual(ids(catalog.getUsers(USERS, 'department-head', { site: 'Dallas', department: 'Maintenance' })), ['user-3']);
+    assert.deepEqual(ids(catalog.getUsers(USERS, 'executive', { site: 'Dallas', department: 'Maintenance' })), ['user-5']);
+
+    // Roles outside the catalog are matched globally
+    assert.deepEqual(ids(catalog.getUsers(USERS, 'executive-assistant', { site: 'Dallas' })), ['user-6']);
+});
+
+test('role definitions are validated before they are registered', () => {
+    assert.deepEqual(validateRoleDefinition({ id: 'Plant Lead', scope: 'region' }), [
+        'Role id is required and must be lowercase with hyphens (e.g. site-manager)',
+        'Role label is required',
+        'Role scope must be one of: global, site, department'
+    ]);
+    assert.throws(() => new RoleCatalog().register({ id: 'plant-lead' }), /Invalid role: Role label is required/);
+});
+
+test('deleteRole refuses roles the published version still escalates to', async () => {
+    const dataManager = new DataManager({ roleCatalog: new RoleCatalog() });
+    await dataManager.initialize({ seedDemoData: false });
+    await dataManager.saveRole({ id: 'plant-lead', label: 'Plant Lead', scope: 'site' });
+
+    const template = {
+        id: 'template-roles',
+        name: 'Plant Lead Ladder',
+        module: 'incidents',
+        applicabilityRules: [],
+        hierarchy: [{ level: 1, roles: ['plant-lead'], delay: 0 }],
+        triggers: [{ type: 'time-based', level: 1, referenceField: 'createdDate', offsetMinutes: 0 }],
+        notificationTemplates: {}
+    };
+    await dataManager.saveTemplate(template, { author: 'user-1' });
+    await dataManager.publishTemplate(template.id, { publishedBy: 'user-2' });
+    await dataManager.saveTemplate({ ...template, hierarchy: [{ level: 1, roles: ['executive'], delay: 0 }] }, { author: 'user-1' });
+
+    await assert.rejects(dataManager.deleteRole('plant-lead'), /Role is used by: Plant Lead Ladder/);
+    assert.ok(dataManager.roleCatalog.has('plant-lead'));
+
+    assert.equal(await dataManager.deleteRole('contractor'), true);
+    assert.equal(dataManager.roleCatalog.has('contractor'), false);
+});
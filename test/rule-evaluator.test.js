@@ -0,0 +1,156 @@
+import test, { mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { RuleEvaluator } from '../modules/rule-evaluator.js';
+import { TemplateProcessor } from '../modules/template-processor.js';
+
+mock.method(console, 'warn', () => {});
+
+const RECORD = { id: 'INC-1', priority: 'High', severity: 3, location: { site: 'Houston' }, assignedTo: null };
+
+test('conditions read dotted fields and treat missing values as empty', () => {
+    const evaluator = new RuleEvaluator();
+    const matches = (field, operator, value) =>
+        evaluator.evaluateApplicability([{ field, operator, value }], RECORD);
+
+    assert.equal(evaluator.getNestedValue(RECORD, 'location.site'), 'Houston');
+    assert.equal(evaluator.getNestedValue(RECORD, 'location.site.name'), undefined);
+    assert.equal(matches('location.site', 'equals', 'Houston'), true);
+    assert.equal(matches('location.site', 'contains', 'hous'), true);
+
+    // Missing fields never throw and only match an empty expectation
+    assert.equal(matches('department', 'equals', ''), true);
+    assert.equal(matches('department', 'equals', 'Quality'), false);
+    assert.equal(matches('department', 'greaterThan', 1), false);
+    assert.equal(matches('severity', 'greaterThan', '2'), true);
+    assert.equal(matches('severity', 'lessThan', 'three'), false);
+
+    assert.equal(matches('priority', 'startsWith', 'H'), false);
+    assert.equal(evaluator.evaluateApplicability([], RECORD), true);
+});
+
+test('custom operators are registered alongside the defaults', () => {
+    const evaluator = new RuleEvaluator();
+    evaluator.registerOperator('startsWith', {
+        label: 'Starts with',
+        evaluate: (fieldValue, expectedValue) => fieldValue != null && String(fieldValue).startsWith(expectedValue)
+    });
+
+    assert.equal(evaluator.evaluateApplicability([{ field: 'id', operator: 'startsWith', value: 'INC-' }], RECORD), true);
+    assert.deepEqual(evaluator.getOperators().at(-1), { name: 'startsWith', label: 'Starts with', requiresValue: true, hint: 'Value' });
+    assert.throws(() => evaluator.registerOperator('broken', {}), /Invalid operator definition: broken/);
+});
+
+const condition = (field, operator, value) => ({ type: 'condition', field, operator, value });
+
+test('legacy flat rules fold left to right into a rule tree', () => {
+    const evaluator = new RuleEvaluator();
+    const tree = evaluator.normalizeRules([
+        { field: 'priority', operator: 'equals', value: 'High' },
+        { field: 'severity', operator: 'greaterThan', value: 4, logic: 'AND' },
+        { field: 'location.site', operator: 'equals', value: 'Houston', logic: 'OR' }
+    ]);
+
+    assert.deepEqual(tree, {
+        type: 'group',
+        logic: 'OR',
+        children: [
+            { type: 'group', logic: 'AND', children: [condition('priority', 'equals', 'High'), condition('severity', 'greaterThan', 4)] },
+            condition('location.site', 'equals', 'Houston')
+        ]
+    });
+    // (High AND severity > 4) OR Houston: the site alone is enough
+    assert.equal(evaluator.evaluateApplicability(tree, RECORD), true);
+    assert.equal(evaluator.evaluateApplicability(tree, { ...RECORD, location: { site: 'Dallas' } }), false);
+});
+
+test('nested groups and NOT combine conditions', () => {
+    const evaluator = new RuleEvaluator();
+    const rules = {
+        type: 'group',
+        logic: 'AND',
+        children: [
+            { type: 'group', logic: 'OR', children: [condition('priority', 'equals', 'Critical'), condition('severity', 'greaterThan', 2)] },
+            { type: 'not', child: condition('location.site', 'equals', 'Dallas') }
+        ]
+    };
+
+    assert.equal(evaluator.evaluateApplicability(rules, RECORD), true);
+    assert.equal(evaluator.evaluateApplicability(rules, { ...RECORD, severity: 1 }), false);
+    assert.equal(evaluator.evaluateApplicability(rules, { ...RECORD, location: { site: 'Dallas' } }), false);
+    assert.deepEqual(evaluator.getConditions(rules).map(node => node.field), ['priority', 'severity', 'location.site']);
+
+    // A bare condition is wrapped in a root group, and an empty group always applies
+    assert.equal(evaluator.normalizeRules(condition('id', 'isNotEmpty')).type, 'group');
+    assert.equal(evaluator.evaluateApplicability({ type: 'group', logic: 'OR', children: [] }, RECORD), true);
+});
+
+test('rule summaries and validation follow the tree structure', () => {
+    const processor = new TemplateProcessor(null);
+    const rules = {
+        type: 'group',
+        logic: 'OR',
+        children: [
+            { type: 'group', logic: 'AND', children: [condition('priority', 'equals', 'High'), condition('assignedTo', 'isEmpty')] },
+            { type: 'not', child: condition('severity', 'lessThan', 2) }
+        ]
+    };
+
+    assert.equal(processor.summarizeRules(rules), '(priority equals "High" AND assignedTo isEmpty) OR NOT (severity lessThan "2")');
+    assert.equal(processor.summarizeRules([]), 'Always applicable');
+    assert.deepEqual(processor.validateRules({ type: 'group', logic: 'XOR', children: [condition('', 'equals', 'x')] }), [
+        'Rules: Group logic must be AND or OR',
+        'Rule 1: Field is required'
+    ]);
+});
+
+test('list, range, pattern and emptiness operators', () => {
+    const evaluator = new RuleEvaluator();
+    const evaluate = (operator, fieldValue, value) => evaluator.evaluateRule(operator, fieldValue, value);
+
+    assert.equal(evaluate('in', 'High', 'Critical, High'), true);
+    assert.equal(evaluate('in', undefined, ['Critical']), false);
+    assert.equal(evaluate('notIn', 'Open', ['Resolved', 'Closed']), true);
+    assert.equal(evaluate('notIn', undefined, 'Resolved'), true);
+    assert.equal(evaluate('notEquals', undefined, 'Closed'), true);
+    assert.equal(evaluate('notEquals', undefined, ''), false);
+
+    assert.equal(evaluate('between', 3, '1..5'), true);
+    assert.equal(evaluate('between', '2026-04-01', ['2026-01-01', '2026-03-31']), false);
+    assert.equal(evaluate('between', '', '1, 5'), false);
+
+    assert.equal(evaluate('regex', 'Chemical SPILL', '/spill/i'), true);
+    assert.equal(evaluate('regex', 'INC-2026-001', '^INC-2025'), false);
+    assert.equal(evaluate('regex', 'anything', '('), false);
+
+    assert.equal(evaluate('isEmpty', []), true);
+    assert.equal(evaluate('isEmpty', 0), false);
+    assert.equal(evaluate('isNotEmpty', ''), false);
+});
+
+test('dateWithin measures windows from the evaluation time', () => {
+    const evaluator = new RuleEvaluator();
+    const now = new Date('2026-03-04T12:00:00Z');
+    const within = (fieldValue, value) => evaluator.evaluateRule('dateWithin', fieldValue, value, { now });
+
+    assert.equal(within('2026-03-03T13:00:00Z', 'last 48h'), true);
+    assert.equal(within('2026-03-03T13:00:00Z', '12h'), false);
+    assert.equal(within('2026-03-10T12:00:00Z', 'next 1w'), true);
+    assert.equal(within('2026-03-10T12:00:00Z', 'last 1w'), false);
+    assert.equal(within(null, 'last 7d'), false);
+
+    // Applicability passes the engine's clock through to the operator
+    const rules = [{ field: 'dueDate', operator: 'dateWithin', value: 'next 30m' }];
+    assert.equal(evaluator.evaluateApplicability(rules, { dueDate: '2026-03-04T12:20:00Z' }, { now }), true);
+});
+
+test('operator values are validated before a template is saved', () => {
+    const evaluator = new RuleEvaluator();
+
+    assert.equal(evaluator.validateRuleValue('in', ' , '), 'List must contain at least one value');
+    assert.equal(evaluator.validateRuleValue('between', '5, 1'), 'Range start must not be after range end');
+    assert.equal(evaluator.validateRuleValue('between', 'low, high'), 'Range must be two numbers or two dates, e.g. "1, 5"');
+    assert.match(evaluator.validateRuleValue('regex', '('), /Invalid regular expression/);
+    assert.equal(evaluator.validateRuleValue('dateWithin', 'soon'), 'Window must look like "last 48h" or "next 7d" (units m, h, d, w)');
+    assert.equal(evaluator.validateRuleValue('equals', undefined), 'Value is required');
+    assert.equal(evaluator.validateRuleValue('isEmpty', undefined), null);
+});
@@ -0,0 +1,80 @@
+import test, { mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { FileStorageAdapter, MemoryStorageAdapter, createStorageAdapter } from '../modules/storage-adapter.js';
+import { DataManager } from '../modules/data-manager.js';
+
+mock.method(console, 'log', () => {});
+
+async function withDirectory(callback) {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'escalation-storage-'));
+    try {
+        return await callback(directory);
+    } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+    }
+}
+
+// The contract every adapter shares
+async function checkAdapter(storage) {
+    const record = { id: 'INC-1', status: 'Open', location: { site: 'Houston' } };
+    await storage.put('records:incidents', 'INC-1', record);
+    await storage.put('records:incidents', 'INC-2', { id: 'INC-2', status: 'Closed' });
+
+    // Adapters hand out copies, so neither side can change the other's data
+    record.status = 'Changed';
+    const stored = await storage.get('records:incidents', 'INC-1');
+    assert.equal(stored.status, 'Open');
+    stored.location.site = 'Dallas';
+    assert.equal((await storage.get('records:incidents', 'INC-1')).location.site, 'Houston');
+
+    assert.deepEqual((await storage.query('records:incidents', { status: 'Closed' })).map(r => r.id), ['INC-2']);
+    assert.deepEqual((await storage.query('records:incidents', r => r.location)).map(r => r.id), ['INC-1']);
+    assert.equal(await storage.get('records:incidents', 'INC-404'), null);
+    assert.deepEqual(await storage.query('records:audits'), []);
+
+    await storage.delete('records:incidents', 'INC-1');
+    assert.deepEqual((await storage.query('records:incidents')).map(r => r.id), ['INC-2']);
+    await storage.clear('records:incidents');
+    assert.deepEqual(await storage.query('records:incidents'), []);
+}
+
+test('the memory adapter follows the storage contract', async () => {
+    await checkAdapter(new MemoryStorageAdapter());
+    assert.ok(createStorageAdapter() instanceof MemoryStorageAdapter);
+});
+
+test('the file adapter follows the storage contract and keeps data across instances', async () => {
+    await withDirectory(async directory => {
+        await checkAdapter(new FileStorageAdapter(directory));
+
+        await new FileStorageAdapter(directory).put('templates', 'template-1', { id: 'template-1', name: 'Spill Ladder' });
+        assert.deepEqual(await new FileStorageAdapter(directory).get('templates', 'template-1'), { id: 'template-1', name: 'Spill Ladder' });
+        assert.deepEqual(await fs.readdir(directory), ['records%3Aincidents.json', 'templates.json']);
+    });
+});
+
+test('DataManager reloads what it saved instead of seeding demo data again', async () => {
+    await withDirectory(async directory => {
+        const first = new DataManager({ storage: createStorageAdapter({ type: 'file', directory }) });
+        await first.initialize({ seedDemoData: false });
+        await first.saveTemplate({
+            id: 'template-storage',
+            name: 'Stored Ladder',
+            module: 'incidents',
+            applicabilityRules: [],
+            hierarchy: [{ level: 1, roles: [], fallbackEmail: 'safety@example.com', delay: 0 }],
+            triggers: [{ type: 'time-based', level: 1, referenceField: 'createdDate', offsetMinutes: 0 }],
+            notificationTemplates: {}
+        }, { author: 'user-1' });
+        await first.upsertRecord('incidents', { id: 'INC-1', status: 'Open' });
+
+        const second = new DataManager({ storage: createStorageAdapter({ type: 'file', directory }) });
+        await second.initialize();
+        assert.deepEqual(second.templates.map(template => [template.id, template.currentVersion]), [['template-storage', 1]]);
+        assert.deepEqual(second.getTemplateVersions('template-storage').map(version => version.version), [1]);
+        assert.deepEqual(second.records.incidents, [{ id: 'INC-1', status: 'Open' }]);
+    });
+});
@@ -0,0 +1,42 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { diffTemplates, formatTemplateDiff } from '../modules/template-diff.js';
+
+const BEFORE = {
+    id: 'template-diff',
+    name: 'Spill Ladder',
+    currentVersion: 3,
+    status: 'published',
+    hierarchy: [{ level: 1, roles: ['executive'], delay: 0 }],
+    triggers: [{ type: 'time-based', level: 1, referenceField: 'createdDate', offset: 'PT2H' }],
+    notificationTemplates: { email: { subject: 'Spill {{id}}', body: 'Review {{id}}' } }
+};
+
+test('diffTemplates reports changes per leaf path and ignores bookkeeping fields', () => {
+    const after = {
+        ...BEFORE,
+        currentVersion: 4,
+        status: 'draft',
+        updatedAt: '2026-03-04T12:00:00Z',
+        hierarchy: [...BEFORE.hierarchy, { level: 2, roles: ['coo'], delay: 1 }],
+        triggers: [{ ...BEFORE.triggers[0], offset: 'PT4H' }],
+        notificationTemplates: { email: { subject: 'Spill {{id}}' } }
+    };
+
+    assert.deepEqual(diffTemplates(BEFORE, after), [
+        { path: 'hierarchy[1]', type: 'added', to: { level: 2, roles: ['coo'], delay: 1 } },
+        { path: 'triggers[0].offset', type: 'changed', from: 'PT2H', to: 'PT4H' },
+        { path: 'notificationTemplates.email.body', type: 'removed', from: 'Review {{id}}' }
+    ]);
+    assert.deepEqual(diffTemplates(BEFORE, { ...BEFORE, exportedAt: '2026-03-04T12:00:00Z' }), []);
+});
+
+test('formatTemplateDiff prints one line per change', () => {
+    const changes = diffTemplates(BEFORE, { ...BEFORE, name: 'Spill Ladder v2', description: 'Chemical spills' });
+
+    assert.equal(formatTemplateDiff(changes), [
+        '~ name: "Spill Ladder" -> "Spill Ladder v2"',
+        '+ description: "Chemical spills"'
+    ].join('\n'));
+    assert.equal(formatTemplateDiff([]), 'No differences');
+});
@@ -0,0 +1,110 @@
+import test, { mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { DataManager } from '../modules/data-manager.js';
+import { HeadlessRuntime } from '../modules/headless-runtime.js';
+import { assertLifecycleAction } from '../modules/template-lifecycle.js';
+
+mock.method(console, 'log', () => {});
+
+function createTemplate(overrides = {}) {
+    return {
+        id: 'template-lifecycle',
+        name: 'Lifecycle Ladder',
+        description: 'Ladder used by the lifecycle tests',
+        module: 'incidents',
+        applicabilityRules: [],
+        hierarchy: [{ level: 1, roles: [], fallbackEmail: 'safety@example.com', delay: 0 }],
+        triggers: [{ type: 'time-based', level: 1, referenceField: 'createdDate', offsetMinutes: 0 }],
+        notificationTemplates: {
+            email: { subject: 'Escalation: {{id}}', body: 'Please review {{id}}: {{actionUrl}}' },
+            sms: 'Escalation: {{id}}'
+        },
+        ...overrides
+    };
+}
+
+async function createDataManager() {
+    const dataManager = new DataManager();
+    await dataManager.initialize({ seedDemoData: false });
+    return dataManager;
+}
+
+test('approval needs someone other than the author and the submitter', async () => {
+    const dataManager = await createDataManager();
+    await dataManager.saveTemplate(createTemplate(), { author: 'user-1' });
+    await dataManager.submitTemplateForReview('template-lifecycle', { submittedBy: 'user-2' });
+
+    await assert.rejects(dataManager.approveTemplate('template-lifecycle', {}), /requires an approver/);
+    await assert.rejects(dataManager.approveTemplate('template-lifecycle', { approvedBy: 'user-1' }), /someone other than its author or submitter/);
+    await assert.rejects(dataManager.approveTemplate('template-lifecycle', { approvedBy: 'user-2' }), /someone other than its author or submitter/);
+    assert.deepEqual(await dataManager.getPublishedTemplates(), []);
+
+    const approved = await dataManager.approveTemplate('template-lifecycle', { approvedBy: 'user-3' });
+    assert.equal(approved.status, 'published');
+    assert.equal(approved.publishedVersion, 1);
+    assert.equal(approved.review.approvedBy, 'user-3');
+    assert.deepEqual(approved.lifecycleHistory.map(entry => [entry.action, entry.by]), [['submit', 'user-2'], ['approve', 'user-3']]);
+});
+
+test('the published version stays live while a newer draft is edited and reviewed', async () => {
+    const dataManager = await createDataManager();
+    await dataManager.saveTemplate(createTemplate(), { author: 'user-1' });
+    await dataManager.submitTemplateForReview('template-lifecycle', { submittedBy: 'user-1' });
+    await dataManager.approveTemplate('template-lifecycle', { approvedBy: 'user-2' });
+
+    const edited = await dataManager.saveTemplate(createTemplate({ name: 'Lifecycle Ladder v2' }), { author: 'user-3' });
+    assert.equal(edited.status, 'draft');
+    assert.equal(edited.currentVersion, 2);
+
+    const [live] = await dataManager.getPublishedTemplates();
+    assert.equal(live.name, 'Lifecycle Ladder');
+    assert.equal(live.currentVersion, 1);
+
+    // Version 2 was written by user-3 and submitted by user-2, so user-1 may approve it
+    await dataManager.submitTemplateForReview('template-lifecycle', { submittedBy: 'user-2' });
+    await assert.rejects(dataManager.approveTemplate('template-lifecycle', { approvedBy: 'user-3' }), /someone other than its author/);
+    await dataManager.approveTemplate('template-lifecycle', { approvedBy: 'user-1' });
+    assert.equal((await dataManager.getPublishedTemplate('template-lifecycle')).name, 'Lifecycle Ladder v2');
+});
+
+test('lifecycle actions are only allowed from the statuses that lead to them', async () => {
+    const dataManager = await createDataManager();
+    await dataManager.saveTemplate(createTemplate(), { author: 'user-1' });
+
+    await assert.rejects(dataManager.approveTemplate('template-lifecycle', { approvedBy: 'user-2' }), /Cannot approve template template-lifecycle: it is draft/);
+    assert.throws(() => assertLifecycleAction({ id: 't', status: 'published' }, 'reject'), /it is published/);
+
+    await dataManager.submitTemplateForReview('template-lifecycle', { submittedBy: 'user-1' });
+    await dataManager.approveTemplate('template-lifecycle', { approvedBy: 'user-2' });
+    const retired = await dataManager.retireTemplate('template-lifecycle', { by: 'user-2' });
+    assert.equal(retired.status, 'retired');
+    assert.equal(retired.active, false);
+    assert.deepEqual(await dataManager.getPublishedTemplates(), []);
+});
+
+async function loadConfigTemplates(config) {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'escalation-lifecycle-'));
+    try {
+        const templates = path.join(directory, 'templates.json');
+        await fs.writeFile(templates, JSON.stringify([createTemplate()]));
+
+        const runtime = new HeadlessRuntime({ storage: { type: 'memory' }, templates: [templates], ...config });
+        await runtime.initialize();
+        return runtime.dataManager;
+    } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+    }
+}
+
+test('the headless runtime loads config templates as drafts unless publishing is opted into', async () => {
+    const drafts = await loadConfigTemplates({});
+    assert.equal((await drafts.getTemplate('template-lifecycle')).status, 'draft');
+    assert.deepEqual(await drafts.getPublishedTemplates(), []);
+
+    const published = await loadConfigTemplates({ publishTemplates: true });
+    assert.equal((await published.getTemplate('template-lifecycle')).status, 'published');
+    assert.equal((await published.getPublishedTemplates()).length, 1);
+});
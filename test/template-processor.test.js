@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { TemplateProcessor } from '../modules/template-processor.js';
+import { FieldSchemaRegistry } from '../modules/field-schema-registry.js';
+
+function createProcessor() {
+    const fieldSchemaRegistry = new FieldSchemaRegistry();
+    fieldSchemaRegistry.registerModule('incidents', [
+        { key: 'id', label: 'ID', type: 'string' },
+        { key: 'priority', label: 'Priority', type: 'enum', values: ['Low', 'High', 'Critical'] },
+        { key: 'createdDate', label: 'Created', type: 'date' },
+        { key: 'location', label: 'Location', fields: [
+            { key: 'site', label: 'Site', type: 'string' },
+            { key: 'building', label: 'Building', type: 'string' }
+        ] }
+    ]);
+
+    return new TemplateProcessor(null, { fieldSchemaRegistry, baseUrl: 'https://ehs.example.com' });
+}
+
+const TEMPLATE = {
+    id: 'template-placeholders',
+    name: 'Placeholders',
+    description: 'Uses nested placeholders',
+    module: 'incidents',
+    applicabilityRules: [],
+    hierarchy: [{ level: 1, roles: [], fallbackEmail: 'safety@example.com', delay: 0 }],
+    triggers: [{ type: 'time-based', level: 1, referenceField: 'createdDate', offsetMinutes: 0 }],
+    notificationTemplates: {
+        email: { subject: '{{priority}} incident {{id}} at {{location.site}}', body: 'Building {{location.building}}: {{actionUrl}}' },
+        sms: '{{id}} at {{location.site}}'
+    }
+};
+
+const RECORD = { id: 'INC-7', priority: 'Critical', location: { site: 'Houston', building: 'B2' } };
+
+test('interpolate fills dotted placeholders and leaves unknown ones as written', () => {
+    const processor = createProcessor();
+
+    assert.equal(processor.interpolate('{{id}} at {{location.site}}', RECORD), 'INC-7 at Houston');
+    assert.equal(processor.interpolate('{{location.room}} / {{missing}}', RECORD), '{{location.room}} / {{missing}}');
+});
+
+test('generateNotification fills every placeholder that lint accepts', async () => {
+    const processor = createProcessor();
+    assert.deepEqual(processor.lintTemplate(TEMPLATE), []);
+
+    const notification = await processor.generateNotification(TEMPLATE, RECORD, 1);
+    assert.equal(notification.emailSubject, 'Critical incident INC-7 at Houston');
+    assert.equal(notification.emailBody, 'Building B2: https://ehs.example.com/record/INC-7');
+    assert.equal(notification.smsBody, 'INC-7 at Houston');
+});
+
+test('lintTemplate warns about placeholders the module schema does not define', () => {
+    const processor = createProcessor();
+    const template = {
+        ...TEMPLATE,
+        notificationTemplates: { ...TEMPLATE.notificationTemplates, sms: '{{id}} in {{location.room}}' }
+    };
+
+    assert.deepEqual(processor.lintTemplate(template), ['SMS: Unknown placeholder {{location.room}}']);
+});
+
+test('the field schema flattens object fields and checks record values by type', () => {
+    const registry = createProcessor().fieldSchemaRegistry;
+
+    assert.deepEqual(registry.getPlaceholders('incidents'), ['id', 'priority', 'createdDate', 'location.site', 'location.building', 'recipientName', 'actionUrl']);
+    assert.equal(registry.getField('incidents', 'location.site').label, 'Location Site');
+    assert.deepEqual(registry.validateRecord('incidents', RECORD), []);
+    assert.deepEqual(registry.validateRecord('incidents', { id: 'INC-8', priority: 'Urgent', createdDate: 'yesterday', location: { site: 4 } }), [
+        'priority: "Urgent" is not one of Low, High, Critical',
+        'createdDate: "yesterday" is not a valid date',
+        'location.site: must be text'
+    ]);
+});
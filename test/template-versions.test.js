@@ -0,0 +1,70 @@
+import test, { mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { DataManager } from '../modules/data-manager.js';
+
+mock.method(console, 'log', () => {});
+
+function createTemplate(overrides = {}) {
+    return {
+        id: 'template-versions',
+        name: 'Versioned Ladder',
+        module: 'incidents',
+        applicabilityRules: [],
+        hierarchy: [{ level: 1, roles: ['executive'], delay: 0 }],
+        triggers: [{ type: 'time-based', level: 1, referenceField: 'createdDate', offset: 'PT2H' }],
+        notificationTemplates: {},
+        ...overrides
+    };
+}
+
+async function createDataManager() {
+    const dataManager = new DataManager();
+    await dataManager.initialize({ seedDemoData: false });
+    await dataManager.saveTemplate(createTemplate(), { author: 'user-1', note: 'First draft' });
+    await dataManager.saveTemplate(createTemplate({
+        triggers: [{ type: 'time-based', level: 1, referenceField: 'createdDate', offset: 'PT4H' }]
+    }), { author: 'user-2', note: 'Give the crew longer' });
+    return dataManager;
+}
+
+test('only saves that change a template add a version', async () => {
+    const dataManager = await createDataManager();
+    await dataManager.saveTemplate(createTemplate({
+        triggers: [{ type: 'time-based', level: 1, referenceField: 'createdDate', offset: 'PT4H' }]
+    }), { author: 'user-3' });
+
+    const versions = dataManager.getTemplateVersions('template-versions');
+    assert.deepEqual(versions.map(version => [version.version, version.author, version.note]), [
+        [2, 'user-2', 'Give the crew longer'],
+        [1, 'user-1', 'First draft']
+    ]);
+    assert.equal((await dataManager.getTemplate('template-versions')).currentVersion, 2);
+
+    // Versions are history: they can't be edited in place
+    assert.throws(() => { versions[1].snapshot.name = 'Rewritten'; }, TypeError);
+});
+
+test('diffTemplateVersions compares two versions of a template', async () => {
+    const dataManager = await createDataManager();
+
+    assert.deepEqual(dataManager.diffTemplateVersions('template-versions', 1, 2), [
+        { path: 'triggers[0].offset', type: 'changed', from: 'PT2H', to: 'PT4H' }
+    ]);
+    assert.throws(() => dataManager.diffTemplateVersions('template-versions', 1, 9), /Template template-versions has no version 9/);
+});
+
+test('rollbackTemplate saves an earlier snapshot as a new draft version', async () => {
+    const dataManager = await createDataManager();
+    await dataManager.publishTemplate('template-versions', { publishedBy: 'user-3' });
+
+    const restored = await dataManager.rollbackTemplate('template-versions', 1, { author: 'user-3' });
+    assert.equal(restored.currentVersion, 3);
+    assert.equal(restored.status, 'draft');
+    assert.equal(restored.triggers[0].offset, 'PT2H');
+    assert.equal(dataManager.getTemplateVersion('template-versions', 3).note, 'Rolled back to version 1');
+    assert.deepEqual(dataManager.diffTemplateVersions('template-versions', 1, 3), []);
+
+    // Version 2 stays live until the rollback is reviewed
+    assert.equal((await dataManager.getPublishedTemplate('template-versions')).currentVersion, 2);
+    await assert.rejects(dataManager.rollbackTemplate('template-versions', 7), /has no version 7/);
+});
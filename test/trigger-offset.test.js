@@ -0,0 +1,35 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { describeTriggerOffset, getTriggerOffsetMinutes, parseDuration, validateTriggerOffset } from '../modules/trigger-offset.js';
+
+test('parseDuration reads signed ISO 8601 durations into minutes', () => {
+    assert.equal(parseDuration('PT2H'), 120);
+    assert.equal(parseDuration('-P5D'), -5 * 24 * 60);
+    assert.equal(parseDuration('P1DT4H30M'), 24 * 60 + 270);
+    assert.equal(parseDuration('P1W'), 7 * 24 * 60);
+    assert.equal(parseDuration('PT1.5H'), 90);
+
+    for (const invalid of ['', 'P', 'PT', 'P1DT', '2h', 'PT5S', null]) {
+        assert.equal(parseDuration(invalid), null, String(invalid));
+    }
+});
+
+test('the first offset format present wins', () => {
+    assert.equal(getTriggerOffsetMinutes({ offsetMinutes: 45, offset: 'PT2H', daysAfter: 1 }), 45);
+    assert.equal(getTriggerOffsetMinutes({ offset: '-PT30M', daysAfter: 1 }), -30);
+    assert.equal(getTriggerOffsetMinutes({ daysAfter: 1, daysBefore: 3 }), -2 * 24 * 60);
+    assert.equal(getTriggerOffsetMinutes({}), 0);
+});
+
+test('validateTriggerOffset rejects offsets the engine could not schedule', () => {
+    assert.equal(validateTriggerOffset({ offsetMinutes: 90 }), null);
+    assert.equal(validateTriggerOffset({ offsetMinutes: '90' }), 'Offset minutes must be a number');
+    assert.equal(validateTriggerOffset({ offset: '2 hours' }), 'Offset "2 hours" is not a valid ISO 8601 duration (e.g. PT2H, -P5D)');
+});
+
+test('describeTriggerOffset spells out days, hours and minutes', () => {
+    assert.equal(describeTriggerOffset({ referenceField: 'createdDate', offsetMinutes: 1570 }), '1 day 2 hours 10 minutes after createdDate');
+    assert.equal(describeTriggerOffset({ referenceField: 'dueDate', offset: '-P5D', dayMode: 'working' }), '5 working days before dueDate');
+    assert.equal(describeTriggerOffset({ referenceField: 'createdDate', offsetMinutes: 1 }), '1 minute after createdDate');
+    assert.equal(describeTriggerOffset({ referenceField: 'dueDate', daysBefore: 0 }), 'On dueDate');
+});